@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+// =============================================================================
+// FAKE CALENDAR API - Local stand-in for the Google Calendar REST API
+// =============================================================================
+//
+// Usage: node node/fake-calendar-api.js [--port 8081] [--calendar NAME]... [--tz ZONE]
+//
+// Serves the part of Calendar API v3 that node/google-calendar.js uses, from memory,
+// plus a token endpoint. Point the webhook receiver at it with
+// --calendar-api http://localhost:8081. GET /_events lists every event.
+
+var http = require('http');
+var crypto = require('crypto');
+
+/**
+ * Creates the fake API server (not yet listening)
+ * @param {Object} [options] - calendars: names of the calendars to create (default: ["Strava"]),
+ *   timeZone: their time zone (default: UTC), log: log every request
+ * @returns {http.Server} Server; server.calendars holds the calendars by id
+ */
+function createFakeCalendarApi(options) {
+  options = options || {};
+  var timeZone = options.timeZone || 'UTC';
+  var calendars = {};
+
+  (options.calendars || ['Strava']).forEach(function(name, i) {
+    var id = i === 0 ? 'primary@fake' : name.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '@fake';
+    calendars[id] = { resource: { kind: 'calendar#calendar', id: id, summary: name, timeZone: timeZone, accessRole: 'owner' }, events: {} };
+  });
+
+  var server = http.createServer(function(req, res) {
+    var body = '';
+    req.on('data', function(chunk) {
+      body += chunk;
+    });
+    req.on('end', function() {
+      var url = new URL(req.url, 'http://localhost');
+      var result;
+
+      try {
+        result = route(calendars, req.method, url, req.headers, body);
+      } catch (error) {
+        result = { code: 400, body: apiError(400, error.message) };
+      }
+
+      if (options.log) {
+        console.log(req.method, url.pathname + url.search, '->', result.code);
+      }
+
+      res.writeHead(result.code, { 'Content-Type': 'application/json' });
+      res.end(result.body === undefined ? '' : JSON.stringify(result.body));
+    });
+  });
+
+  server.calendars = calendars;
+  return server;
+}
+
+/**
+ * Answers one request
+ * @param {Object} calendars - Calendars by id
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Object} { code, body }
+ */
+function route(calendars, method, url, headers, body) {
+  var path = url.pathname.replace(/^\/calendar\/v3/, '');
+
+  if (path === '/token' && method === 'POST') {
+    return { code: 200, body: { access_token: 'fake-access-token', token_type: 'Bearer', expires_in: 3600 } };
+  }
+
+  if (path === '/_events' && method === 'GET') {
+    return { code: 200, body: Object.keys(calendars).map(function(id) {
+      return { calendar: calendars[id].resource.summary, events: listEvents(calendars[id], url.searchParams) };
+    }) };
+  }
+
+  if (!/^Bearer .+/.test(headers.authorization || '')) {
+    return { code: 401, body: apiError(401, 'Request is missing required authentication credential.') };
+  }
+
+  if (path === '/users/me/calendarList' && method === 'GET') {
+    return { code: 200, body: { kind: 'calendar#calendarList', items: Object.keys(calendars).map(function(id) {
+      return calendars[id].resource;
+    }) } };
+  }
+
+  var match = path.match(/^\/calendars\/([^/]+)(?:\/events(?:\/([^/]+))?)?$/);
+  var calendar = match && findCalendar(calendars, decodeURIComponent(match[1]));
+
+  if (!calendar) {
+    return { code: 404, body: apiError(404, 'Not Found') };
+  }
+
+  var isEventsPath = /\/events/.test(path);
+  var eventId = match[2] && decodeURIComponent(match[2]);
+
+  if (!isEventsPath) {
+    return method === 'GET' ? { code: 200, body: calendar.resource } : { code: 405, body: apiError(405, 'Method not allowed') };
+  }
+
+  if (!eventId) {
+    if (method === 'GET') {
+      return { code: 200, body: { kind: 'calendar#events', items: listEvents(calendar, url.searchParams) } };
+    }
+
+    if (method === 'POST') {
+      return insertEvent(calendar, JSON.parse(body || '{}'));
+    }
+
+    return { code: 405, body: apiError(405, 'Method not allowed') };
+  }
+
+  var event = calendar.events[eventId];
+
+  if (!event) {
+    return { code: 404, body: apiError(404, 'Not Found') };
+  }
+
+  if (method === 'GET') {
+    return { code: 200, body: event };
+  }
+
+  if (event.status === 'cancelled') {
+    return { code: 410, body: apiError(410, 'Resource has been deleted') };
+  }
+
+  if (method === 'PATCH') {
+    return { code: 200, body: patchEvent(event, JSON.parse(body || '{}')) };
+  }
+
+  if (method === 'DELETE') {
+    event.status = 'cancelled';
+    event.updated = new Date().toISOString();
+    return { code: 204 };
+  }
+
+  return { code: 405, body: apiError(405, 'Method not allowed') };
+}
+
+/**
+ * Finds a calendar by id; "primary" is the first calendar
+ * @param {Object} calendars - Calendars by id
+ * @param {string} id - Calendar id
+ * @returns {Object|null} Calendar
+ */
+function findCalendar(calendars, id) {
+  return calendars[id === 'primary' ? 'primary@fake' : id] || null;
+}
+
+/**
+ * Lists a calendar's live events overlapping timeMin-timeMax, oldest first
+ * @param {Object} calendar - Calendar
+ * @param {URLSearchParams} query - timeMin, timeMax
+ * @returns {Object[]} Event resources
+ */
+function listEvents(calendar, query) {
+  var timeMin = query.get('timeMin') ? Date.parse(query.get('timeMin')) : -Infinity;
+  var timeMax = query.get('timeMax') ? Date.parse(query.get('timeMax')) : Infinity;
+
+  return Object.keys(calendar.events).map(function(id) {
+    return calendar.events[id];
+  }).filter(function(event) {
+    return event.status !== 'cancelled' && getTime(event.start) < timeMax && getTime(event.end) > timeMin;
+  }).sort(function(a, b) {
+    return getTime(a.start) - getTime(b.start);
+  });
+}
+
+/**
+ * Creates an event
+ * @param {Object} calendar - Calendar
+ * @param {Object} resource - Event resource from the request
+ * @returns {Object} { code, body }
+ */
+function insertEvent(calendar, resource) {
+  if (!isValidTime(resource.start) || !isValidTime(resource.end)) {
+    return { code: 400, body: apiError(400, 'Missing or invalid start/end time.') };
+  }
+
+  var now = new Date().toISOString();
+  var event = Object.assign({}, resource, {
+    kind: 'calendar#event',
+    id: crypto.randomBytes(13).toString('hex'),
+    status: 'confirmed',
+    created: now,
+    updated: now
+  });
+
+  calendar.events[event.id] = event;
+  return { code: 200, body: event };
+}
+
+/**
+ * Applies PATCH semantics: given fields replace the event's, null clears a field, and
+ * extended properties are merged key by key
+ * @param {Object} event - Stored event resource
+ * @param {Object} changes - Fields from the request
+ * @returns {Object} Updated event
+ */
+function patchEvent(event, changes) {
+  Object.keys(changes).forEach(function(key) {
+    if (key === 'extendedProperties') {
+      var properties = event.extendedProperties = event.extendedProperties || {};
+      Object.keys(changes.extendedProperties).forEach(function(scope) {
+        properties[scope] = Object.assign({}, properties[scope], changes.extendedProperties[scope]);
+      });
+    } else if (key === 'start' || key === 'end') {
+      var time = {};
+      Object.keys(changes[key]).forEach(function(field) {
+        if (changes[key][field] !== null) {
+          time[field] = changes[key][field];
+        }
+      });
+      event[key] = time;
+    } else if (changes[key] === null) {
+      delete event[key];
+    } else {
+      event[key] = changes[key];
+    }
+  });
+
+  event.updated = new Date().toISOString();
+  return event;
+}
+
+/**
+ * Checks an event start or end
+ * @param {Object} time - { dateTime } or { date }
+ * @returns {boolean} True if it holds a parseable time
+ */
+function isValidTime(time) {
+  return !!time && !isNaN(getTime(time));
+}
+
+/**
+ * Reads an event start or end as milliseconds; all-day dates count from UTC midnight
+ * @param {Object} time - { dateTime } or { date }
+ * @returns {number} Milliseconds since the epoch
+ */
+function getTime(time) {
+  return Date.parse(time.dateTime || time.date);
+}
+
+/**
+ * Builds an error body like the Google APIs return
+ * @param {number} code - HTTP status
+ * @param {string} message - Error message
+ * @returns {Object} Error body
+ */
+function apiError(code, message) {
+  return { error: { code: code, message: message, errors: [{ message: message }] } };
+}
+
+module.exports = {
+  createFakeCalendarApi: createFakeCalendarApi
+};
+
+if (require.main === module) {
+  var port = 8081;
+  var names = [];
+  var zone = 'UTC';
+  var args = process.argv.slice(2);
+
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      port = Number(args[++i]);
+    } else if (args[i] === '--calendar') {
+      names.push(args[++i]);
+    } else if (args[i] === '--tz') {
+      zone = args[++i];
+    }
+  }
+
+  createFakeCalendarApi({ calendars: names.length > 0 ? names : undefined, timeZone: zone, log: true }).listen(port, function() {
+    console.log('Fake Calendar API listening on http://localhost:' + port + ' (token URL http://localhost:' + port + '/token)');
+  });
+}
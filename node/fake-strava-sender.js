@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+// =============================================================================
+// FAKE STRAVA SENDER - Plays Strava's side of a webhook subscription
+// =============================================================================
+//
+// Usage: node node/fake-strava-sender.js [--url URL] [--state FILE] [--verify-token TOKEN]
+//                                        [--calendar-api URL]
+//
+// Sends what Strava would send to the receiver in webhook-server.js: the subscription
+// check, a create event per fixture activity, a redelivered event, an update and a
+// delete, plus events Strava never sends, which must be rejected. Then waits for the
+// receiver's queue to drain and, with --calendar-api, prints the fake calendar's events.
+// Exits with status 1 if the receiver answered anything unexpectedly.
+
+var fs = require('fs');
+var path = require('path');
+
+var fixtures = require('./fixtures/strava.json');
+
+/**
+ * How long to wait for the receiver to apply the events
+ */
+var DRAIN_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Reads the command line; the verify token and subscription id default to the
+ * receiver's properties file
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { url, verifyToken, subscriptionId, calendarApi }
+ */
+function parseArguments(argv) {
+  var options = { url: 'http://localhost:8080/webhook', statePath: path.resolve('.strava-state.json'), verifyToken: null, calendarApi: null };
+
+  for (var i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      options.url = argv[++i];
+    } else if (argv[i] === '--state') {
+      options.statePath = path.resolve(argv[++i]);
+    } else if (argv[i] === '--verify-token') {
+      options.verifyToken = argv[++i];
+    } else if (argv[i] === '--calendar-api') {
+      options.calendarApi = argv[++i].replace(/\/$/, '');
+    }
+  }
+
+  var properties = fs.existsSync(options.statePath) ? JSON.parse(fs.readFileSync(options.statePath, 'utf8')) : {};
+  options.verifyToken = options.verifyToken || properties.STRAVA_VERIFY_TOKEN || '';
+  options.subscriptionId = Number(properties.WEBHOOK_SUBSCRIPTION_ID) || 1;
+  return options;
+}
+
+/**
+ * Builds a webhook event the way Strava sends them
+ * @param {string} aspectType - create, update or delete
+ * @param {number} activityId - Strava activity ID
+ * @param {Object} options - subscriptionId
+ * @param {Object} [updates] - Changed fields, for updates
+ * @returns {Object} Event
+ */
+function buildEvent(aspectType, activityId, options, updates) {
+  return {
+    aspect_type: aspectType,
+    event_time: Math.floor(Date.now() / 1000),
+    object_id: activityId,
+    object_type: 'activity',
+    owner_id: fixtures.athlete.id,
+    subscription_id: options.subscriptionId,
+    updates: updates || {}
+  };
+}
+
+/**
+ * Sends one request and checks the status code
+ * @param {Object} step - name, method, url, body (object), expect (status), check(body)
+ * @param {Object} results - Counts passed and failed steps
+ * @returns {Promise} Resolves when the step is done
+ */
+function runStep(step, results) {
+  var init = { method: step.method || 'GET' };
+
+  if (step.body !== undefined) {
+    init.body = typeof step.body === 'string' ? step.body : JSON.stringify(step.body);
+    init.headers = { 'Content-Type': 'application/json' };
+  }
+
+  return fetch(step.url, init).then(function(response) {
+    return response.text().then(function(text) {
+      var ok = response.status === step.expect && (!step.check || step.check(text));
+      results[ok ? 'passed' : 'failed']++;
+      console.log((ok ? 'PASS ' : 'FAIL ') + step.name + ' -> ' + response.status + ' ' + text);
+    });
+  }).catch(function(error) {
+    results.failed++;
+    console.log('FAIL ' + step.name + ' -> ' + String(error.cause || error));
+  });
+}
+
+/**
+ * Polls the receiver's health endpoint until no events are waiting
+ * @param {string} healthUrl - Health endpoint
+ * @returns {Promise<Object>} Final queue stats
+ */
+function waitForDrain(healthUrl) {
+  var deadline = Date.now() + DRAIN_TIMEOUT_MS;
+
+  var poll = function() {
+    return fetch(healthUrl).then(function(response) {
+      return response.json();
+    }).then(function(health) {
+      if (health.queue.pending === 0 || Date.now() > deadline) {
+        return health.queue;
+      }
+
+      return new Promise(function(resolve) {
+        setTimeout(resolve, 500);
+      }).then(poll);
+    });
+  };
+
+  return poll();
+}
+
+/**
+ * Sends the scenario and reports the result
+ */
+function run() {
+  var options = parseArguments(process.argv.slice(2));
+  var url = options.url;
+  var activities = fixtures.activities;
+  var first = activities[0];
+  var last = activities[activities.length - 1];
+  var results = { passed: 0, failed: 0 };
+  var redelivered = buildEvent('create', first.id, options);
+  var challenge = 'challenge-' + Date.now();
+
+  var steps = [
+    {
+      name: 'subscription check',
+      url: url + '?hub.mode=subscribe&hub.challenge=' + challenge + '&hub.verify_token=' + encodeURIComponent(options.verifyToken),
+      expect: 200,
+      check: function(text) {
+        return JSON.parse(text)['hub.challenge'] === challenge;
+      }
+    },
+    { name: 'subscription check with wrong token', url: url + '?hub.mode=subscribe&hub.challenge=x&hub.verify_token=wrong', expect: 403 }
+  ];
+
+  activities.forEach(function(activity) {
+    steps.push({ name: 'create ' + activity.id, method: 'POST', url: url, body: activity.id === first.id ? redelivered : buildEvent('create', activity.id, options), expect: 200 });
+  });
+
+  steps.push(
+    { name: 'redelivered create ' + first.id, method: 'POST', url: url, body: redelivered, expect: 200 },
+    { name: 'update ' + first.id, method: 'POST', url: url, body: buildEvent('update', first.id, options, { title: first.name }), expect: 200 },
+    { name: 'delete ' + last.id, method: 'POST', url: url, body: buildEvent('delete', last.id, options), expect: 200 },
+    { name: 'not JSON', method: 'POST', url: url, body: 'hello', expect: 400 },
+    { name: 'unknown aspect', method: 'POST', url: url, body: buildEvent('archive', first.id, options), expect: 400 },
+    { name: 'missing owner', method: 'POST', url: url, body: Object.assign(buildEvent('create', first.id, options), { owner_id: null }), expect: 400 }
+  );
+
+  steps.reduce(function(previous, step) {
+    return previous.then(function() {
+      return runStep(step, results);
+    });
+  }, Promise.resolve()).then(function() {
+    return waitForDrain(new URL('/health', url).toString());
+  }).then(function(queue) {
+    console.log('\nReceiver queue: ' + queue.pending + ' pending, ' + queue.deadLetters + ' dead letters');
+
+    if (queue.pending > 0) {
+      results.failed++;
+    }
+
+    if (!options.calendarApi) {
+      return;
+    }
+
+    return fetch(options.calendarApi + '/_events').then(function(response) {
+      return response.json();
+    }).then(function(calendars) {
+      calendars.forEach(function(calendar) {
+        console.log('\n' + calendar.calendar + ' (' + calendar.events.length + ' events)');
+        calendar.events.forEach(function(event) {
+          var tags = event.extendedProperties && event.extendedProperties.private || {};
+          console.log('  ' + (event.start.dateTime || event.start.date) + '  ' + event.summary + '  [' + (tags.stravaId || '-') + ']');
+        });
+      });
+    });
+  }).then(function() {
+    console.log('\n' + results.passed + ' passed, ' + results.failed + ' failed');
+    process.exitCode = results.failed > 0 ? 1 : 0;
+  });
+}
+
+run();
@@ -0,0 +1,344 @@
+// =============================================================================
+// FAKES - In-memory stand-ins for Google Calendar and Strava
+// =============================================================================
+//
+// Lets the engine run locally without a Google account or network access:
+// calendars live in memory, and Strava answers from recorded fixtures.
+
+var nodePlatform = require('./platform');
+
+// =============================================================================
+// CALENDAR - The parts of CalendarApp the engine uses
+// =============================================================================
+
+/**
+ * Creates an in-memory calendar service with the same shape as CalendarApp
+ * @param {Object} [options] - names: calendars to create besides the default one,
+ *   timeZone: time zone reported by every calendar (default: UTC)
+ * @returns {Object} Calendar service; createCalendar(name) adds calendars later
+ */
+function createMemoryCalendarService(options) {
+  options = options || {};
+  var timeZone = options.timeZone || 'UTC';
+  var calendars = [];
+  var nextEventId = 1;
+
+  var service = {
+    Visibility: { DEFAULT: 'DEFAULT', PRIVATE: 'PRIVATE', PUBLIC: 'PUBLIC', CONFIDENTIAL: 'CONFIDENTIAL' },
+    EventColor: nodePlatform.EVENT_COLORS,
+
+    getCalendarsByName: function(name) {
+      return calendars.filter(function(calendar) {
+        return calendar.getName() === name;
+      });
+    },
+    getCalendarById: function(id) {
+      return calendars.filter(function(calendar) {
+        return calendar.getId() === id;
+      })[0] || null;
+    },
+    getDefaultCalendar: function() {
+      return calendars[0];
+    },
+    getAllCalendars: function() {
+      return calendars.slice();
+    },
+    getAllOwnedCalendars: function() {
+      return calendars.slice();
+    },
+    createCalendar: function(name) {
+      var calendar = createMemoryCalendar(name, slugify(name) + '@local', timeZone, function() {
+        return 'event-' + nextEventId++;
+      });
+      calendars.push(calendar);
+      return calendar;
+    }
+  };
+
+  service.createCalendar('Default');
+  (options.names || []).forEach(function(name) {
+    service.createCalendar(name);
+  });
+
+  return service;
+}
+
+/**
+ * Creates one in-memory calendar
+ * @param {string} name - Calendar name
+ * @param {string} id - Calendar id
+ * @param {string} timeZone - Time zone the calendar reports
+ * @param {Function} newEventId - Returns a fresh event id
+ * @returns {Object} Calendar; its events array holds every event ever created
+ */
+function createMemoryCalendar(name, id, timeZone, newEventId) {
+  var calendar = {
+    events: [],
+
+    getId: function() {
+      return id;
+    },
+    getName: function() {
+      return name;
+    },
+    getTimeZone: function() {
+      return timeZone;
+    },
+    isOwnedByMe: function() {
+      return true;
+    },
+    createEvent: function(title, startTime, endTime, options) {
+      var event = createMemoryEvent(calendar, newEventId(), title, startTime, endTime, options, false);
+      calendar.events.push(event);
+      return event;
+    },
+    createAllDayEvent: function(title, date, options) {
+      var event = createMemoryEvent(calendar, newEventId(), title, date, new Date(date.getTime() + 24 * 60 * 60 * 1000), options, true);
+      calendar.events.push(event);
+      return event;
+    },
+    getEvents: function(startTime, endTime, options) {
+      var search = options && options.search ? String(options.search).toLowerCase() : null;
+
+      return calendar.getLiveEvents().filter(function(event) {
+        if (event.getStartTime() >= endTime || event.getEndTime() <= startTime) {
+          return false;
+        }
+
+        if (search) {
+          var text = [event.getTitle(), event.getDescription(), event.getLocation()].join('\n').toLowerCase();
+          return text.indexOf(search) !== -1;
+        }
+
+        return true;
+      });
+    },
+    getEventById: function(eventId) {
+      return calendar.getLiveEvents().filter(function(event) {
+        return event.getId() === eventId;
+      })[0] || null;
+    },
+    /**
+     * Gets events that have not been deleted, oldest first
+     * @returns {Object[]} Events
+     */
+    getLiveEvents: function() {
+      return calendar.events.filter(function(event) {
+        return !event.deleted;
+      }).sort(function(a, b) {
+        return a.getStartTime() - b.getStartTime();
+      });
+    }
+  };
+
+  return calendar;
+}
+
+/**
+ * Creates one in-memory calendar event
+ * @param {Object} calendar - Calendar the event belongs to
+ * @param {string} id - Event id
+ * @param {string} title - Event title
+ * @param {Date} startTime - Start
+ * @param {Date} endTime - End
+ * @param {Object} [options] - description and location
+ * @param {boolean} allDay - Whether it is an all-day event
+ * @returns {Object} Event with the CalendarEvent getters and setters the engine uses
+ */
+function createMemoryEvent(calendar, id, title, startTime, endTime, options, allDay) {
+  options = options || {};
+  var start = new Date(startTime);
+  var end = new Date(endTime);
+  var description = options.description || '';
+  var location = options.location || '';
+  var color = '';
+  var visibility = 'DEFAULT';
+  var tags = {};
+
+  var event = {
+    deleted: false,
+
+    getId: function() {
+      return id;
+    },
+    getOriginalCalendarId: function() {
+      return calendar.getId();
+    },
+    getTitle: function() {
+      return title;
+    },
+    setTitle: function(value) {
+      title = value;
+      return event;
+    },
+    getDescription: function() {
+      return description;
+    },
+    setDescription: function(value) {
+      description = value;
+      return event;
+    },
+    getLocation: function() {
+      return location;
+    },
+    setLocation: function(value) {
+      location = value;
+      return event;
+    },
+    getStartTime: function() {
+      return new Date(start);
+    },
+    getEndTime: function() {
+      return new Date(end);
+    },
+    setTime: function(startValue, endValue) {
+      start = new Date(startValue);
+      end = new Date(endValue);
+      allDay = false;
+      return event;
+    },
+    isAllDayEvent: function() {
+      return allDay;
+    },
+    getColor: function() {
+      return color;
+    },
+    setColor: function(value) {
+      color = value;
+      return event;
+    },
+    getVisibility: function() {
+      return visibility;
+    },
+    setVisibility: function(value) {
+      visibility = value;
+      return event;
+    },
+    getTag: function(key) {
+      return Object.prototype.hasOwnProperty.call(tags, key) ? tags[key] : null;
+    },
+    setTag: function(key, value) {
+      tags[key] = String(value);
+      return event;
+    },
+    getAllTagKeys: function() {
+      return Object.keys(tags);
+    },
+    deleteEvent: function() {
+      event.deleted = true;
+    }
+  };
+
+  return event;
+}
+
+/**
+ * Turns a calendar name into an id-friendly string
+ * @param {string} name - Calendar name
+ * @returns {string} Lowercase name with dashes
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'calendar';
+}
+
+// =============================================================================
+// STRAVA - Answers API requests from recorded fixtures
+// =============================================================================
+
+/**
+ * Properties that make the fixtures work without any setup
+ */
+var FIXTURE_PROPERTIES = {
+  STRAVA_CLIENT_ID: '12345',
+  STRAVA_CLIENT_SECRET: 'fixture-secret',
+  STRAVA_REFRESH_TOKEN: 'fixture-refresh-token'
+};
+
+/**
+ * Creates an HTTP adapter that plays Strava from fixtures instead of calling it.
+ * Supports the token endpoint, /athlete, /athlete/activities and /activities/{id}.
+ * @param {Object} fixtures - token, athlete, activities (summaries) and details
+ *   (detailed activities keyed by id), e.g. node/fixtures/strava.json
+ * @returns {Object} Adapter with fetch(url, options) and the requests it received
+ */
+function createFixtureHttp(fixtures) {
+  var headers = { 'X-RateLimit-Limit': '200,2000', 'X-RateLimit-Usage': '0,0' };
+  var usage = 0;
+
+  var http = {
+    requests: [],
+    fetch: function(url, options) {
+      options = options || {};
+      http.requests.push({ method: String(options.method || 'get').toUpperCase(), url: url });
+      usage++;
+      headers['X-RateLimit-Usage'] = usage + ',' + usage;
+
+      var parsed = new URL(url);
+      var query = parsed.searchParams;
+      var path = parsed.pathname;
+
+      if (path === '/oauth/token' || path === '/api/v3/oauth/token') {
+        var token = Object.assign({}, fixtures.token, {
+          expires_at: Math.floor(Date.now() / 1000) + 6 * 60 * 60,
+          athlete: fixtures.athlete
+        });
+        return nodePlatform.createResponse(200, token, headers);
+      }
+
+      if (path === '/api/v3/athlete') {
+        return nodePlatform.createResponse(200, fixtures.athlete, headers);
+      }
+
+      if (path === '/api/v3/athlete/activities') {
+        return nodePlatform.createResponse(200, listActivities(fixtures.activities || [], query), headers);
+      }
+
+      var match = path.match(/^\/api\/v3\/activities\/(\d+)$/);
+
+      if (match) {
+        var detail = (fixtures.details || {})[match[1]] || (fixtures.activities || []).filter(function(activity) {
+          return String(activity.id) === match[1];
+        })[0];
+
+        return detail ?
+          nodePlatform.createResponse(200, detail, headers) :
+          nodePlatform.createResponse(404, { message: 'Record Not Found', errors: [{ resource: 'Activity', field: 'id', code: 'not found' }] }, headers);
+      }
+
+      return nodePlatform.createResponse(404, { message: 'No fixture for ' + url }, headers);
+    }
+  };
+
+  return http;
+}
+
+/**
+ * Filters and pages fixture activities the way Strava's activity list does:
+ * newest first, or oldest first when "after" is given
+ * @param {Object[]} activities - Summary activities
+ * @param {URLSearchParams} query - after, before, page, per_page
+ * @returns {Object[]} One page of activities
+ */
+function listActivities(activities, query) {
+  var after = query.get('after');
+  var before = query.get('before');
+  var perPage = Number(query.get('per_page') || 30);
+  var page = Number(query.get('page') || 1);
+
+  var list = activities.filter(function(activity) {
+    var start = Date.parse(activity.start_date) / 1000;
+    return (!after || start > Number(after)) && (!before || start < Number(before));
+  }).sort(function(a, b) {
+    return after ?
+      Date.parse(a.start_date) - Date.parse(b.start_date) :
+      Date.parse(b.start_date) - Date.parse(a.start_date);
+  });
+
+  return list.slice((page - 1) * perPage, page * perPage);
+}
+
+module.exports = {
+  createMemoryCalendarService: createMemoryCalendarService,
+  createFixtureHttp: createFixtureHttp,
+  FIXTURE_PROPERTIES: FIXTURE_PROPERTIES
+};
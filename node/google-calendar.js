@@ -0,0 +1,463 @@
+// =============================================================================
+// GOOGLE CALENDAR - CalendarApp-shaped client for the Google Calendar REST API
+// =============================================================================
+//
+// Gives the engine the same calendar interface as CalendarApp (see getPlatform() in
+// src/main.js), backed by Calendar API v3 requests. Requests are synchronous like the
+// rest of the engine; every setter writes straight away, as in Apps Script. Tags are
+// kept in the event's private extended properties. Timed events carry a time zone: the
+// timeZone option the engine passes to createEvent() (the activity's), else the calendar's.
+
+var crypto = require('crypto');
+var fs = require('fs');
+
+var nodePlatform = require('./platform');
+
+var GOOGLE_CALENDAR_API = 'https://www.googleapis.com/calendar/v3';
+var GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+var CALENDAR_SCOPE = 'https://www.googleapis.com/auth/calendar';
+
+/**
+ * How often a request is retried after a 429 or 5xx response
+ */
+var MAX_CALENDAR_RETRIES = 3;
+
+/**
+ * Largest page of events the API returns
+ */
+var EVENTS_PAGE_SIZE = 2500;
+
+/**
+ * Maps CalendarApp.Visibility names to the API's visibility values
+ */
+var VISIBILITY = { DEFAULT: 'default', PUBLIC: 'public', PRIVATE: 'private', CONFIDENTIAL: 'confidential' };
+
+/**
+ * Creates access tokens for the Calendar API from one of: a service account key file,
+ * an OAuth client with a refresh token, or a fixed access token (e.g. for a fake API)
+ * @param {Object} options - serviceAccountFile, subject (user to act as), or
+ *   clientId + clientSecret + refreshToken, or accessToken; tokenUrl, http
+ * @returns {Object} Auth with getAccessToken(forceRefresh)
+ */
+function createGoogleAuth(options) {
+  var http = options.http || nodePlatform.createNodeHttp();
+  var tokenUrl = options.tokenUrl || GOOGLE_TOKEN_URL;
+  var cached = null;
+
+  var requestToken = function() {
+    var payload;
+
+    if (options.serviceAccountFile) {
+      var key = JSON.parse(fs.readFileSync(options.serviceAccountFile, 'utf8'));
+      payload = {
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: createServiceAccountAssertion(key, options.subject, key.token_uri || tokenUrl)
+      };
+      tokenUrl = key.token_uri || tokenUrl;
+    } else if (options.refreshToken) {
+      payload = {
+        grant_type: 'refresh_token',
+        client_id: options.clientId,
+        client_secret: options.clientSecret,
+        refresh_token: options.refreshToken
+      };
+    } else {
+      throw new Error('No Google credentials - set GOOGLE_SERVICE_ACCOUNT_FILE or GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REFRESH_TOKEN');
+    }
+
+    var response = http.fetch(tokenUrl, { method: 'post', payload: payload, muteHttpExceptions: true });
+
+    if (response.getResponseCode() !== 200) {
+      throw new Error('Failed to get a Google access token: ' + response.getContentText());
+    }
+
+    var data = JSON.parse(response.getContentText());
+    return { accessToken: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+  };
+
+  return {
+    getAccessToken: function(forceRefresh) {
+      if (options.accessToken) {
+        return options.accessToken;
+      }
+
+      // Refresh a minute early so a token never expires mid-request
+      if (forceRefresh || !cached || cached.expiresAt - 60 * 1000 < Date.now()) {
+        cached = requestToken();
+      }
+
+      return cached.accessToken;
+    }
+  };
+}
+
+/**
+ * Signs the JWT a service account exchanges for an access token
+ * @param {Object} key - Service account key file contents
+ * @param {string} [subject] - User to act as (domain-wide delegation)
+ * @param {string} audience - Token URL
+ * @returns {string} Signed JWT
+ */
+function createServiceAccountAssertion(key, subject, audience) {
+  var now = Math.floor(Date.now() / 1000);
+  var claims = { iss: key.client_email, scope: CALENDAR_SCOPE, aud: audience, iat: now, exp: now + 3600 };
+
+  if (subject) {
+    claims.sub = subject;
+  }
+
+  var unsigned = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' })) + '.' + base64Url(JSON.stringify(claims));
+  var signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(key.private_key);
+  return unsigned + '.' + base64Url(signature);
+}
+
+/**
+ * Encodes text or bytes as unpadded base64url
+ * @param {string|Buffer} data - Data to encode
+ * @returns {string} Encoded data
+ */
+function base64Url(data) {
+  return Buffer.from(data).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Creates a calendar service with the same shape as CalendarApp, backed by the REST API
+ * @param {Object} options - auth (from createGoogleAuth), baseUrl (default: Google's API),
+ *   calendarIds (calendars to use besides those in the calendar list, e.g. ones shared
+ *   with a service account), http, sleep
+ * @returns {Object} Calendar service for setPlatform({ calendar: ... })
+ */
+function createGoogleCalendarService(options) {
+  var client = createApiClient(options);
+  var extraCalendarIds = options.calendarIds || [];
+
+  var service = {
+    Visibility: VISIBILITY,
+    EventColor: nodePlatform.EVENT_COLORS,
+
+    getAllCalendars: function() {
+      var calendars = [];
+      var seen = {};
+      var pageToken = null;
+
+      do {
+        var page = client.request('get', '/users/me/calendarList', { pageToken: pageToken });
+        (page.items || []).forEach(function(resource) {
+          seen[resource.id] = true;
+          calendars.push(createApiCalendar(client, resource));
+        });
+        pageToken = page.nextPageToken;
+      } while (pageToken);
+
+      extraCalendarIds.forEach(function(id) {
+        var calendar = !seen[id] && service.getCalendarById(id);
+        if (calendar) {
+          calendars.push(calendar);
+        }
+      });
+
+      return calendars;
+    },
+    getAllOwnedCalendars: function() {
+      return service.getAllCalendars();
+    },
+    getCalendarsByName: function(name) {
+      return service.getAllCalendars().filter(function(calendar) {
+        return calendar.getName() === name;
+      });
+    },
+    getCalendarById: function(id) {
+      var resource = client.request('get', '/calendars/' + encodeURIComponent(id), null, null, true);
+      return resource ? createApiCalendar(client, resource) : null;
+    },
+    getDefaultCalendar: function() {
+      return service.getCalendarById('primary');
+    }
+  };
+
+  return service;
+}
+
+/**
+ * Creates the request helper shared by calendars and events
+ * @param {Object} options - auth, baseUrl, http, sleep
+ * @returns {Object} Client with request(method, path, query, body, allowNotFound)
+ */
+function createApiClient(options) {
+  var http = options.http || nodePlatform.createNodeHttp();
+  var sleep = options.sleep || nodePlatform.sleep;
+  var baseUrl = (options.baseUrl || GOOGLE_CALENDAR_API).replace(/\/$/, '');
+
+  return {
+    /**
+     * Sends one API request, refreshing the token once on 401 and backing off on 429/5xx
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the API base URL
+     * @param {Object} [query] - Query parameters; null and undefined values are left out
+     * @param {Object} [body] - JSON body
+     * @param {boolean} [allowNotFound] - Return null for 404 and 410 instead of throwing
+     * @returns {Object|null} Parsed response body
+     */
+    request: function(method, path, query, body, allowNotFound) {
+      var url = baseUrl + path + buildQueryString(query);
+      var forceRefresh = false;
+
+      for (var attempt = 0; ; attempt++) {
+        var request = {
+          method: method,
+          headers: { Authorization: 'Bearer ' + options.auth.getAccessToken(forceRefresh) },
+          muteHttpExceptions: true
+        };
+
+        if (body) {
+          request.payload = JSON.stringify(body);
+          request.contentType = 'application/json';
+        }
+
+        var response = http.fetch(url, request);
+        var code = response.getResponseCode();
+
+        if (code === 401 && !forceRefresh) {
+          forceRefresh = true;
+          continue;
+        }
+
+        if ((code === 429 || code >= 500) && attempt < MAX_CALENDAR_RETRIES) {
+          sleep(Math.pow(2, attempt) * 1000);
+          continue;
+        }
+
+        if (allowNotFound && (code === 404 || code === 410)) {
+          return null;
+        }
+
+        if (code < 200 || code >= 300) {
+          throw new Error('Calendar API ' + method.toUpperCase() + ' ' + path + ' failed (' + code + '): ' + response.getContentText());
+        }
+
+        var text = response.getContentText();
+        return text ? JSON.parse(text) : {};
+      }
+    }
+  };
+}
+
+/**
+ * Builds a query string from parameters
+ * @param {Object} [query] - Query parameters
+ * @returns {string} "?a=1&b=2", or "" if there are none
+ */
+function buildQueryString(query) {
+  var parts = Object.keys(query || {}).filter(function(key) {
+    return query[key] !== null && query[key] !== undefined;
+  }).map(function(key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(query[key]);
+  });
+
+  return parts.length > 0 ? '?' + parts.join('&') : '';
+}
+
+/**
+ * Wraps a calendar resource in CalendarApp's Calendar interface
+ * @param {Object} client - API client
+ * @param {Object} resource - Calendar or calendarList resource
+ * @returns {Object} Calendar
+ */
+function createApiCalendar(client, resource) {
+  var eventsPath = '/calendars/' + encodeURIComponent(resource.id) + '/events';
+
+  var calendar = {
+    getId: function() {
+      return resource.id;
+    },
+    getName: function() {
+      return resource.summaryOverride || resource.summary;
+    },
+    getTimeZone: function() {
+      return resource.timeZone || 'UTC';
+    },
+    isOwnedByMe: function() {
+      return !resource.accessRole || resource.accessRole === 'owner';
+    },
+    createEvent: function(title, startTime, endTime, options) {
+      options = options || {};
+      return calendar.insertEvent({
+        summary: title,
+        description: options.description || '',
+        location: options.location || '',
+        start: { dateTime: new Date(startTime).toISOString(), timeZone: options.timeZone || calendar.getTimeZone() },
+        end: { dateTime: new Date(endTime).toISOString(), timeZone: options.timeZone || calendar.getTimeZone() }
+      });
+    },
+    createAllDayEvent: function(title, date, options) {
+      options = options || {};
+      var day = formatDay(date, calendar.getTimeZone());
+      var nextDay = formatDay(new Date(date.getTime() + 24 * 60 * 60 * 1000), calendar.getTimeZone());
+      return calendar.insertEvent({
+        summary: title,
+        description: options.description || '',
+        location: options.location || '',
+        start: { date: day },
+        end: { date: nextDay }
+      });
+    },
+    getEvents: function(startTime, endTime, options) {
+      var events = [];
+      var pageToken = null;
+
+      do {
+        var page = client.request('get', eventsPath, {
+          timeMin: new Date(startTime).toISOString(),
+          timeMax: new Date(endTime).toISOString(),
+          singleEvents: 'true',
+          orderBy: 'startTime',
+          maxResults: EVENTS_PAGE_SIZE,
+          pageToken: pageToken
+        });
+        events = events.concat((page.items || []).map(function(resource) {
+          return createApiEvent(client, calendar, resource);
+        }));
+        pageToken = page.nextPageToken;
+      } while (pageToken);
+
+      // The API's "q" matches whole words only; CalendarApp's search matches any text
+      var search = options && options.search ? String(options.search).toLowerCase() : null;
+
+      return !search ? events : events.filter(function(event) {
+        var text = [event.getTitle(), event.getDescription(), event.getLocation()].join('\n').toLowerCase();
+        return text.indexOf(search) !== -1;
+      });
+    },
+    getEventById: function(eventId) {
+      var resource = client.request('get', eventsPath + '/' + encodeURIComponent(eventId), null, null, true);
+      return resource && resource.status !== 'cancelled' ? createApiEvent(client, calendar, resource) : null;
+    },
+    /**
+     * Creates an event from an event resource
+     * @param {Object} resource - Event resource
+     * @returns {Object} Event
+     */
+    insertEvent: function(resource) {
+      return createApiEvent(client, calendar, client.request('post', eventsPath, null, resource));
+    },
+    /**
+     * Gets the API path of one of this calendar's events
+     * @param {string} eventId - Event id
+     * @returns {string} Path
+     */
+    getEventPath: function(eventId) {
+      return eventsPath + '/' + encodeURIComponent(eventId);
+    }
+  };
+
+  return calendar;
+}
+
+/**
+ * Wraps an event resource in CalendarApp's CalendarEvent interface. Setters patch the
+ * event straight away and keep the returned resource.
+ * @param {Object} client - API client
+ * @param {Object} calendar - Calendar the event belongs to
+ * @param {Object} resource - Event resource
+ * @returns {Object} Event
+ */
+function createApiEvent(client, calendar, resource) {
+  var patch = function(changes) {
+    resource = client.request('patch', calendar.getEventPath(resource.id), null, changes);
+    return event;
+  };
+
+  var readTime = function(time) {
+    return time.dateTime ? new Date(time.dateTime) :
+      nodePlatform.utilities.parseDate(time.date, calendar.getTimeZone(), 'yyyy-MM-dd');
+  };
+
+  var event = {
+    getId: function() {
+      return resource.id;
+    },
+    getOriginalCalendarId: function() {
+      return calendar.getId();
+    },
+    getTitle: function() {
+      return resource.summary || '';
+    },
+    setTitle: function(title) {
+      return patch({ summary: title });
+    },
+    getDescription: function() {
+      return resource.description || '';
+    },
+    setDescription: function(description) {
+      return patch({ description: description });
+    },
+    getLocation: function() {
+      return resource.location || '';
+    },
+    setLocation: function(location) {
+      return patch({ location: location });
+    },
+    getStartTime: function() {
+      return readTime(resource.start);
+    },
+    getEndTime: function() {
+      return readTime(resource.end);
+    },
+    setTime: function(startTime, endTime) {
+      // CalendarApp's setTime() takes no time zone, so keep the one the event was created with
+      var timeZone = resource.start.timeZone || calendar.getTimeZone();
+      return patch({
+        start: { dateTime: new Date(startTime).toISOString(), timeZone: timeZone, date: null },
+        end: { dateTime: new Date(endTime).toISOString(), timeZone: timeZone, date: null }
+      });
+    },
+    isAllDayEvent: function() {
+      return !!resource.start.date;
+    },
+    getColor: function() {
+      return resource.colorId || '';
+    },
+    setColor: function(color) {
+      return patch({ colorId: color });
+    },
+    getVisibility: function() {
+      return resource.visibility || VISIBILITY.DEFAULT;
+    },
+    setVisibility: function(visibility) {
+      return patch({ visibility: visibility });
+    },
+    getTag: function(key) {
+      var tags = resource.extendedProperties && resource.extendedProperties.private || {};
+      return Object.prototype.hasOwnProperty.call(tags, key) ? tags[key] : null;
+    },
+    setTag: function(key, value) {
+      var tags = {};
+      tags[key] = String(value);
+      return patch({ extendedProperties: { private: tags } });
+    },
+    getAllTagKeys: function() {
+      return Object.keys(resource.extendedProperties && resource.extendedProperties.private || {});
+    },
+    deleteEvent: function() {
+      client.request('delete', calendar.getEventPath(resource.id), null, null, true);
+    }
+  };
+
+  return event;
+}
+
+/**
+ * Formats a date as yyyy-MM-dd in a time zone
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Day
+ */
+function formatDay(date, timeZone) {
+  return nodePlatform.utilities.formatDate(date, timeZone, 'yyyy-MM-dd');
+}
+
+module.exports = {
+  createGoogleAuth: createGoogleAuth,
+  createGoogleCalendarService: createGoogleCalendarService,
+  GOOGLE_CALENDAR_API: GOOGLE_CALENDAR_API
+};
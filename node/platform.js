@@ -0,0 +1,442 @@
+// =============================================================================
+// NODE.JS PLATFORM - Runs the sync engine from src/main.js outside Apps Script
+// =============================================================================
+//
+// Implements the platform adapters described in src/main.js (see getPlatform())
+// with Node.js built-ins only. The engine is synchronous like Apps Script, so
+// HTTP requests run in a short-lived child process and sleep blocks the thread.
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+
+/**
+ * Script run in a child process to perform one HTTP request with fetch() and
+ * print the response as JSON. Reads { url, init } from stdin.
+ */
+var FETCH_SCRIPT = [
+  'var input = "";',
+  'process.stdin.on("data", function(chunk) { input += chunk; });',
+  'process.stdin.on("end", function() {',
+  '  var request = JSON.parse(input);',
+  '  fetch(request.url, request.init).then(function(response) {',
+  '    var headers = {};',
+  '    response.headers.forEach(function(value, name) { headers[name] = value; });',
+  '    return response.text().then(function(body) {',
+  '      process.stdout.write(JSON.stringify({ code: response.status, headers: headers, body: body }));',
+  '    });',
+  '  }).catch(function(error) {',
+  '    process.stderr.write(String(error && error.cause || error));',
+  '    process.exit(1);',
+  '  });',
+  '});'
+].join('\n');
+
+/**
+ * How long one HTTP request may take before it is abandoned
+ */
+var HTTP_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Calendar event colors, same ids as CalendarApp.EventColor and the Calendar API's colorId
+ */
+var EVENT_COLORS = {
+  PALE_BLUE: '1',
+  PALE_GREEN: '2',
+  MAUVE: '3',
+  PALE_RED: '4',
+  YELLOW: '5',
+  ORANGE: '6',
+  CYAN: '7',
+  GRAY: '8',
+  BLUE: '9',
+  GREEN: '10',
+  RED: '11'
+};
+
+/**
+ * Builds the platform adapters for Node.js
+ * @param {Object} [options] - Adapters to use instead of the defaults:
+ *   http (default: real HTTP), calendar (default: in-memory calendars from fakes.js),
+ *   storage (default: in-memory), scheduler (default: in-memory), cache (default:
+ *   in-memory), geocoder (default: none, see createGoogleGeocoder()), mail (default:
+ *   printed to the console), spreadsheets (default: none, so no sync log), timeZone
+ * @returns {Object} Platform adapters for setPlatform()
+ */
+function createNodePlatform(options) {
+  options = options || {};
+  var timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  return {
+    http: options.http || createNodeHttp(),
+    calendar: options.calendar || require('./fakes').createMemoryCalendarService({ timeZone: timeZone }),
+    storage: options.storage || createMemoryStorage(),
+    scheduler: options.scheduler || createMemoryScheduler(),
+    sleep: sleep,
+    utilities: nodeUtilities,
+    timeZone: function() {
+      return timeZone;
+    },
+    cache: options.cache || createMemoryCache(),
+    geocoder: options.geocoder || null,
+    mail: options.mail || createConsoleMail(),
+    spreadsheets: options.spreadsheets || null
+  };
+}
+
+/**
+ * Creates an HTTP adapter that performs real requests, synchronously
+ * @returns {Object} Adapter with fetch(url, options) like UrlFetchApp.fetch
+ */
+function createNodeHttp() {
+  return {
+    fetch: function(url, options) {
+      options = options || {};
+      var init = { method: String(options.method || 'get').toUpperCase(), headers: Object.assign({}, options.headers) };
+
+      if (options.payload !== undefined) {
+        // UrlFetchApp form-encodes object payloads
+        init.body = typeof options.payload === 'string' ? options.payload : new URLSearchParams(options.payload).toString();
+        init.headers['Content-Type'] = options.contentType || 'application/x-www-form-urlencoded';
+      }
+
+      var output;
+
+      try {
+        output = childProcess.execFileSync(process.execPath, ['-e', FETCH_SCRIPT], {
+          input: JSON.stringify({ url: url, init: init }),
+          timeout: HTTP_TIMEOUT_MS,
+          maxBuffer: 64 * 1024 * 1024,
+          stdio: ['pipe', 'pipe', 'pipe']
+        });
+      } catch (error) {
+        throw new Error('Request to ' + url + ' failed: ' + String(error.stderr || error.message).trim());
+      }
+
+      var result = JSON.parse(output.toString('utf8'));
+      return createResponse(result.code, result.body, result.headers);
+    }
+  };
+}
+
+/**
+ * Wraps a status, body and headers in a UrlFetchApp-like HTTPResponse
+ * @param {number} code - HTTP status
+ * @param {string|Object} body - Response body (objects are sent as JSON)
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} Response with getResponseCode, getContentText, getHeaders and getAllHeaders
+ */
+function createResponse(code, body, headers) {
+  var text = typeof body === 'string' ? body : JSON.stringify(body);
+
+  return {
+    getResponseCode: function() {
+      return code;
+    },
+    getContentText: function() {
+      return text;
+    },
+    getHeaders: function() {
+      return headers || {};
+    },
+    getAllHeaders: function() {
+      return headers || {};
+    }
+  };
+}
+
+/**
+ * Creates a cache held in memory, like the Apps Script script cache
+ * @returns {Object} Cache with get, put and remove
+ */
+function createMemoryCache() {
+  var entries = {};
+
+  return {
+    get: function(key) {
+      var entry = entries[key];
+      return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    },
+    put: function(key, value, seconds) {
+      entries[key] = { value: String(value), expiresAt: Date.now() + (seconds || 600) * 1000 };
+    },
+    remove: function(key) {
+      delete entries[key];
+    }
+  };
+}
+
+/**
+ * Creates a mail adapter that prints emails instead of sending them
+ * @returns {Object} Adapter with sendEmail(recipient, subject, body) like MailApp
+ */
+function createConsoleMail() {
+  return {
+    sendEmail: function(recipient, subject, body) {
+      console.log('Email to ' + recipient + ' (not sent - no mail adapter): ' + subject + '\n' + body);
+    }
+  };
+}
+
+/**
+ * Creates a geocoder backed by the Google Geocoding API, answering like Apps Script's
+ * Maps.newGeocoder().reverseGeocode()
+ * @param {Object} options - apiKey, http (default: real HTTP)
+ * @returns {Object} Geocoder with reverseGeocode(lat, lng, language)
+ */
+function createGoogleGeocoder(options) {
+  var http = options.http || createNodeHttp();
+
+  return {
+    reverseGeocode: function(lat, lng, language) {
+      var response = http.fetch('https://maps.googleapis.com/maps/api/geocode/json?latlng=' + lat + ',' + lng +
+        '&language=' + encodeURIComponent(language || 'en') + '&key=' + encodeURIComponent(options.apiKey), { muteHttpExceptions: true });
+
+      if (response.getResponseCode() !== 200) {
+        throw new Error('Geocoding request failed (' + response.getResponseCode() + '): ' + response.getContentText());
+      }
+      return JSON.parse(response.getContentText());
+    }
+  };
+}
+
+/**
+ * Creates key-value storage held in memory, like Script Properties
+ * @param {Object} [initial] - Properties to start with
+ * @returns {Object} Storage with getProperty, setProperty, deleteProperty, getProperties, setProperties and getKeys
+ */
+function createMemoryStorage(initial) {
+  var values = {};
+
+  Object.keys(initial || {}).forEach(function(key) {
+    values[key] = String(initial[key]);
+  });
+
+  var storage = {
+    getProperty: function(key) {
+      return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : null;
+    },
+    setProperty: function(key, value) {
+      values[key] = String(value);
+      return storage;
+    },
+    deleteProperty: function(key) {
+      delete values[key];
+      return storage;
+    },
+    getProperties: function() {
+      return Object.assign({}, values);
+    },
+    setProperties: function(properties) {
+      Object.keys(properties).forEach(function(key) {
+        storage.setProperty(key, properties[key]);
+      });
+      return storage;
+    },
+    getKeys: function() {
+      return Object.keys(values);
+    }
+  };
+
+  return storage;
+}
+
+/**
+ * Creates key-value storage kept in a JSON file, so sync state survives between runs
+ * @param {string} path - File to keep the properties in (created on the first write)
+ * @returns {Object} Storage like Script Properties
+ */
+function createFileStorage(path) {
+  var values = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : {};
+  var storage = createMemoryStorage(values);
+  var setProperty = storage.setProperty;
+  var deleteProperty = storage.deleteProperty;
+
+  var save = function() {
+    fs.writeFileSync(path, JSON.stringify(storage.getProperties(), null, 2));
+  };
+
+  storage.setProperty = function(key, value) {
+    setProperty.call(storage, key, value);
+    save();
+    return storage;
+  };
+
+  storage.deleteProperty = function(key) {
+    deleteProperty.call(storage, key);
+    save();
+    return storage;
+  };
+
+  return storage;
+}
+
+/**
+ * Creates a scheduler that keeps one-off jobs in memory. Node.js has no triggers;
+ * whoever runs the engine calls runDueJobs() to carry on scheduled continuations.
+ * @returns {Object} Scheduler with runOnce, cancel, getHandlers, jobs and runDueJobs
+ */
+function createMemoryScheduler() {
+  var scheduler = {
+    jobs: [],
+    runOnce: function(handler, delayMs) {
+      scheduler.jobs.push({ handler: handler, runAt: Date.now() + (delayMs || 0) });
+    },
+    cancel: function(handler) {
+      scheduler.jobs = scheduler.jobs.filter(function(job) {
+        return job.handler !== handler;
+      });
+    },
+    getHandlers: function() {
+      return scheduler.jobs.map(function(job) {
+        return job.handler;
+      });
+    },
+    /**
+     * Runs scheduled jobs in order until none are left, waiting for each to be due
+     * @param {Object} engine - Engine functions, e.g. require('../src/main.js')
+     * @param {number} [maxWaitMs] - Longest wait for a job; later jobs run early
+     */
+    runDueJobs: function(engine, maxWaitMs) {
+      while (scheduler.jobs.length > 0) {
+        scheduler.jobs.sort(function(a, b) {
+          return a.runAt - b.runAt;
+        });
+
+        var job = scheduler.jobs.shift();
+        var waitMs = Math.min(job.runAt - Date.now(), maxWaitMs === undefined ? Infinity : maxWaitMs);
+
+        if (waitMs > 0) {
+          console.log('Waiting ' + Math.round(waitMs / 1000) + 's to run ' + job.handler + '()');
+          sleep(waitMs);
+        }
+
+        // Every trigger run is a new execution with its own time budget
+        engine.beginExecution();
+        engine[job.handler]({ triggerUid: 'node' });
+      }
+    }
+  };
+
+  return scheduler;
+}
+
+/**
+ * Blocks the thread, like Utilities.sleep
+ * @param {number} ms - Milliseconds to wait
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, Math.max(0, ms));
+}
+
+/**
+ * The subset of Apps Script's Utilities the engine uses. parseDate and formatDate
+ * understand the yyyy, MM, dd, HH, mm and ss pattern letters.
+ */
+var nodeUtilities = {
+  DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256' },
+  Charset: { UTF_8: 'utf8', US_ASCII: 'ascii' },
+
+  parseDate: function(text, timeZone, pattern) {
+    var fields = { yyyy: 0, MM: 1, dd: 1, HH: 0, mm: 0, ss: 0 };
+    var names = [];
+    var regex = new RegExp('^' + pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, function(token) {
+      names.push(token);
+      return token === 'yyyy' ? '(\\d{4})' : '(\\d{2})';
+    }) + '$');
+    var match = regex.exec(text);
+
+    if (!match) {
+      throw new Error('Unparseable date: "' + text + '"');
+    }
+
+    names.forEach(function(name, i) {
+      fields[name] = Number(match[i + 1]);
+    });
+
+    // Treat the wall-clock time as UTC, then shift by the zone's offset at that moment
+    var wallClock = Date.UTC(fields.yyyy, fields.MM - 1, fields.dd, fields.HH, fields.mm, fields.ss);
+    var time = wallClock - getTimeZoneOffsetMs(new Date(wallClock), timeZone);
+    return new Date(wallClock - getTimeZoneOffsetMs(new Date(time), timeZone));
+  },
+
+  formatDate: function(date, timeZone, pattern) {
+    var parts = getZonedParts(date, timeZone);
+    return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, function(token) {
+      return parts[token];
+    });
+  },
+
+  computeDigest: function(algorithm, value, charset) {
+    var digest = crypto.createHash(algorithm).update(String(value), charset || 'utf8').digest();
+    // Apps Script returns signed bytes
+    return Array.prototype.map.call(digest, function(byte) {
+      return byte > 127 ? byte - 256 : byte;
+    });
+  },
+
+  base64Encode: function(data) {
+    return Buffer.from(typeof data === 'string' ? data : data.map(function(byte) {
+      return byte & 0xff;
+    })).toString('base64');
+  },
+
+  getUuid: function() {
+    return crypto.randomUUID();
+  },
+
+  sleep: sleep
+};
+
+/**
+ * Gets a date's calendar fields as shown in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Berlin"
+ * @returns {Object} Two-digit strings keyed yyyy, MM, dd, HH, mm, ss
+ */
+function getZonedParts(date, timeZone) {
+  var parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(function(part) {
+    parts[part.type] = part.value;
+  });
+
+  return { yyyy: parts.year, MM: parts.month, dd: parts.day, HH: parts.hour, mm: parts.minute, ss: parts.second };
+}
+
+/**
+ * Gets how far a time zone is ahead of UTC at a point in time
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds
+ */
+function getTimeZoneOffsetMs(date, timeZone) {
+  var parts = getZonedParts(date, timeZone);
+  var asUtc = Date.UTC(Number(parts.yyyy), Number(parts.MM) - 1, Number(parts.dd),
+    Number(parts.HH), Number(parts.mm), Number(parts.ss));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+module.exports = {
+  createNodePlatform: createNodePlatform,
+  createNodeHttp: createNodeHttp,
+  createGoogleGeocoder: createGoogleGeocoder,
+  createMemoryCache: createMemoryCache,
+  createConsoleMail: createConsoleMail,
+  createResponse: createResponse,
+  createMemoryStorage: createMemoryStorage,
+  createFileStorage: createFileStorage,
+  createMemoryScheduler: createMemoryScheduler,
+  utilities: nodeUtilities,
+  sleep: sleep,
+  EVENT_COLORS: EVENT_COLORS
+};
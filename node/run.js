@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// =============================================================================
+// RUN - Runs a sync engine function from the command line
+// =============================================================================
+//
+// Usage: node node/run.js <function> [args...] [options]
+//
+//   node node/run.js main
+//   node node/run.js backfillActivities 2024-06-01 2024-06-30
+//   node node/run.js backfillActivities 2024-06-01 2024-06-30 --set ACTIVITY_FILTERS='{"excludeSportTypes":["Swim"]}'
+//
+// Options:
+//   --live              Call the real Strava API (needs STRAVA_* properties in --state)
+//   --state FILE        Keep properties in a JSON file between runs
+//   --set KEY=VALUE     Set a property for this run (repeatable)
+//   --tz ZONE           Time zone of the script and its calendars (default: UTC)
+//
+// Without --live, Strava answers from node/fixtures/strava.json. Calendars are
+// always in memory; the events they end up with are printed when the run is done.
+// Event locations are geocoded with the Google Geocoding API when GOOGLE_MAPS_API_KEY
+// is set; otherwise they fall back to a map link to the start coordinates.
+
+var path = require('path');
+
+var engine = require('../src/main.js');
+var fakes = require('./fakes');
+var nodePlatform = require('./platform');
+
+/**
+ * Reads the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} { functionName, args, live, statePath, properties, timeZone }
+ */
+function parseArguments(argv) {
+  var options = { functionName: null, args: [], live: false, statePath: null, properties: {}, timeZone: 'UTC' };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+
+    if (arg === '--live') {
+      options.live = true;
+    } else if (arg === '--state') {
+      options.statePath = path.resolve(argv[++i]);
+    } else if (arg === '--tz') {
+      options.timeZone = argv[++i];
+    } else if (arg === '--set') {
+      var pair = String(argv[++i]);
+      var separator = pair.indexOf('=');
+
+      if (separator < 1) {
+        throw new Error('--set expects KEY=VALUE, got "' + pair + '"');
+      }
+
+      options.properties[pair.slice(0, separator)] = pair.slice(separator + 1);
+    } else if (!options.functionName) {
+      options.functionName = arg;
+    } else {
+      options.args.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Prints every event on the in-memory calendars
+ * @param {Object} calendarService - Calendar service from createMemoryCalendarService
+ * @param {string} timeZone - Time zone to show times in
+ */
+function printCalendars(calendarService, timeZone) {
+  calendarService.getAllCalendars().forEach(function(calendar) {
+    var events = calendar.getLiveEvents();
+
+    if (events.length === 0) {
+      return;
+    }
+
+    console.log('\n' + calendar.getName() + ' (' + events.length + ' events)');
+
+    events.forEach(function(event) {
+      var start = nodePlatform.utilities.formatDate(event.getStartTime(), timeZone, 'yyyy-MM-dd HH:mm');
+      var end = nodePlatform.utilities.formatDate(event.getEndTime(), timeZone, 'HH:mm');
+      console.log('  ' + start + '-' + end + '  ' + event.getTitle() + (event.getTag('stravaId') ? '  [' + event.getTag('stravaId') + ']' : ''));
+    });
+  });
+}
+
+/**
+ * Sets up the platform, runs the requested function and any continuations it schedules
+ */
+function run() {
+  var options = parseArguments(process.argv.slice(2));
+
+  if (!options.functionName || typeof engine[options.functionName] !== 'function') {
+    console.error('Usage: node node/run.js <function> [args...] [--live] [--state FILE] [--set KEY=VALUE] [--tz ZONE]');
+    console.error('Functions: ' + Object.keys(engine).filter(function(name) {
+      return typeof engine[name] === 'function';
+    }).join(', '));
+    process.exitCode = 1;
+    return;
+  }
+
+  var storage = options.statePath ? nodePlatform.createFileStorage(options.statePath) : nodePlatform.createMemoryStorage();
+  var defaults = options.live ? {} : fakes.FIXTURE_PROPERTIES;
+
+  Object.keys(defaults).forEach(function(key) {
+    if (storage.getProperty(key) === null) {
+      storage.setProperty(key, defaults[key]);
+    }
+  });
+
+  Object.keys(options.properties).forEach(function(key) {
+    storage.setProperty(key, options.properties[key]);
+  });
+
+  var calendarService = fakes.createMemoryCalendarService({
+    names: [storage.getProperty('CALENDAR_NAME') || 'Strava'],
+    timeZone: options.timeZone
+  });
+  var scheduler = nodePlatform.createMemoryScheduler();
+
+  engine.setPlatform(nodePlatform.createNodePlatform({
+    http: options.live ? nodePlatform.createNodeHttp() : fakes.createFixtureHttp(require('./fixtures/strava.json')),
+    calendar: calendarService,
+    storage: storage,
+    scheduler: scheduler,
+    geocoder: process.env.GOOGLE_MAPS_API_KEY ? nodePlatform.createGoogleGeocoder({ apiKey: process.env.GOOGLE_MAPS_API_KEY }) : null,
+    timeZone: options.timeZone
+  }));
+
+  var result = engine[options.functionName].apply(null, options.args);
+
+  // Fixtures have no rate limits, so continuations run straight away
+  scheduler.runDueJobs(engine, options.live ? undefined : 0);
+
+  if (result !== undefined) {
+    console.log('\nResult: ' + JSON.stringify(result, null, 2));
+  }
+
+  printCalendars(calendarService, options.timeZone);
+}
+
+run();
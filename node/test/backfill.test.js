@@ -0,0 +1,124 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var helpers = require('./helpers');
+
+/**
+ * Makes the engine believe the execution has already used up its time budget,
+ * until the next beginExecution()
+ * @param {Object} t - Test context
+ */
+function exhaustTimeBudget(t) {
+  var now = Date.now;
+  t.mock.method(Date, 'now', function() {
+    return now() + 10 * 60 * 1000;
+  });
+}
+
+test('a backfill creates every event in its range', function() {
+  var setup = helpers.setUpEngine();
+
+  setup.engine.backfillActivities('2024-06-01', '2024-06-09');
+
+  assert.deepStrictEqual(setup.calendar.getLiveEvents().map(function(event) {
+    return event.getTag('stravaId');
+  }), ['11000000001', '11000000002', '11000000003']);
+  assert.strictEqual(setup.storage.getProperty('BACKFILL_STATE'), null);
+});
+
+test('a backfill out of time checkpoints and resumes from its trigger', function(t) {
+  var setup = helpers.setUpEngine();
+
+  exhaustTimeBudget(t);
+  setup.engine.backfillActivities('2024-06-01', '2024-06-30');
+
+  var state = JSON.parse(setup.storage.getProperty('BACKFILL_STATE'));
+  assert.strictEqual(state.page, 1);
+  assert.strictEqual(state.offset, 0);
+  assert.strictEqual(state.runs, 1);
+  assert.deepStrictEqual(setup.scheduler.getHandlers(), ['continueBackfill']);
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 0);
+
+  // Each trigger run starts a new execution with a fresh budget
+  setup.scheduler.runDueJobs(setup.engine, 0);
+
+  assert.strictEqual(setup.storage.getProperty('BACKFILL_STATE'), null);
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 4);
+  assert.deepStrictEqual(setup.scheduler.getHandlers(), []);
+});
+
+test('weekly recovery leaves an unfinished backfill alone', function() {
+  var now = new Date();
+  var recent = helpers.fixtureActivity(0, {
+    id: 11000000009,
+    start_date: new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString()
+  });
+  var setup = helpers.setUpEngine({ activities: [recent] });
+  var checkpoint = JSON.stringify({ after: 1, before: 2, page: 3, offset: 0, failedIds: [], runs: 1 });
+
+  setup.storage.setProperty('BACKFILL_STATE', checkpoint);
+  setup.engine.recoverThisWeeksActivities();
+
+  assert.strictEqual(setup.storage.getProperty('BACKFILL_STATE'), checkpoint);
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 1);
+});
+
+test('a rebuild applies new templates, skips hand edits and resumes from its checkpoint', function(t) {
+  var setup = helpers.setUpEngine();
+
+  setup.engine.backfillActivities('2024-06-01', '2024-06-30');
+  var events = setup.calendar.getLiveEvents();
+  events[1].setTitle('Ride with friends');
+
+  setup.storage.setProperty('EVENT_TEMPLATES', '{"default":{"title":"{sport_type}: {name}"}}');
+  exhaustTimeBudget(t);
+  setup.engine.rebuildEvents('2024-06-01', '2024-06-30');
+
+  assert.ok(setup.storage.getProperty('REBUILD_STATE'));
+  assert.deepStrictEqual(setup.scheduler.getHandlers(), ['continueRebuild']);
+  assert.strictEqual(events[0].getTitle(), 'Morning Run');
+
+  setup.scheduler.runDueJobs(setup.engine, 0);
+
+  assert.strictEqual(setup.storage.getProperty('REBUILD_STATE'), null);
+  assert.deepStrictEqual(setup.calendar.getLiveEvents().map(function(event) {
+    return event.getTitle();
+  }), ['Run: Morning Run', 'Ride with friends', 'Swim: Pool Swim', 'WeightTraining: Strength Session']);
+});
+
+test('a rebuild leaves events without a content hash alone unless forced', function() {
+  var setup = helpers.setUpEngine();
+  var run = helpers.fixtureActivity(0);
+  var details = setup.engine.buildEventDetails(run);
+
+  // Created by a version that stored no content hash
+  var legacy = setup.calendar.createEvent('Old title', details.startTime, details.endTime, { description: details.description });
+
+  setup.engine.rebuildEvents('2024-06-01', '2024-06-04');
+  assert.strictEqual(legacy.getTitle(), 'Old title');
+
+  setup.engine.rebuildEvents('2024-06-01', '2024-06-04', true);
+  assert.strictEqual(legacy.getTitle(), 'Morning Run');
+  assert.ok(legacy.getTag('contentHash'));
+});
+
+test('reconciliation moves an event to its new calendar without a stale index entry', function(t) {
+  var recent = helpers.fixtureActivity(0, { start_date: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() });
+  var setup = helpers.setUpEngine({ activities: [recent], calendars: ['Strava', 'Running'] });
+  var running = setup.calendarService.getCalendarsByName('Running')[0];
+
+  setup.engine.createCalendarEvent(recent);
+
+  // Like the Calendar API, hand out deleted events by id
+  t.mock.method(setup.calendar, 'getEventById', function(eventId) {
+    return setup.calendar.events.filter(function(event) {
+      return event.getId() === eventId;
+    })[0] || null;
+  });
+
+  setup.storage.setProperty('CALENDAR_RULES', '[{"types":["Run"],"calendar":"Running"}]');
+  setup.engine.reconcileRecentActivities();
+
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 0);
+  assert.strictEqual(running.getLiveEvents().length, 1);
+});
@@ -0,0 +1,176 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var helpers = require('./helpers');
+
+test('event details come from the templates and keep the real start time', function() {
+  var engine = helpers.setUpEngine({ timeZone: 'Europe/Berlin' }).engine;
+  var run = helpers.fixtureActivity(0);
+  var details = engine.buildEventDetails(run);
+
+  assert.strictEqual(details.title, 'Morning Run');
+  assert.strictEqual(details.startTime.toISOString(), '2024-06-03T05:12:40.000Z');
+  assert.strictEqual(details.endTime.getTime() - details.startTime.getTime(), 3125 * 1000);
+  assert.match(details.description, /^Strava ID: 11000000001\n/);
+  assert.match(details.description, /\nDistance: 10\.23 km\n/);
+  assert.match(details.description, /\nAvg Pace: 4:54 \/km\n/);
+  assert.match(details.description, /\nView on Strava: https:\/\/www\.strava\.com\/activities\/11000000001/);
+  assert.doesNotMatch(details.description, /Local start/);
+});
+
+test('a 7am run in Tokyo shows as 7am Tokyo time', function() {
+  var setup = helpers.setUpEngine({ timeZone: 'Europe/Berlin' });
+  var tokyoRun = helpers.fixtureActivity(0, {
+    start_date: '2024-06-02T22:00:00Z',
+    start_date_local: '2024-06-03T07:00:00Z',
+    timezone: '(GMT+09:00) Asia/Tokyo'
+  });
+  var details = setup.engine.buildEventDetails(tokyoRun);
+  var utilities = setup.engine.getPlatform().utilities;
+
+  assert.strictEqual(details.timeZone, 'Asia/Tokyo');
+  assert.strictEqual(utilities.formatDate(details.startTime, details.timeZone, 'yyyy-MM-dd HH:mm'), '2024-06-03 07:00');
+  assert.strictEqual(details.searchStart.getTime(), details.startTime.getTime());
+  assert.strictEqual(details.searchEnd.getTime(), details.endTime.getTime());
+  assert.match(details.description, /\nTime zone: Asia\/Tokyo\nLocal start: 07:00\n/);
+
+  var event = setup.engine.createCalendarEvent(tokyoRun);
+  assert.strictEqual(utilities.formatDate(event.getStartTime(), 'Asia/Tokyo', 'HH:mm'), '07:00');
+  assert.strictEqual(setup.engine.createCalendarEvent(tokyoRun), null);
+});
+
+test('custom templates and a Strava ID line that templates cannot drop', function() {
+  var templates = { default: { title: '{name} ({distance})', description: '{url}' }, Swim: { title: '🏊 {name}' } };
+  var engine = helpers.setUpEngine({ properties: { EVENT_TEMPLATES: JSON.stringify(templates) } }).engine;
+  var ride = engine.buildEventDetails(helpers.fixtureActivity(1));
+
+  assert.strictEqual(ride.title, 'Lunch Ride (42.11 km)');
+  assert.strictEqual(ride.description, 'Strava ID: 11000000002\nhttps://www.strava.com/activities/11000000002');
+  assert.strictEqual(engine.buildEventDetails(helpers.fixtureActivity(2)).title, '🏊 Pool Swim');
+});
+
+test('creating an event twice leaves one event', function() {
+  var setup = helpers.setUpEngine();
+  var run = helpers.fixtureActivity(0);
+
+  var event = setup.engine.createCalendarEvent(run);
+
+  assert.ok(event);
+  assert.strictEqual(event.getTag('stravaId'), '11000000001');
+  assert.strictEqual(setup.engine.createCalendarEvent(run), null);
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 1);
+});
+
+test('private activities become private events', function() {
+  var setup = helpers.setUpEngine();
+  var event = setup.engine.createCalendarEvent(helpers.fixtureActivity(3));
+
+  assert.strictEqual(event.getVisibility(), 'PRIVATE');
+});
+
+test('updating an event rewrites it in place', function() {
+  var setup = helpers.setUpEngine();
+  var run = helpers.fixtureActivity(0);
+
+  setup.engine.createCalendarEvent(run);
+  setup.engine.updateCalendarEvent(helpers.fixtureActivity(0, { name: 'Tempo Run', elapsed_time: 3600 }));
+
+  var events = setup.calendar.getLiveEvents();
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].getTitle(), 'Tempo Run');
+  assert.strictEqual(events[0].getEndTime().getTime() - events[0].getStartTime().getTime(), 3600 * 1000);
+});
+
+test('updating an activity without an event creates it, and filtered activities lose theirs', function() {
+  var setup = helpers.setUpEngine();
+
+  setup.engine.updateCalendarEvent(helpers.fixtureActivity(1));
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 1);
+
+  setup.storage.setProperty('ACTIVITY_FILTERS', '{"excludeSportTypes":["Ride"]}');
+  setup.engine.updateCalendarEvent(helpers.fixtureActivity(1));
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 0);
+});
+
+test('deleting an event', function() {
+  var setup = helpers.setUpEngine();
+
+  setup.engine.createCalendarEvent(helpers.fixtureActivity(0));
+
+  assert.strictEqual(setup.engine.deleteCalendarEvent(11000000001), true);
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 0);
+  assert.strictEqual(setup.engine.deleteCalendarEvent(11000000001), false);
+});
+
+test('events missing from the event index are still found', function() {
+  var setup = helpers.setUpEngine({ properties: { EVENT_INDEX_MIGRATION: '{"done":true}' } });
+  var run = helpers.fixtureActivity(0);
+
+  setup.engine.createCalendarEvent(run);
+
+  // Another writer created the event: this engine's index never heard of it
+  var other = helpers.setUpEngine({ properties: { EVENT_INDEX_MIGRATION: '{"done":true}' } });
+  var existing = setup.calendar.getLiveEvents()[0];
+  other.calendar.createEvent(existing.getTitle(), existing.getStartTime(), existing.getEndTime(), {
+    description: existing.getDescription()
+  }).setTag('stravaId', '11000000001');
+
+  assert.strictEqual(other.engine.createCalendarEvent(run), null);
+  other.engine.updateCalendarEvent(helpers.fixtureActivity(0, { name: 'Renamed' }));
+  assert.deepStrictEqual(other.calendar.getLiveEvents().map(function(event) {
+    return event.getTitle();
+  }), ['Renamed']);
+});
+
+test('locations fall back to a map link, or to Strava\'s city without coordinates', function() {
+  var setup = helpers.setUpEngine({ properties: { GEOCODER: 'none' } });
+  var run = helpers.fixtureActivity(0, { location_city: 'Berlin' });
+
+  assert.strictEqual(setup.engine.buildEventDetails(run).location, 'https://www.google.com/maps/search/?api=1&query=52.516,13.378');
+
+  // Strava leaves start_latlng empty for starts inside a privacy zone
+  var hidden = helpers.fixtureActivity(0, { location_city: 'Berlin', start_latlng: [] });
+  assert.strictEqual(setup.engine.buildEventDetails(hidden).location, 'Berlin');
+
+  setup.storage.setProperty('LOCATION_COORDINATES', 'false');
+  assert.strictEqual(setup.engine.buildEventDetails(run).location, 'Berlin');
+});
+
+test('day windows follow the script time zone, not the host\'s', function() {
+  var setup = helpers.setUpEngine({
+    timeZone: 'Pacific/Auckland',
+    calendars: ['Strava', 'Training'],
+    properties: { TRAINING_CALENDAR_NAME: 'Training' }
+  });
+  var training = setup.calendarService.getCalendarsByName('Training')[0];
+
+  // 7:00 on June 3rd in Auckland is still June 2nd in UTC
+  var planned = training.createEvent('Easy run', new Date('2024-06-02T19:00:00Z'), new Date('2024-06-02T20:00:00Z'));
+  setup.engine.createCalendarEvent(helpers.fixtureActivity(0, {
+    start_date: '2024-06-02T20:00:00Z',
+    start_date_local: '2024-06-03T08:00:00Z',
+    timezone: '(GMT+12:00) Pacific/Auckland'
+  }));
+
+  assert.strictEqual(planned.getTitle(), '✅ Easy run');
+});
+
+test('moving an event to another calendar leaves no index entry for the deleted one', function(t) {
+  var setup = helpers.setUpEngine({ calendars: ['Strava', 'Running'] });
+  var running = setup.calendarService.getCalendarsByName('Running')[0];
+
+  setup.engine.createCalendarEvent(helpers.fixtureActivity(0));
+
+  // Like the Calendar API, hand out deleted events by id
+  t.mock.method(setup.calendar, 'getEventById', function(eventId) {
+    return setup.calendar.events.filter(function(event) {
+      return event.getId() === eventId;
+    })[0] || null;
+  });
+
+  setup.storage.setProperty('CALENDAR_RULES', '[{"types":["Run"],"calendar":"Running"}]');
+  setup.engine.updateCalendarEvent(helpers.fixtureActivity(0));
+
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 0);
+  assert.strictEqual(running.getLiveEvents().length, 1);
+});
@@ -0,0 +1,51 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var helpers = require('./helpers');
+
+test('activities pass when no filters are set', function() {
+  var engine = helpers.setUpEngine().engine;
+
+  assert.strictEqual(engine.shouldSyncActivity(helpers.fixtureActivity(0)), true);
+  assert.deepStrictEqual(engine.evaluateActivityFilters(helpers.fixtureActivity(3), {}), { include: true, reason: '' });
+});
+
+test('sport type, distance and duration rules explain each skip', function() {
+  var engine = helpers.setUpEngine().engine;
+  var run = helpers.fixtureActivity(0);
+  var swim = helpers.fixtureActivity(2);
+
+  assert.deepStrictEqual(engine.evaluateActivityFilters(swim, { includeSportTypes: ['Run', 'Ride'] }),
+    { include: false, reason: 'sport type Swim is not in includeSportTypes' });
+  assert.strictEqual(engine.evaluateActivityFilters(swim, { excludeSportTypes: ['Swim'] }).include, false);
+  assert.strictEqual(engine.evaluateActivityFilters(run, { excludeSportTypes: ['Swim'] }).include, true);
+  assert.deepStrictEqual(engine.evaluateActivityFilters(swim, { minDistance: 5000 }),
+    { include: false, reason: 'distance 2000m is below minDistance 5000m' });
+  assert.strictEqual(engine.evaluateActivityFilters(run, { minDuration: 3600 }).reason,
+    'duration 3011s is below minDuration 3600s');
+});
+
+test('flag, gear and name rules', function() {
+  var engine = helpers.setUpEngine().engine;
+  var strength = helpers.fixtureActivity(3);
+  var commute = helpers.fixtureActivity(1, { commute: true, gear_id: 'b1234567' });
+
+  assert.strictEqual(engine.evaluateActivityFilters(strength, { excludePrivate: true }).reason, 'activity is private');
+  assert.strictEqual(engine.evaluateActivityFilters(commute, { excludeCommute: true }).reason, 'activity is a commute');
+  assert.strictEqual(engine.evaluateActivityFilters(commute, { excludeGearIds: ['b1234567'] }).include, false);
+  assert.strictEqual(engine.evaluateActivityFilters(commute, { includeGearIds: ['b7654321'] }).include, false);
+  assert.strictEqual(engine.evaluateActivityFilters(commute, { excludeNamePattern: '^lunch' }).reason,
+    'name "Lunch Ride" matches excludeNamePattern');
+  assert.strictEqual(engine.evaluateActivityFilters(commute, { includeNamePattern: 'ride' }).include, true);
+});
+
+test('shouldSyncActivity reads ACTIVITY_FILTERS and keeps syncing when a rule is broken', function() {
+  var engine = helpers.setUpEngine({ properties: { ACTIVITY_FILTERS: '{"excludeSportTypes":["Ride"]}' } }).engine;
+
+  assert.strictEqual(engine.shouldSyncActivity(helpers.fixtureActivity(1)), false);
+  assert.strictEqual(engine.shouldSyncActivity(helpers.fixtureActivity(0)), true);
+
+  engine = helpers.setUpEngine({ properties: { ACTIVITY_FILTERS: '{"excludeNamePattern":"("}' } }).engine;
+
+  assert.strictEqual(engine.shouldSyncActivity(helpers.fixtureActivity(1)), true);
+});
@@ -0,0 +1,48 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var helpers = require('./helpers');
+
+test('metric distances, durations and paces', function() {
+  var engine = helpers.setUpEngine().engine;
+  var settings = engine.getFormatSettings();
+
+  assert.strictEqual(engine.formatDistance(10234.5, settings), '10.23 km');
+  assert.strictEqual(engine.formatDistance(500, settings), '500 m');
+  assert.strictEqual(engine.formatDuration(3125, settings), '52m 5s');
+  assert.strictEqual(engine.formatDuration(5820, settings), '1h 37m 0s');
+  assert.strictEqual(engine.formatDuration(42, settings), '42s');
+  assert.strictEqual(engine.formatPace(1000 / 330, 'Run', settings), '5:30 /km');
+  assert.strictEqual(engine.formatPace(100 / 105, 'Swim', settings), '1:45 /100m');
+});
+
+test('imperial units', function() {
+  var engine = helpers.setUpEngine({ properties: { UNITS: 'imperial' } }).engine;
+  var settings = engine.getFormatSettings();
+
+  assert.strictEqual(settings.imperial, true);
+  assert.strictEqual(engine.formatDistance(10000, settings), '6.21 mi');
+  assert.strictEqual(engine.formatDistance(100, settings), '328 ft');
+  assert.strictEqual(engine.formatPace(1609.344 / 531, 'Run', settings), '8:51 /mi');
+  assert.strictEqual(engine.formatPace(91.44 / 100, 'Swim', settings), '1:40 /100yd');
+});
+
+test('locales change labels and separators', function() {
+  var engine = helpers.setUpEngine({ properties: { LOCALE: 'de-DE' } }).engine;
+  var settings = engine.getFormatSettings();
+
+  assert.strictEqual(settings.locale, 'de');
+  assert.strictEqual(settings.labels.distance, 'Distanz');
+  assert.strictEqual(engine.formatDistance(1234567, settings), '1.234,57 km');
+  assert.strictEqual(engine.formatDuration(5820, settings), '1 Std. 37 Min. 0 Sek.');
+  assert.strictEqual(engine.formatDuration(42, engine.getFormatSettings()), '42 Sek.');
+  assert.match(engine.buildEventDetails(helpers.fixtureActivity(0)).description, /\nDauer: 52 Min\. 5 Sek\.\n/);
+});
+
+test('invalid settings fall back to their defaults', function() {
+  var engine = helpers.setUpEngine({ properties: { UNITS: 'furlongs', LOCALE: 'xx' } }).engine;
+  var settings = engine.getFormatSettings();
+
+  assert.strictEqual(settings.imperial, false);
+  assert.strictEqual(settings.locale, 'en');
+});
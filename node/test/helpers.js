@@ -0,0 +1,74 @@
+// =============================================================================
+// TEST HELPERS - Runs the sync engine on fresh in-memory adapters
+// =============================================================================
+//
+// Shared by the *.test.js files; not a test file itself. The engine logs every step,
+// so console output is muted unless VERBOSE is set.
+
+var engine = require('../../src/main.js');
+var fakes = require('../fakes');
+var nodePlatform = require('../platform');
+var fixtures = require('../fixtures/strava.json');
+
+if (!process.env.VERBOSE) {
+  console.log = function() {};
+  console.error = function() {};
+}
+
+/**
+ * Points the engine at fresh adapters: fixture Strava, a "Strava" calendar in memory,
+ * in-memory properties seeded with the fixture credentials and an in-memory scheduler
+ * @param {Object} [options] - properties: extra Script Properties, activities: replace
+ *   the fixture activities, calendars: calendar names (default ["Strava"]), timeZone,
+ *   adapters: more platform adapters (e.g. geocoder, mail)
+ * @returns {Object} { engine, storage, calendarService, calendar, http, scheduler }
+ */
+function setUpEngine(options) {
+  options = options || {};
+  var storage = nodePlatform.createMemoryStorage();
+  var properties = Object.assign({}, fakes.FIXTURE_PROPERTIES, options.properties);
+
+  Object.keys(properties).forEach(function(key) {
+    storage.setProperty(key, properties[key]);
+  });
+
+  var calendarService = fakes.createMemoryCalendarService({
+    names: options.calendars || ['Strava'],
+    timeZone: options.timeZone || 'UTC'
+  });
+  var http = fakes.createFixtureHttp(Object.assign({}, fixtures, options.activities ? { activities: options.activities, details: {} } : {}));
+  var scheduler = nodePlatform.createMemoryScheduler();
+
+  engine.setPlatform(nodePlatform.createNodePlatform(Object.assign({
+    http: http,
+    calendar: calendarService,
+    storage: storage,
+    scheduler: scheduler,
+    timeZone: options.timeZone || 'UTC'
+  }, options.adapters)));
+
+  return {
+    engine: engine,
+    storage: storage,
+    calendarService: calendarService,
+    calendar: calendarService.getCalendarsByName((options.calendars || ['Strava'])[0])[0],
+    http: http,
+    scheduler: scheduler
+  };
+}
+
+/**
+ * Copies a fixture activity, with changes
+ * @param {number} index - Position in node/fixtures/strava.json
+ * @param {Object} [changes] - Fields to override
+ * @returns {Object} Strava summary activity
+ */
+function fixtureActivity(index, changes) {
+  return Object.assign(JSON.parse(JSON.stringify(fixtures.activities[index])), changes);
+}
+
+module.exports = {
+  setUpEngine: setUpEngine,
+  fixtureActivity: fixtureActivity,
+  fixtures: fixtures
+};
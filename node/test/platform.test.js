@@ -0,0 +1,65 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var helpers = require('./helpers');
+
+/**
+ * Creates a geocoder that answers every lookup with one place
+ * @param {string} town - Locality name
+ * @param {string} country - Country name
+ * @returns {Object} Geocoder adapter that also keeps the lookups it got
+ */
+function createFixedGeocoder(town, country) {
+  var geocoder = {
+    lookups: [],
+    reverseGeocode: function(lat, lng, language) {
+      geocoder.lookups.push([lat, lng, language]);
+      return {
+        status: 'OK',
+        results: [{ address_components: [
+          { long_name: town, types: ['locality'] },
+          { long_name: country, types: ['country'] }
+        ] }]
+      };
+    }
+  };
+  return geocoder;
+}
+
+test('events get a location on the default settings without a geocoder adapter', function() {
+  var setup = helpers.setUpEngine();
+  var details = setup.engine.buildEventDetails(helpers.fixtureActivity(0));
+
+  assert.strictEqual(setup.storage.getProperty('GEOCODER'), null);
+  assert.strictEqual(details.location, 'https://www.google.com/maps/search/?api=1&query=52.516,13.378');
+  assert.ok(setup.engine.createCalendarEvent(helpers.fixtureActivity(0)));
+});
+
+test('the maps geocoder asks the platform geocoder once per place', function() {
+  var geocoder = createFixedGeocoder('Berlin', 'Germany');
+  var setup = helpers.setUpEngine({ properties: { LOCALE: 'de' }, adapters: { geocoder: geocoder } });
+
+  assert.strictEqual(setup.engine.buildEventDetails(helpers.fixtureActivity(0)).location, 'Berlin, Germany');
+  assert.strictEqual(setup.engine.buildEventDetails(helpers.fixtureActivity(0)).location, 'Berlin, Germany');
+  assert.deepStrictEqual(geocoder.lookups, [[52.516, 13.378, 'de']]);
+});
+
+test('notification emails go through the mail adapter', function() {
+  var sent = [];
+  var setup = helpers.setUpEngine({
+    properties: { NOTIFY_EMAIL: 'me@example.com' },
+    adapters: { mail: { sendEmail: function(recipient, subject) { sent.push([recipient, subject]); } } }
+  });
+
+  setup.engine.testNotifications();
+
+  assert.deepStrictEqual(sent, [['me@example.com', 'Strava Sync: Test notification']]);
+});
+
+test('a sync log without a spreadsheet adapter does not fail the run', function() {
+  var setup = helpers.setUpEngine({ properties: { SYNC_LOG_SPREADSHEET_ID: 'sheet-id' } });
+
+  setup.engine.backfillActivities('2024-06-01', '2024-06-09');
+
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 3);
+});
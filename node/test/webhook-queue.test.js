@@ -0,0 +1,103 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var webhookQueue = require('../webhook-queue');
+
+/**
+ * Gets a queue file in a fresh temporary directory, removed after the test
+ * @param {Object} t - Test context
+ * @returns {string} Queue file path (not yet created)
+ */
+function temporaryQueuePath(t) {
+  var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+  t.after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  return path.join(directory, 'queue.json');
+}
+
+/**
+ * Builds a Strava activity webhook event
+ * @param {string} aspectType - create, update or delete
+ * @param {number} activityId - Strava activity ID
+ * @param {number} [eventTime] - Seconds since the epoch (default: a fixed time)
+ * @returns {Object} Webhook event
+ */
+function activityEvent(aspectType, activityId, eventTime) {
+  return { object_type: 'activity', aspect_type: aspectType, object_id: activityId, owner_id: 12345678, event_time: eventTime || 1717400000 };
+}
+
+test('queued events survive a restart, and events in flight become due again', function(t) {
+  var queuePath = temporaryQueuePath(t);
+  var queue = webhookQueue.createWebhookQueue(queuePath);
+
+  queue.enqueue(activityEvent('create', 1));
+  queue.enqueue(activityEvent('create', 2));
+  assert.strictEqual(queue.next().event.object_id, 1);
+  assert.deepStrictEqual(queue.stats(), { pending: 2, inFlight: 1, deadLetters: 0 });
+
+  var reopened = webhookQueue.createWebhookQueue(queuePath);
+
+  assert.deepStrictEqual(reopened.stats(), { pending: 2, inFlight: 0, deadLetters: 0 });
+  assert.strictEqual(reopened.next().event.object_id, 1);
+});
+
+test('redeliveries are dropped while queued and after being applied, across restarts', function(t) {
+  var queuePath = temporaryQueuePath(t);
+  var queue = webhookQueue.createWebhookQueue(queuePath);
+
+  assert.strictEqual(queue.enqueue(activityEvent('create', 1)), true);
+  assert.strictEqual(queue.enqueue(activityEvent('create', 1)), false);
+
+  queue.complete(queue.next().id);
+
+  assert.strictEqual(queue.enqueue(activityEvent('create', 1)), false);
+  assert.strictEqual(webhookQueue.createWebhookQueue(queuePath).enqueue(activityEvent('create', 1)), false);
+  assert.strictEqual(queue.enqueue(activityEvent('create', 1, 1717400060)), true);
+});
+
+test('events for one activity are applied in order, other activities are not held up', function(t) {
+  var queue = webhookQueue.createWebhookQueue(temporaryQueuePath(t));
+
+  queue.enqueue(activityEvent('create', 1));
+  queue.enqueue(activityEvent('update', 1));
+  queue.enqueue(activityEvent('create', 2));
+
+  var create = queue.next();
+  assert.strictEqual(create.event.aspect_type, 'create');
+  assert.strictEqual(queue.next().event.object_id, 2);
+  assert.strictEqual(queue.next(), null);
+
+  queue.complete(create.id);
+  assert.strictEqual(queue.next().event.aspect_type, 'update');
+});
+
+test('failed events are retried with a doubling delay, then dead-lettered', function(t) {
+  var queue = webhookQueue.createWebhookQueue(temporaryQueuePath(t), { maxAttempts: 3, retryDelayMs: 1000 });
+  var now = 1717400000000;
+  t.mock.method(Date, 'now', function() {
+    return now;
+  });
+
+  queue.enqueue(activityEvent('create', 1));
+
+  assert.strictEqual(queue.fail(queue.next().id, 'Calendar unavailable'), true);
+  assert.strictEqual(queue.nextDueAt(), now + 1000);
+  assert.strictEqual(queue.next(), null);
+
+  now += 1000;
+  assert.strictEqual(queue.fail(queue.next().id, 'Calendar unavailable'), true);
+  assert.strictEqual(queue.nextDueAt(), now + 2000);
+
+  now += 2000;
+  assert.strictEqual(queue.fail(queue.next().id, 'Still unavailable'), false);
+  assert.deepStrictEqual(queue.stats(), { pending: 0, inFlight: 0, deadLetters: 1 });
+
+  var deadLetter = queue.deadLetters()[0];
+  assert.strictEqual(deadLetter.attempts, 3);
+  assert.strictEqual(deadLetter.lastError, 'Still unavailable');
+  assert.strictEqual(queue.nextDueAt(), null);
+});
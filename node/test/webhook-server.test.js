@@ -0,0 +1,187 @@
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+require('./helpers');
+var fakeCalendarApi = require('../fake-calendar-api');
+var webhookServer = require('../webhook-server');
+
+/**
+ * Starts a server on a free port, closed after the test
+ * @param {Object} t - Test context
+ * @param {http.Server} server - Server to start
+ * @param {Function} [close] - Stops it (default: server.close)
+ * @returns {Promise<string>} Base URL
+ */
+function listen(t, server, close) {
+  t.after(function() {
+    return new Promise(function(resolve) {
+      (close || server.close.bind(server))(resolve);
+    });
+  });
+  return new Promise(function(resolve) {
+    server.listen(0, '127.0.0.1', function() {
+      resolve('http://127.0.0.1:' + server.address().port);
+    });
+  });
+}
+
+/**
+ * Starts a receiver that plays Strava from fixtures, with its files in a temporary directory
+ * @param {Object} t - Test context
+ * @param {Object} [options] - More createWebhookServer() options, e.g. calendarApi
+ * @returns {Promise<Object>} { receiver, url } with url the callback URL
+ */
+function startReceiver(t, options) {
+  var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-server-'));
+  t.after(function() {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  var receiver = webhookServer.createWebhookServer(Object.assign({
+    statePath: path.join(directory, 'state.json'),
+    queuePath: path.join(directory, 'queue.json'),
+    fixtures: true,
+    timeZone: 'UTC'
+  }, options));
+
+  return listen(t, receiver.server, receiver.close).then(function(baseUrl) {
+    return { receiver: receiver, url: baseUrl + '/webhook' };
+  });
+}
+
+/**
+ * Posts a JSON body
+ * @param {string} url - URL
+ * @param {Object|string} body - Body (objects are sent as JSON)
+ * @returns {Promise<Response>} Response
+ */
+function post(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+/**
+ * Waits until the receiver's queue has nothing left to apply
+ * @param {Object} receiver - From createWebhookServer()
+ * @returns {Promise} Resolves once the queue is empty
+ */
+function waitForDrain(receiver) {
+  var deadline = Date.now() + 60 * 1000;
+
+  return new Promise(function(resolve, reject) {
+    var check = function() {
+      if (receiver.queue.stats().pending === 0) {
+        return resolve();
+      }
+      if (Date.now() > deadline) {
+        return reject(new Error('Queue did not drain: ' + JSON.stringify(receiver.queue.stats())));
+      }
+      setTimeout(check, 50);
+    };
+    check();
+  });
+}
+
+/**
+ * Builds a Strava activity webhook event
+ * @param {string} aspectType - create, update or delete
+ * @param {number} activityId - Strava activity ID
+ * @param {Object} [updates] - Changed fields, for updates
+ * @returns {Object} Webhook event
+ */
+function activityEvent(aspectType, activityId, updates) {
+  return {
+    object_type: 'activity',
+    aspect_type: aspectType,
+    object_id: activityId,
+    owner_id: 12345678,
+    subscription_id: 1,
+    event_time: 1717400000,
+    updates: updates || {}
+  };
+}
+
+test('the subscription check echoes the challenge only for the right verify token', async function(t) {
+  var started = await startReceiver(t);
+  var verifyUrl = started.url + '?hub.mode=subscribe&hub.challenge=abc123&hub.verify_token=';
+
+  var accepted = await fetch(verifyUrl + started.receiver.verifyToken);
+  assert.strictEqual(accepted.status, 200);
+  assert.deepStrictEqual(await accepted.json(), { 'hub.challenge': 'abc123' });
+
+  var rejected = await fetch(verifyUrl + 'wrong-token');
+  assert.strictEqual(rejected.status, 403);
+});
+
+test('invalid events are rejected with 400 and never queued', async function(t) {
+  var started = await startReceiver(t);
+  var bodies = [
+    '{not json',
+    [activityEvent('create', 11000000001)],
+    Object.assign(activityEvent('create', 11000000001), { object_type: 'club' }),
+    Object.assign(activityEvent('create', 11000000001), { aspect_type: 'rename' }),
+    Object.assign(activityEvent('create', 11000000001), { object_id: 'abc' })
+  ];
+
+  for (var i = 0; i < bodies.length; i++) {
+    assert.strictEqual((await post(started.url, bodies[i])).status, 400, JSON.stringify(bodies[i]));
+  }
+  assert.strictEqual(started.receiver.queue.stats().pending, 0);
+});
+
+test('an event that cannot be queued gets a 500, so Strava redelivers it', async function(t) {
+  var started = await startReceiver(t);
+  t.mock.method(started.receiver.queue, 'enqueue', function() {
+    throw new Error('ENOSPC: no space left on device');
+  });
+
+  var response = await post(started.url, activityEvent('create', 11000000001));
+
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual((await fetch(started.url.replace('/webhook', '/health'))).status, 200);
+});
+
+test('creates, updates and deletes reach the Google Calendar API', async function(t) {
+  var calendarApi = fakeCalendarApi.createFakeCalendarApi();
+  var calendarApiUrl = await listen(t, calendarApi);
+  var started = await startReceiver(t, { calendarApi: calendarApiUrl });
+  var events = calendarApi.calendars['primary@fake'].events;
+  var liveEvents = function() {
+    return Object.keys(events).map(function(id) {
+      return events[id];
+    }).filter(function(event) {
+      return event.status !== 'cancelled';
+    });
+  };
+
+  assert.strictEqual((await post(started.url, activityEvent('create', 11000000001))).status, 200);
+  assert.strictEqual((await post(started.url, activityEvent('create', 11000000001))).status, 200);
+  await post(started.url, activityEvent('create', 11000000002));
+  await waitForDrain(started.receiver);
+
+  assert.deepStrictEqual(liveEvents().map(function(event) {
+    return [event.summary, event.extendedProperties.private.stravaId, event.start.timeZone];
+  }).sort(), [['Lunch Ride', '11000000002', 'Europe/Berlin'], ['Morning Run', '11000000001', 'Europe/Berlin']]);
+
+  await post(started.url, activityEvent('update', 11000000001, { title: 'Morning Run' }));
+  await waitForDrain(started.receiver);
+  assert.strictEqual(liveEvents().length, 2);
+
+  await post(started.url, activityEvent('delete', 11000000001));
+  await waitForDrain(started.receiver);
+
+  // A late redelivery of the applied create must not bring the event back
+  await post(started.url, activityEvent('create', 11000000001));
+  await waitForDrain(started.receiver);
+
+  assert.deepStrictEqual(liveEvents().map(function(event) {
+    return event.summary;
+  }), ['Lunch Ride']);
+  assert.deepStrictEqual(started.receiver.queue.stats(), { pending: 0, inFlight: 0, deadLetters: 0 });
+});
@@ -0,0 +1,63 @@
+var test = require('node:test');
+var assert = require('node:assert');
+
+var helpers = require('./helpers');
+
+/**
+ * Builds a Strava activity webhook event
+ * @param {string} aspectType - create, update or delete
+ * @param {number} activityId - Strava activity ID
+ * @returns {Object} Webhook event
+ */
+function activityEvent(aspectType, activityId) {
+  return { object_type: 'activity', aspect_type: aspectType, object_id: activityId, owner_id: 12345678, subscription_id: 1, event_time: 1717400000 };
+}
+
+test('create, update and delete events change the calendar', function() {
+  var setup = helpers.setUpEngine();
+
+  assert.strictEqual(setup.engine.handleWebhookEvent(activityEvent('create', 11000000001)), 'created');
+  assert.strictEqual(setup.engine.handleWebhookEvent(activityEvent('create', 11000000001)), 'exists');
+  assert.strictEqual(setup.engine.handleWebhookEvent(activityEvent('update', 11000000001)), 'updated');
+  assert.strictEqual(setup.engine.handleWebhookEvent(activityEvent('delete', 11000000001)), 'deleted');
+  assert.strictEqual(setup.engine.handleWebhookEvent(activityEvent('delete', 11000000001)), 'not_found');
+  assert.strictEqual(setup.calendar.getLiveEvents().length, 0);
+});
+
+test('a failed create is queued for retry only when the caller asks for it', function(t) {
+  var setup = helpers.setUpEngine();
+
+  t.mock.method(setup.calendar, 'createEvent', function() {
+    throw new Error('Calendar unavailable');
+  });
+
+  // The Node.js receiver retries failed events from its own queue
+  assert.throws(function() {
+    setup.engine.handleWebhookEvent(activityEvent('create', 11000000001), 'webhook server');
+  }, /Calendar unavailable/);
+  assert.strictEqual(setup.storage.getProperty('RETRY_QUEUE'), null);
+
+  // doPost() can't, because Strava doesn't redeliver events it got an answer for
+  assert.throws(function() {
+    setup.engine.handleWebhookEvent(activityEvent('create', 11000000001), 'doPost (webhook)', true);
+  }, /Calendar unavailable/);
+  assert.deepStrictEqual(Object.keys(JSON.parse(setup.storage.getProperty('RETRY_QUEUE'))), ['11000000001']);
+});
+
+test('polling still picks up an older activity after a webhook for a newer one', function() {
+  var now = Date.now();
+  var older = helpers.fixtureActivity(0, { id: 11000000011, start_date: new Date(now - 3 * 60 * 60 * 1000).toISOString() });
+  var newer = helpers.fixtureActivity(1, { id: 11000000012, start_date: new Date(now - 60 * 60 * 1000).toISOString() });
+  var setup = helpers.setUpEngine({
+    activities: [older, newer],
+    properties: { LAST_ACTIVITY_START: String(Math.floor((now - 24 * 60 * 60 * 1000) / 1000)) }
+  });
+
+  // The older activity's webhook was lost
+  assert.strictEqual(setup.engine.handleWebhookEvent(activityEvent('create', 11000000012)), 'created');
+  setup.engine.main();
+
+  assert.deepStrictEqual(setup.calendar.getLiveEvents().map(function(event) {
+    return event.getTag('stravaId');
+  }).sort(), ['11000000011', '11000000012']);
+});
@@ -0,0 +1,209 @@
+// =============================================================================
+// WEBHOOK QUEUE - Durable queue of Strava webhook events waiting to be applied
+// =============================================================================
+//
+// Events are written to a JSON file before the receiver answers Strava, so nothing is
+// lost if the process stops. Failed events are retried with backoff and parked in a
+// dead-letter list after too many attempts, like the script's activity retry queue.
+
+var fs = require('fs');
+var crypto = require('crypto');
+
+/**
+ * Default number of attempts before an event moves to the dead-letter list
+ */
+var DEFAULT_MAX_ATTEMPTS = 5;
+
+/**
+ * Delay before the first retry of a failed event; doubles after every failed attempt
+ */
+var DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * Maximum entries kept in the dead-letter list
+ */
+var MAX_DEAD_LETTERS = 500;
+
+/**
+ * How many applied deliveries are remembered, so late redeliveries aren't applied again
+ */
+var MAX_COMPLETED_KEYS = 1000;
+
+/**
+ * Opens (or creates) a queue kept in a JSON file
+ * @param {string} path - Queue file
+ * @param {Object} [options] - maxAttempts, retryDelayMs
+ * @returns {Object} Queue with enqueue, next, complete, fail, stats and deadLetters
+ */
+function createWebhookQueue(path, options) {
+  options = options || {};
+  var maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  var retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+  var state = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : { pending: [], deadLetters: [] };
+  state.completed = state.completed || [];
+
+  // Write a new file and rename it over the old one, so a crash never leaves half a queue
+  var save = function() {
+    var temporary = path + '.tmp';
+    fs.writeFileSync(temporary, JSON.stringify(state, null, 2));
+    fs.renameSync(temporary, path);
+  };
+
+  var findEntry = function(id) {
+    return state.pending.filter(function(entry) {
+      return entry.id === id;
+    })[0] || null;
+  };
+
+  // Entries that were being applied when the process stopped are due again
+  state.pending.forEach(function(entry) {
+    entry.inFlight = false;
+  });
+
+  return {
+    /**
+     * Adds an event unless the same delivery is already queued or was applied recently
+     * (Strava redelivers events it got no timely answer for)
+     * @param {Object} event - Validated Strava webhook event
+     * @returns {boolean} True if the event was added
+     * @throws {Error} If the queue file can't be written
+     */
+    enqueue: function(event) {
+      var key = [event.object_type, event.object_id, event.aspect_type, event.event_time].join(':');
+      var duplicate = state.completed.indexOf(key) !== -1 || state.pending.some(function(entry) {
+        return entry.key === key;
+      });
+
+      if (duplicate) {
+        return false;
+      }
+
+      state.pending.push({
+        id: crypto.randomUUID(),
+        key: key,
+        event: event,
+        receivedAt: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        inFlight: false
+      });
+      save();
+      return true;
+    },
+
+    /**
+     * Takes the next due event and marks it in flight. Events for the same Strava
+     * object are applied in the order they arrived, so an update never overtakes
+     * the create before it.
+     * @returns {Object|null} Queue entry, or null if nothing is due
+     */
+    next: function() {
+      var now = Date.now();
+      var blocked = {};
+
+      for (var i = 0; i < state.pending.length; i++) {
+        var entry = state.pending[i];
+        var object = entry.event.object_type + ':' + entry.event.object_id;
+
+        if (!blocked[object] && !entry.inFlight && entry.nextAttemptAt <= now) {
+          entry.inFlight = true;
+          return entry;
+        }
+
+        blocked[object] = true;
+      }
+
+      return null;
+    },
+
+    /**
+     * Gets when the next waiting event becomes due
+     * @returns {number|null} Milliseconds since the epoch, or null if the queue is empty
+     */
+    nextDueAt: function() {
+      var waiting = state.pending.filter(function(entry) {
+        return !entry.inFlight;
+      });
+
+      return waiting.length === 0 ? null : Math.min.apply(null, waiting.map(function(entry) {
+        return entry.nextAttemptAt;
+      }));
+    },
+
+    /**
+     * Removes an event that was applied and remembers its delivery
+     * @param {string} id - Entry id
+     */
+    complete: function(id) {
+      var entry = findEntry(id);
+
+      state.pending = state.pending.filter(function(other) {
+        return other.id !== id;
+      });
+      if (entry) {
+        state.completed = state.completed.concat(entry.key).slice(-MAX_COMPLETED_KEYS);
+      }
+      save();
+    },
+
+    /**
+     * Records a failed attempt: schedules a retry with backoff, or moves the event to
+     * the dead-letter list after maxAttempts attempts
+     * @param {string} id - Entry id
+     * @param {string} error - What went wrong
+     * @returns {boolean} True if the event will be retried
+     */
+    fail: function(id, error) {
+      var entry = findEntry(id);
+
+      if (!entry) {
+        return false;
+      }
+
+      entry.inFlight = false;
+      entry.attempts++;
+      entry.lastError = String(error);
+
+      if (entry.attempts < maxAttempts) {
+        entry.nextAttemptAt = Date.now() + retryDelayMs * Math.pow(2, entry.attempts - 1);
+        save();
+        return true;
+      }
+
+      state.pending = state.pending.filter(function(other) {
+        return other.id !== id;
+      });
+      entry.failedAt = new Date().toISOString();
+      state.deadLetters = state.deadLetters.concat(entry).slice(-MAX_DEAD_LETTERS);
+      save();
+      return false;
+    },
+
+    /**
+     * Gets the queue's size
+     * @returns {Object} { pending, inFlight, deadLetters }
+     */
+    stats: function() {
+      return {
+        pending: state.pending.length,
+        inFlight: state.pending.filter(function(entry) {
+          return entry.inFlight;
+        }).length,
+        deadLetters: state.deadLetters.length
+      };
+    },
+
+    /**
+     * Gets the events that ran out of attempts
+     * @returns {Object[]} Dead-letter entries, oldest first
+     */
+    deadLetters: function() {
+      return state.deadLetters.slice();
+    }
+  };
+}
+
+module.exports = {
+  createWebhookQueue: createWebhookQueue
+};
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// =============================================================================
+// WEBHOOK SERVER - Standalone receiver for Strava webhook events
+// =============================================================================
+//
+// Usage: node node/webhook-server.js [options]
+//
+//   node node/webhook-server.js --port 8080 --state .strava-state.json
+//   node node/webhook-server.js --fixtures --calendar-api http://localhost:8081
+//
+// Options:
+//   --port PORT          Port to listen on (default: $PORT or 8080)
+//   --path PATH          Callback path registered with Strava (default: /webhook)
+//   --state FILE         Properties: Strava tokens, STRAVA_VERIFY_TOKEN, settings (default: .strava-state.json)
+//   --queue FILE         Durable event queue (default: .webhook-queue.json)
+//   --fixtures           Answer Strava API requests from node/fixtures/strava.json
+//   --calendar-api URL   Calendar API base URL, e.g. the fake one from fake-calendar-api.js
+//   --tz ZONE            Script time zone (default: UTC)
+//
+// Google Calendar credentials come from the environment: GOOGLE_SERVICE_ACCOUNT_FILE
+// (and GOOGLE_SUBJECT to act as a user), or GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and
+// GOOGLE_REFRESH_TOKEN. GOOGLE_CALENDAR_IDS lists calendars shared with the account.
+//
+// Apps Script web apps answer every request with a 302 redirect, which Strava's
+// subscription check rejects (see analyzeWebhookIssue()). This server answers the
+// hub.challenge with a plain 200, validates events, writes them to a durable queue
+// before acknowledging them and applies them with the same engine as doPost().
+
+var http = require('http');
+var path = require('path');
+var workerThreads = require('worker_threads');
+
+var engine = require('../src/main.js');
+var fakes = require('./fakes');
+var nodePlatform = require('./platform');
+var webhookQueue = require('./webhook-queue');
+
+/**
+ * Largest request body accepted; Strava events are a few hundred bytes
+ */
+var MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Longest wait between checks for queued events that became due
+ */
+var MAX_IDLE_MS = 60 * 1000;
+
+/**
+ * Delay before restarting a worker that stopped; doubles with every restart in a row
+ */
+var WORKER_RESTART_DELAY_MS = 1000;
+
+/**
+ * Restarts in a row, without an event applied in between, before the receiver gives up
+ */
+var MAX_WORKER_RESTARTS = 5;
+
+/**
+ * Creates the webhook receiver and starts its worker; call server.listen() to serve
+ * @param {Object} options - statePath, queuePath, path, fixtures, calendarApi, timeZone,
+ *   retryDelayMs, maxAttempts
+ * @returns {Object} { server, queue, verifyToken, close() }
+ */
+function createWebhookServer(options) {
+  var callbackPath = options.path || '/webhook';
+  var properties = nodePlatform.createFileStorage(options.statePath);
+
+  if (options.fixtures) {
+    Object.keys(fakes.FIXTURE_PROPERTIES).forEach(function(key) {
+      if (properties.getProperty(key) === null) {
+        properties.setProperty(key, fakes.FIXTURE_PROPERTIES[key]);
+      }
+    });
+  }
+
+  // Same verify token as the Apps Script web app, generated the same way when missing
+  var verifyToken = properties.getProperty('STRAVA_VERIFY_TOKEN');
+  if (!verifyToken) {
+    verifyToken = 'strava_webhook_verify_' + nodePlatform.utilities.getUuid().slice(0, 8);
+    properties.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
+    console.log('Generated new verify token:', verifyToken);
+  }
+
+  var subscriptionId = properties.getProperty('WEBHOOK_SUBSCRIPTION_ID');
+  var queue = webhookQueue.createWebhookQueue(options.queuePath, {
+    maxAttempts: options.maxAttempts,
+    retryDelayMs: options.retryDelayMs
+  });
+
+  var worker = null;
+  var current = null;
+  var timer = null;
+  var restartTimer = null;
+  var restarts = 0;
+  var closed = false;
+
+  // From here on only the worker writes the properties file
+  var startWorker = function() {
+    worker = new workerThreads.Worker(path.join(__dirname, 'webhook-worker.js'), {
+      workerData: {
+        statePath: options.statePath,
+        fixtures: !!options.fixtures,
+        calendarApi: options.calendarApi || null,
+        timeZone: options.timeZone || 'UTC'
+      }
+    });
+
+    worker.on('message', function(result) {
+      var entry = current;
+      current = null;
+      restarts = 0;
+
+      if (result.error) {
+        var retrying = queue.fail(result.id, result.error);
+        console.error('Webhook event', entry.key, 'failed:', result.error,
+          retrying ? '- will retry' : '- moved to dead letters after ' + entry.attempts + ' attempts');
+      } else {
+        queue.complete(result.id);
+        console.log('Webhook event', entry.key, '->', result.outcome);
+      }
+
+      pump();
+    });
+
+    worker.on('error', function(error) {
+      console.error('Webhook worker crashed:', error.toString());
+    });
+
+    worker.on('exit', function() {
+      worker = null;
+
+      if (closed) {
+        return;
+      }
+
+      if (current) {
+        queue.fail(current.id, 'worker stopped while applying the event');
+        current = null;
+      }
+
+      if (restarts >= MAX_WORKER_RESTARTS) {
+        console.error('Webhook worker stopped ' + restarts + ' times in a row - giving up. Events stay queued until the receiver is restarted');
+        return;
+      }
+
+      var delayMs = WORKER_RESTART_DELAY_MS * Math.pow(2, restarts);
+      restarts++;
+      console.error('Restarting webhook worker in ' + Math.round(delayMs / 1000) + 's (restart ' + restarts + ' of ' + MAX_WORKER_RESTARTS + ')');
+
+      restartTimer = setTimeout(function() {
+        restartTimer = null;
+        startWorker();
+        pump();
+      }, delayMs);
+    });
+  };
+
+  // Hands the next due event to the worker, or waits until one is due
+  var pump = function() {
+    clearTimeout(timer);
+    timer = null;
+
+    if (closed || current || !worker) {
+      return;
+    }
+
+    current = queue.next();
+
+    if (current) {
+      worker.postMessage({ id: current.id, event: current.event });
+      return;
+    }
+
+    var dueAt = queue.nextDueAt();
+    if (dueAt !== null) {
+      timer = setTimeout(pump, Math.min(Math.max(dueAt - Date.now(), 0), MAX_IDLE_MS));
+    }
+  };
+
+  var server = http.createServer(function(req, res) {
+    var url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      var stopped = !worker && !restartTimer;
+      return sendJson(res, stopped ? 503 : 200, { ok: !stopped, worker: stopped ? 'stopped' : 'running', queue: queue.stats() });
+    }
+
+    if (url.pathname !== callbackPath) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method === 'GET') {
+      return handleVerification(url.searchParams, verifyToken, res);
+    }
+
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    readBody(req, function(error, body) {
+      if (error) {
+        return sendJson(res, 413, { error: error.message });
+      }
+
+      var event;
+
+      try {
+        event = JSON.parse(body);
+      } catch (parseError) {
+        return sendJson(res, 400, { error: 'Body is not valid JSON' });
+      }
+
+      var problem = engine.validateWebhookEvent(event, subscriptionId);
+      if (problem) {
+        console.log('Rejected webhook event -', problem);
+        return sendJson(res, 400, { error: problem });
+      }
+
+      // Only acknowledge once the event is safely on disk; Strava redelivers on errors
+      var added;
+
+      try {
+        added = queue.enqueue(event);
+      } catch (queueError) {
+        console.error('Failed to queue webhook event:', queueError.message);
+        return sendJson(res, 500, { error: 'Event could not be queued' });
+      }
+
+      console.log(added ? 'Queued' : 'Already queued or applied', 'webhook event', event.object_type, event.aspect_type, event.object_id);
+      sendJson(res, 200, { status: 'queued' });
+      pump();
+    });
+  });
+
+  startWorker();
+  pump();
+
+  return {
+    server: server,
+    queue: queue,
+    verifyToken: verifyToken,
+    close: function(callback) {
+      closed = true;
+      clearTimeout(timer);
+      clearTimeout(restartTimer);
+      if (worker) {
+        worker.terminate();
+      }
+      server.close(callback);
+    }
+  };
+}
+
+/**
+ * Answers Strava's subscription check: echoes hub.challenge with a 200 when the verify
+ * token matches
+ * @param {URLSearchParams} params - Query parameters
+ * @param {string} verifyToken - Expected hub.verify_token
+ * @param {http.ServerResponse} res - Response
+ */
+function handleVerification(params, verifyToken, res) {
+  var mode = params.get('hub.mode');
+  var challenge = params.get('hub.challenge');
+
+  if (mode === 'subscribe' && challenge && params.get('hub.verify_token') === verifyToken) {
+    console.log('Webhook verification successful');
+    return sendJson(res, 200, { 'hub.challenge': challenge });
+  }
+
+  console.log('Webhook verification failed - mode', mode, challenge ? 'with' : 'without', 'challenge, token',
+    params.get('hub.verify_token') === verifyToken ? 'matches' : 'does not match');
+  sendJson(res, 403, { error: 'Verification failed' });
+}
+
+/**
+ * Reads a request body up to MAX_BODY_BYTES
+ * @param {http.IncomingMessage} req - Request
+ * @param {Function} callback - Called with (error, body)
+ */
+function readBody(req, callback) {
+  var chunks = [];
+  var size = 0;
+  var tooLarge = false;
+
+  req.on('data', function(chunk) {
+    size += chunk.length;
+
+    if (size > MAX_BODY_BYTES) {
+      tooLarge = true;
+      return;
+    }
+
+    chunks.push(chunk);
+  });
+
+  req.on('end', function() {
+    callback(tooLarge ? new Error('Body larger than ' + MAX_BODY_BYTES + ' bytes') : null,
+      Buffer.concat(chunks).toString('utf8'));
+  });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} code - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options for createWebhookServer, plus port
+ */
+function parseArguments(argv) {
+  var options = {
+    port: Number(process.env.PORT) || 8080,
+    path: '/webhook',
+    statePath: path.resolve('.strava-state.json'),
+    queuePath: path.resolve('.webhook-queue.json'),
+    fixtures: false,
+    calendarApi: null,
+    timeZone: 'UTC'
+  };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+
+    if (arg === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (arg === '--path') {
+      options.path = argv[++i];
+    } else if (arg === '--state') {
+      options.statePath = path.resolve(argv[++i]);
+    } else if (arg === '--queue') {
+      options.queuePath = path.resolve(argv[++i]);
+    } else if (arg === '--fixtures') {
+      options.fixtures = true;
+    } else if (arg === '--calendar-api') {
+      options.calendarApi = argv[++i];
+    } else if (arg === '--tz') {
+      options.timeZone = argv[++i];
+    } else {
+      throw new Error('Unknown option ' + arg);
+    }
+  }
+
+  return options;
+}
+
+module.exports = {
+  createWebhookServer: createWebhookServer
+};
+
+if (require.main === module) {
+  var options = parseArguments(process.argv.slice(2));
+  var receiver = createWebhookServer(options);
+
+  receiver.server.listen(options.port, function() {
+    console.log('Webhook receiver listening on http://localhost:' + options.port + options.path +
+      ' (verify token ' + receiver.verifyToken + ', ' + receiver.queue.stats().pending + ' events queued)');
+  });
+
+  ['SIGINT', 'SIGTERM'].forEach(function(signal) {
+    process.on(signal, function() {
+      receiver.close(function() {
+        process.exit(0);
+      });
+    });
+  });
+}
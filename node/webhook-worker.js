@@ -0,0 +1,78 @@
+// =============================================================================
+// WEBHOOK WORKER - Applies queued webhook events with the sync engine
+// =============================================================================
+//
+// Runs in a worker thread started by webhook-server.js. The engine blocks while it
+// talks to Strava and the calendar, so it runs here and the receiver's thread stays
+// free to answer Strava within its two-second limit. Receives { id, event } messages
+// and answers { id, outcome } or { id, error }.
+
+var workerThreads = require('worker_threads');
+
+var engine = require('../src/main.js');
+var fakes = require('./fakes');
+var googleCalendar = require('./google-calendar');
+var nodePlatform = require('./platform');
+
+/**
+ * Builds the calendar adapter: a calendar API at a custom URL (e.g. the fake one),
+ * Google Calendar with credentials from the environment, or in-memory calendars
+ * @param {Object} options - calendarApi, timeZone
+ * @returns {Object} Calendar service
+ */
+function createCalendar(options) {
+  var env = process.env;
+  var calendarIds = env.GOOGLE_CALENDAR_IDS ? env.GOOGLE_CALENDAR_IDS.split(',') : [];
+  var hasCredentials = env.GOOGLE_SERVICE_ACCOUNT_FILE || env.GOOGLE_REFRESH_TOKEN;
+
+  if (options.calendarApi && !hasCredentials) {
+    return googleCalendar.createGoogleCalendarService({
+      baseUrl: options.calendarApi,
+      auth: googleCalendar.createGoogleAuth({ accessToken: 'local' }),
+      calendarIds: calendarIds
+    });
+  }
+
+  if (hasCredentials) {
+    return googleCalendar.createGoogleCalendarService({
+      baseUrl: options.calendarApi,
+      auth: googleCalendar.createGoogleAuth({
+        serviceAccountFile: env.GOOGLE_SERVICE_ACCOUNT_FILE,
+        subject: env.GOOGLE_SUBJECT,
+        clientId: env.GOOGLE_CLIENT_ID,
+        clientSecret: env.GOOGLE_CLIENT_SECRET,
+        refreshToken: env.GOOGLE_REFRESH_TOKEN
+      }),
+      calendarIds: calendarIds
+    });
+  }
+
+  console.log('No Google credentials or --calendar-api given - events go to in-memory calendars and are lost on exit');
+  return fakes.createMemoryCalendarService({ names: ['Strava'], timeZone: options.timeZone });
+}
+
+/**
+ * Sets up the engine's platform and answers messages from the receiver
+ * @param {Object} options - statePath, fixtures, calendarApi, timeZone (workerData)
+ */
+function startWorker(options) {
+  engine.setPlatform(nodePlatform.createNodePlatform({
+    http: options.fixtures ? fakes.createFixtureHttp(require('./fixtures/strava.json')) : nodePlatform.createNodeHttp(),
+    calendar: createCalendar(options),
+    storage: nodePlatform.createFileStorage(options.statePath),
+    geocoder: process.env.GOOGLE_MAPS_API_KEY ? nodePlatform.createGoogleGeocoder({ apiKey: process.env.GOOGLE_MAPS_API_KEY }) : null,
+    timeZone: options.timeZone
+  }));
+
+  workerThreads.parentPort.on('message', function(message) {
+    try {
+      engine.beginExecution();
+      var outcome = engine.handleWebhookEvent(message.event, 'webhook (node)');
+      workerThreads.parentPort.postMessage({ id: message.id, outcome: outcome });
+    } catch (error) {
+      workerThreads.parentPort.postMessage({ id: message.id, error: String(error && error.message || error) });
+    }
+  });
+}
+
+startWorker(workerThreads.workerData);
@@ -22,32 +22,202 @@
  * @version 3.0.0 - Reliable Polling Edition
  */
 
+/**
+ * How far back to search for an activity's event when its start time is unknown
+ * (webhook deletes) or has changed on Strava (webhook updates)
+ */
+var EVENT_LOOKUP_DAYS = 90;
+
+/**
+ * Default number of days re-checked by the reconciliation pass (override with RECONCILE_DAYS)
+ */
+var DEFAULT_RECONCILE_DAYS = 7;
+
+/**
+ * Default lookback for a cold start with no sync watermark (override with INITIAL_SYNC_DAYS)
+ */
+var DEFAULT_INITIAL_SYNC_DAYS = 7;
+
+/**
+ * Maximum pages of activities fetched per polling run; anything beyond is picked up next run
+ */
+var MAX_SYNC_PAGES = 4;
+
+/**
+ * How long a backfill or rebuild run works before checkpointing (Apps Script stops executions at 6 minutes)
+ */
+var BACKFILL_TIME_BUDGET_MS = 4.5 * 60 * 1000;
+
+/**
+ * Number of Script Properties the activity-to-event index is spread over
+ */
+var EVENT_INDEX_SHARDS = 10;
+
+/**
+ * Size limit of one event index shard (Script Property values are capped at 9 KB);
+ * the oldest activities are dropped from a shard that grows past it
+ */
+var EVENT_INDEX_SHARD_BYTES = 8000;
+
+/**
+ * Earliest year the event index migration looks for existing events (Strava launched in 2009)
+ */
+var EVENT_INDEX_FIRST_YEAR = 2009;
+
+/**
+ * Base URL of the Strava REST API
+ */
+var STRAVA_API_BASE = 'https://www.strava.com/api/v3';
+
+/**
+ * Strava permission requested when connecting: read all activities, including private ones
+ */
+var STRAVA_SCOPE = 'activity:read_all';
+
+/**
+ * How long a connect link from connectStrava() stays valid, in seconds
+ */
+var CONNECT_LINK_SECONDS = 60 * 60;
+
+/**
+ * Attempts per Strava request when it responds 429 or 5xx
+ */
+var STRAVA_MAX_ATTEMPTS = 3;
+
+/**
+ * Share of each rate-limit window kept in reserve, so manual runs and webhooks still have headroom
+ */
+var RATE_LIMIT_RESERVE = 0.1;
+
+/**
+ * Strava requests a polling run needs at minimum; runs are skipped when less budget is left
+ */
+var MIN_SYNC_API_CALLS = 2;
+
+/**
+ * Default number of attempts before a failing activity moves to the dead-letter list
+ */
+var DEFAULT_RETRY_MAX_ATTEMPTS = 5;
+
+/**
+ * Delay before the first retry of a failed activity; doubles after every failed attempt
+ */
+var RETRY_BASE_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * Maximum entries kept in the retry queue and dead-letter list (Script Properties hold 9 KB each)
+ */
+var MAX_QUEUE_ENTRIES = 40;
+
+/**
+ * Default minimum hours between two notification emails of the same error class
+ */
+var DEFAULT_NOTIFY_THROTTLE_HOURS = 24;
+
+/**
+ * Maximum failure messages kept for the next notification digest
+ */
+var MAX_DIGEST_ENTRIES = 20;
+
+/**
+ * Maximum runs kept in the sync log's Runs sheet; the oldest rows are removed first
+ */
+var MAX_SYNC_LOG_RUNS = 5000;
+
+/**
+ * Completed weeks whose summary events are refreshed on every run, so late uploads are still counted
+ */
+var SUMMARY_REFRESH_WEEKS = 2;
+
+/**
+ * Decimal places start coordinates are rounded to before geocoding (3 is about 100 m)
+ */
+var GEOCODE_PRECISION = 3;
+
+/**
+ * How long reverse-geocoded place names are cached (CacheService keeps entries at most 6 hours)
+ */
+var GEOCODE_CACHE_SECONDS = 6 * 60 * 60;
+
+/**
+ * Hours without a successful sync after which diagnoseSetup() warns
+ */
+var STALE_SYNC_HOURS = 24;
+
+/**
+ * Unit conversions used by the formatters
+ */
+var METERS_PER_MILE = 1609.344;
+var METERS_PER_FOOT = 0.3048;
+var METERS_PER_YARD = 0.9144;
+
+/**
+ * When this execution started; Apps Script runs the top-level code again for every execution
+ */
+var executionStartedAt = Date.now();
+
+/**
+ * Starts the execution time budget that backfills, rebuilds and the event index
+ * migration pause against. Apps Script loads the script afresh for every execution;
+ * long-lived Node.js processes call this before each run instead.
+ */
+function beginExecution() {
+  executionStartedAt = Date.now();
+}
+
 /**
  * Main function - entry point for the sync process
  * Run this manually once, then set up a trigger to run automatically
+ * @param {Object} [e] - Event object passed by the time-based trigger, or { dryRun: true }
+ *   to only return the plan of what would change (see previewSync())
+ * @returns {Object|undefined} Dry run plan, when a dry run was requested
  */
-function main() {
+function main(e) {
+  if (isDryRunRequest(e)) {
+    return runDryRun(main, arguments);
+  }
+  
+  if (dispatchToAthletes(main, arguments)) {
+    return;
+  }
+  
+  startSyncRun(getRunSource('main', e));
+  
   try {
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var refreshToken = props.getProperty('STRAVA_REFRESH_TOKEN');
-    
-    if (!clientId || !clientSecret || !refreshToken) {
-      throw new Error('Missing required properties. Set STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET and STRAVA_REFRESH_TOKEN in Script Properties.');
+    if (!hasStravaBudget(MIN_SYNC_API_CALLS)) {
+      console.log('Skipping sync run - Strava rate limit budget exhausted (' + describeRateLimitUsage() + ')');
+      recordRunError('Skipped - Strava rate limit budget exhausted');
+      return;
     }
     
     // Ensure access token is fresh
-    var accessToken = refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken);
+    var accessToken = getStravaAccessToken();
     
     // Sync activities to calendar
     syncActivitiesToCalendar(accessToken);
     
+    // Give previously failed activities another go
+    processRetryQueue(accessToken);
+    
+    // Index events created before the event index existed, a bit more each run until done
+    if (!dryRun && !isEventIndexMigrated()) {
+      runEventIndexMigration();
+    }
+    
     console.log('Sync completed successfully');
+    getScriptProperties().setProperty('LAST_SUCCESSFUL_SYNC', new Date().toISOString());
+    notifyRecovered('auth');
+    notifyRecovered('sync_failed');
   } catch (error) {
+    recordRunError(error);
+    if (isRateLimitError(error)) {
+      console.log('Sync deferred until the next run - ' + error.message);
+      return;
+    }
     console.error('Sync failed:', error.toString());
-    // Optionally send email notification on error
-    // MailApp.sendEmail('your-email@example.com', 'Strava Sync Error', error.toString());
+    notifyFailure(error.authFailed ? 'auth' : 'sync_failed', error.toString());
+  } finally {
+    finishSyncRun();
   }
 }
 
@@ -56,16 +226,17 @@ function main() {
  * @param {string} clientId - Strava app client ID
  * @param {string} clientSecret - Strava app client secret  
  * @param {string} refreshToken - Strava refresh token
+ * @param {boolean} [force] - Refresh even if the current token is still valid
  * @returns {string} Valid access token
  */
-function refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken) {
-  var props = PropertiesService.getScriptProperties();
+function refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken, force) {
+  var props = getScriptProperties();
   var accessToken = props.getProperty('STRAVA_ACCESS_TOKEN');
   var expiresAt = Number(props.getProperty('STRAVA_EXPIRES_AT') || '0');
   var nowSec = Math.floor(Date.now() / 1000);
   
   // Refresh if token is missing or expires within 60 seconds
-  if (!accessToken || nowSec >= expiresAt - 60) {
+  if (force || !accessToken || nowSec >= expiresAt - 60) {
     console.log('Refreshing Strava access token...');
     
     var payload = {
@@ -75,14 +246,16 @@ function refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken) {
       refresh_token: refreshToken
     };
     
-    var response = UrlFetchApp.fetch('https://www.strava.com/oauth/token', {
+    var response = stravaFetch('https://www.strava.com/oauth/token', {
       method: 'post',
-      payload: payload,
-      muteHttpExceptions: true
+      payload: payload
     });
     
     if (response.getResponseCode() !== 200) {
-      throw new Error('Failed to refresh Strava token: ' + response.getContentText());
+      var error = new Error('Failed to refresh Strava token: ' + response.getContentText());
+      // 400/401 mean the refresh token was revoked or expired - retrying won't help
+      error.authFailed = response.getResponseCode() === 400 || response.getResponseCode() === 401;
+      throw error;
     }
     
     var tokenData = JSON.parse(response.getContentText());
@@ -100,1466 +273,6894 @@ function refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken) {
 }
 
 /**
- * Fetches new Strava activities and creates Google Calendar events
- * @param {string} accessToken - Valid Strava access token
+ * Reads the Strava credentials from Script Properties and returns a valid access token
+ * @param {boolean} [forceRefresh] - Refresh the token even if it hasn't expired yet
+ * @returns {string} Valid access token
  */
-function syncActivitiesToCalendar(accessToken) {
-  var props = PropertiesService.getScriptProperties();
-  var lastActivityId = props.getProperty('LAST_ACTIVITY_ID') || '0';
+function getStravaAccessToken(forceRefresh) {
+  var clientId = getConfig('STRAVA_CLIENT_ID');
+  var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+  var refreshToken = getConfig('STRAVA_REFRESH_TOKEN');
   
-  // Try to get Strava calendar first, fallback to default
-  var calendar;
-  try {
-    var stravaCalendars = CalendarApp.getCalendarsByName('Strava');
-    if (stravaCalendars && stravaCalendars.length > 0) {
-      calendar = stravaCalendars[0];
-      console.log('Using Strava calendar');
-    } else {
-      calendar = CalendarApp.getDefaultCalendar();
-      console.log('Using default calendar (Strava calendar not found)');
-    }
-  } catch (error) {
-    calendar = CalendarApp.getDefaultCalendar();
-    console.log('Fallback to default calendar due to error:', error.toString());
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new Error('Missing required properties. Set STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET and ' +
+      getAthletePropertyName('STRAVA_REFRESH_TOKEN') + ' in Script Properties.');
   }
   
-  if (!calendar) {
-    throw new Error('Unable to access any calendar. Please check permissions.');
+  return refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken, forceRefresh);
+}
+
+// =============================================================================
+// PLATFORM - Adapters between the sync engine and the services it runs on
+// =============================================================================
+
+/**
+ * Services the sync engine runs on. Token refresh, fetching, filtering, formatting
+ * and event building only reach Apps Script through these small interfaces, so the
+ * engine can also run under plain Node.js (see node/platform.js):
+ *
+ *   http      - fetch(url, options) like UrlFetchApp.fetch; responses have
+ *               getResponseCode(), getContentText() and getHeaders()
+ *   calendar  - getCalendarsByName(name), getCalendarById(id), getDefaultCalendar()
+ *               and the Visibility and EventColor constants, like CalendarApp
+ *   storage   - getProperty, setProperty, deleteProperty and getKeys, like Script Properties
+ *   scheduler - runOnce(handler, delayMs), cancel(handler) and getHandlers() for triggers
+ *   sleep     - sleep(ms), blocking like Utilities.sleep
+ *   utilities - parseDate, formatDate, computeDigest, base64Encode and getUuid, like Utilities
+ *   timeZone  - timeZone(), the script's time zone, used where no calendar time zone applies
+ *   cache     - get(key), put(key, value, seconds) and remove(key), like the script cache
+ *   geocoder  - reverseGeocode(lat, lng, language), answering like Maps' Geocoder; may be null
+ *   mail      - sendEmail(recipient, subject, body), like MailApp
+ *   spreadsheets - openById(id) and create(name) for the sync log, like SpreadsheetApp; may be null
+ *
+ * The Apps Script services fill most roles themselves.
+ */
+var platform = null;
+
+/**
+ * Gets the services the engine runs on, defaulting to Apps Script's
+ * @returns {Object} Platform adapters
+ */
+function getPlatform() {
+  if (!platform) {
+    platform = createAppsScriptPlatform();
   }
+  return platform;
+}
+
+/**
+ * Replaces the services the engine runs on, e.g. with the Node.js adapters
+ * @param {Object} adapters - Platform adapters (see getPlatform())
+ */
+function setPlatform(adapters) {
+  platform = adapters;
+  // Cached calendars, index shards and place names belong to the previous platform
+  stravaCalendar = null;
+  calendarCache = {};
+  eventIndexShards = {};
+  geocodeCache = {};
+  beginExecution();
+}
+
+/**
+ * Builds the platform adapters backed by the Apps Script services
+ * @returns {Object} Platform adapters
+ */
+function createAppsScriptPlatform() {
+  return {
+    http: UrlFetchApp,
+    calendar: CalendarApp,
+    storage: PropertiesService.getScriptProperties(),
+    scheduler: {
+      runOnce: function(handler, delayMs) {
+        ScriptApp.newTrigger(handler)
+          .timeBased()
+          .after(delayMs)
+          .create();
+      },
+      cancel: function(handler) {
+        ScriptApp.getProjectTriggers().forEach(function(trigger) {
+          if (trigger.getHandlerFunction() === handler) {
+            ScriptApp.deleteTrigger(trigger);
+          }
+        });
+      },
+      getHandlers: function() {
+        return ScriptApp.getProjectTriggers().map(function(trigger) {
+          return trigger.getHandlerFunction();
+        });
+      }
+    },
+    sleep: function(ms) {
+      Utilities.sleep(ms);
+    },
+    utilities: Utilities,
+    timeZone: function() {
+      return Session.getScriptTimeZone();
+    },
+    cache: CacheService.getScriptCache(),
+    geocoder: {
+      reverseGeocode: function(lat, lng, language) {
+        return Maps.newGeocoder().setLanguage(language).reverseGeocode(lat, lng);
+      }
+    },
+    mail: MailApp,
+    spreadsheets: SpreadsheetApp
+  };
+}
+
+// =============================================================================
+// ATHLETES - Several Strava accounts syncing from one deployment
+// =============================================================================
+
+/**
+ * Script Properties shared by all athletes: the Strava app, the webhook subscription,
+ * the app-wide rate limit and the sync log
+ */
+var SHARED_PROPERTIES = ['ATHLETES', 'STRAVA_CLIENT_ID', 'STRAVA_CLIENT_SECRET', 'STRAVA_VERIFY_TOKEN',
+  'STRAVA_RATE_LIMIT', 'SYNC_LOG_SPREADSHEET_ID', 'WEBHOOK_CALLBACK_URL', 'WEBHOOK_SUBSCRIPTION_ID',
+  'WEBHOOK_VERIFICATION_RECEIVED'];
+
+/**
+ * Per-athlete state that never falls back to the shared property of the same name
+ */
+var ATHLETE_STATE_PROPERTIES = ['STRAVA_REFRESH_TOKEN', 'STRAVA_ACCESS_TOKEN', 'STRAVA_EXPIRES_AT',
+  'STRAVA_ATHLETE_ID', 'LAST_ACTIVITY_ID', 'LAST_ACTIVITY_START', 'RETRY_QUEUE', 'DEAD_LETTER_QUEUE',
+  'BACKFILL_STATE', 'REBUILD_STATE', 'NOTIFY_STATE', 'EVENT_INDEX_MIGRATION', 'STRAVA_GRANTED_SCOPE',
+  'LAST_SUCCESSFUL_SYNC'].concat(getEventIndexShardNames());
+
+/**
+ * Athlete whose tokens, state and settings are in use (null in single-athlete mode)
+ */
+var currentAthlete = null;
+
+/**
+ * Gets the Script Properties as seen by the current athlete.
+ *
+ * With ATHLETES set, every property except the SHARED_PROPERTIES is stored per athlete
+ * as ATHLETE_<KEY>_<NAME>, e.g. ATHLETE_ALICE_STRAVA_REFRESH_TOKEN. Settings such as
+ * CALENDAR_NAME or UNITS fall back to the shared property when an athlete doesn't set
+ * their own; tokens and sync state (ATHLETE_STATE_PROPERTIES) never do.
+ * In single-athlete mode this is just the Script Properties.
+ * During a dry run, writes are dropped except for DRY_RUN_WRITABLE_PROPERTIES.
+ *
+ * @returns {Object} Properties with getProperty, setProperty and deleteProperty
+ */
+function getScriptProperties() {
+  var props = getPlatform().storage;
+  var athlete = currentAthlete;
   
-  console.log('Fetching activities since ID:', lastActivityId);
-  
-  var page = 1;
-  var perPage = 30;
-  var newLastId = Number(lastActivityId);
-  var activitiesProcessed = 0;
+  var resolve = function(key) {
+    return athlete && SHARED_PROPERTIES.indexOf(key) === -1 ? getAthletePropertyName(key, athlete) : key;
+  };
   
-  while (true) {
-    var url = 'https://www.strava.com/api/v3/athlete/activities?per_page=' + perPage + '&page=' + page;
-    
-    var response = UrlFetchApp.fetch(url, {
-      headers: { 
-        Authorization: 'Bearer ' + accessToken 
-      },
-      muteHttpExceptions: true
-    });
-    
-    if (response.getResponseCode() !== 200) {
-      throw new Error('Strava API error: ' + response.getResponseCode() + ' ' + response.getContentText());
-    }
-    
-    var activities = JSON.parse(response.getContentText() || '[]');
-    
-    if (!activities || activities.length === 0) {
-      break; // No more activities
-    }
-    
-    // Process activities from oldest to newest
-    activities.reverse();
-    
-    activities.forEach(function(activity) {
-      var activityId = Number(activity.id);
+  return {
+    getProperty: function(key) {
+      var name = resolve(key);
+      var value = props.getProperty(name);
       
-      // Skip if we've already processed this activity
-      if (activityId <= Number(lastActivityId)) {
-        return;
+      if (value === null && name !== key && ATHLETE_STATE_PROPERTIES.indexOf(key) === -1) {
+        value = props.getProperty(key);
       }
-      
-      try {
-        createCalendarEvent(calendar, activity);
-        activitiesProcessed++;
-        
-        if (activityId > newLastId) {
-          newLastId = activityId;
-        }
-      } catch (error) {
-        console.error('Failed to create event for activity', activityId, ':', error.toString());
+      return value;
+    },
+    setProperty: function(key, value) {
+      if (!dryRun || DRY_RUN_WRITABLE_PROPERTIES.indexOf(key) !== -1) {
+        props.setProperty(resolve(key), value);
       }
-    });
-    
-    page++;
-    
-    // Stop if we got fewer results than requested (last page)
-    if (activities.length < perPage) {
-      break;
+      return this;
+    },
+    deleteProperty: function(key) {
+      if (!dryRun || DRY_RUN_WRITABLE_PROPERTIES.indexOf(key) !== -1) {
+        props.deleteProperty(resolve(key));
+      }
+      return this;
     }
-  }
-  
-  // Update the last processed activity ID
-  if (newLastId > Number(lastActivityId)) {
-    props.setProperty('LAST_ACTIVITY_ID', String(newLastId));
-    console.log('Updated last activity ID to:', newLastId);
-  }
-  
-  console.log('Processed', activitiesProcessed, 'new activities');
+  };
 }
 
 /**
- * Creates a Google Calendar event for a Strava activity
- * @param {Calendar} calendar - Google Calendar instance
- * @param {Object} activity - Strava activity object
+ * Gets the Script Property name an athlete's value is stored under
+ * @param {string} key - Property name, e.g. STRAVA_REFRESH_TOKEN
+ * @param {string} [athlete] - Athlete key (defaults to the current athlete)
+ * @returns {string} Namespaced property name, or the key itself in single-athlete mode
  */
-function createCalendarEvent(calendar, activity) {
-  var activityId = activity.id;
-  var startTime = new Date(activity.start_date);
-  var durationMs = (activity.elapsed_time || 0) * 1000;
-  var endTime = new Date(startTime.getTime() + durationMs);
-  
-  var title = activity.name || activity.type || 'Activity';
-  
-  var description = [
-    'Strava ID: ' + activityId,
-    'Type: ' + (activity.type || 'Unknown'),
-    'Distance: ' + formatDistance(activity.distance || 0),
-    'Duration: ' + formatDuration(activity.elapsed_time || 0),
-    'Moving Time: ' + formatDuration(activity.moving_time || 0)
-  ];
-  
-  if (activity.average_speed) {
-    description.push('Avg Speed: ' + formatSpeed(activity.average_speed));
-  }
+function getAthletePropertyName(key, athlete) {
+  athlete = athlete || currentAthlete;
+  return athlete ? 'ATHLETE_' + athlete.toUpperCase() + '_' + key : key;
+}
+
+/**
+ * Reads the athlete keys from the ATHLETES Script Property (a JSON array such as ["alice", "bob"])
+ * @returns {string[]} Athlete keys, empty in single-athlete mode
+ */
+function getAthletes() {
+  return getConfig('ATHLETES').filter(function(athlete) {
+    var valid = /^[A-Za-z0-9_]+$/.test(String(athlete));
+    if (!valid) {
+      console.error('Ignoring athlete "' + athlete + '" in ATHLETES - use letters, digits and underscores only');
+    }
+    return valid;
+  });
+}
+
+/**
+ * Runs a function with an athlete's properties, calendar and settings
+ * @param {string} athlete - Athlete key
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withAthlete(athlete, fn) {
+  var previous = currentAthlete;
+  currentAthlete = athlete;
+  // The calendar depends on the athlete's CALENDAR_NAME
+  stravaCalendar = null;
   
-  if (activity.total_elevation_gain) {
-    description.push('Elevation Gain: ' + Math.round(activity.total_elevation_gain) + 'm');
+  try {
+    return fn(athlete);
+  } finally {
+    currentAthlete = previous;
+    stravaCalendar = null;
   }
-  
-  if (activity.description) {
-    description.push('');
-    description.push(activity.description);
+}
+
+/**
+ * Lets an entry point run once per athlete. Call it first thing with the entry point
+ * and its arguments: when ATHLETES is set and no athlete is selected yet, it re-runs the
+ * entry point for every athlete in turn and returns true, so the caller returns straight
+ * away. An error for one athlete (e.g. a revoked token) is logged and the others still run.
+ * @param {Function} entryPoint - The calling function
+ * @param {Arguments} args - The caller's arguments
+ * @returns {boolean} True if the entry point already ran for every athlete
+ */
+function dispatchToAthletes(entryPoint, args) {
+  if (currentAthlete) {
+    return false;
   }
   
-  // Check for existing event to avoid duplicates
-  var existingEvents = calendar.getEvents(startTime, endTime, {
-    search: 'Strava ID: ' + activityId
-  });
-  
-  if (existingEvents && existingEvents.length > 0) {
-    console.log('Event already exists for activity', activityId);
-    return;
+  var athletes = getAthletes();
+  if (athletes.length === 0) {
+    return false;
   }
   
-  // Create the calendar event
-  var event = calendar.createEvent(title, startTime, endTime, {
-    description: description.join('\n'),
-    location: activity.location_city || activity.location_country || ''
+  athletes.forEach(function(athlete) {
+    console.log('=== Athlete: ' + athlete + ' ===');
+    try {
+      withAthlete(athlete, function() {
+        entryPoint.apply(null, args);
+      });
+    } catch (error) {
+      console.error('Athlete ' + athlete + ' failed:', error.toString());
+    }
   });
   
-  console.log('Created calendar event for activity:', activityId, '-', title);
+  return true;
 }
 
 /**
- * Formats distance in meters to a readable string
- * @param {number} distanceMeters - Distance in meters
- * @returns {string} Formatted distance
+ * Gets the Strava athlete ID behind the current athlete's tokens, looking it up once
+ * @returns {string|null} Strava athlete ID, or null if it couldn't be looked up
  */
-function formatDistance(distanceMeters) {
-  var km = distanceMeters / 1000;
-  if (km >= 1) {
-    return km.toFixed(2) + ' km';
-  } else {
-    return Math.round(distanceMeters) + ' m';
+function getStravaAthleteId() {
+  var props = getScriptProperties();
+  var athleteId = props.getProperty('STRAVA_ATHLETE_ID');
+  
+  if (!athleteId) {
+    try {
+      athleteId = String(stravaGet('/athlete', getStravaAccessToken()).id);
+      props.setProperty('STRAVA_ATHLETE_ID', athleteId);
+    } catch (error) {
+      console.error('Failed to look up Strava athlete' + (currentAthlete ? ' for ' + currentAthlete : '') + ':', error.toString());
+      return null;
+    }
   }
+  
+  return athleteId;
 }
 
 /**
- * Formats duration in seconds to a readable string
- * @param {number} seconds - Duration in seconds
- * @returns {string} Formatted duration
+ * Finds the athlete a webhook event belongs to from its owner_id
+ * @param {Object} event - Parsed Strava webhook event
+ * @returns {string|null} Athlete key, or null if the owner isn't one of the ATHLETES
  */
-function formatDuration(seconds) {
-  var hours = Math.floor(seconds / 3600);
-  var minutes = Math.floor((seconds % 3600) / 60);
-  var secs = seconds % 60;
+function findAthleteForOwner(event) {
+  var athletes = getAthletes();
   
-  if (hours > 0) {
-    return hours + 'h ' + minutes + 'm ' + secs + 's';
-  } else if (minutes > 0) {
-    return minutes + 'm ' + secs + 's';
-  } else {
-    return secs + 's';
+  for (var i = 0; i < athletes.length; i++) {
+    var athleteId = withAthlete(athletes[i], getStravaAthleteId);
+    if (athleteId && athleteId === String(event.owner_id)) {
+      return athletes[i];
+    }
   }
+  
+  return null;
 }
 
 /**
- * Formats speed in m/s to a readable string
- * @param {number} speedMs - Speed in meters per second
- * @returns {string} Formatted speed
- */
-function formatSpeed(speedMs) {
-  var kmh = speedMs * 3.6;
-  return kmh.toFixed(1) + ' km/h';
-}
-
-/**
- * Test function to check calendar access and permissions
- * Run this first if you're having calendar issues
+ * Adds an athlete to ATHLETES, e.g. addAthlete('alice'). The first athlete added takes
+ * over the existing single-athlete tokens and sync state, so the account that is already
+ * syncing carries on where it left off. Other athletes then need their own
+ * ATHLETE_<KEY>_STRAVA_REFRESH_TOKEN.
+ * @param {string} athlete - Athlete key (letters, digits and underscores)
  */
-function testCalendarAccess() {
+function addAthlete(athlete) {
   try {
-    console.log('Testing calendar access...');
+    if (!/^[A-Za-z0-9_]+$/.test(athlete || '')) {
+      throw new Error('Athlete key must only contain letters, digits and underscores');
+    }
     
-    // Test default calendar
-    var defaultCal = CalendarApp.getDefaultCalendar();
-    console.log('Default calendar:', defaultCal ? defaultCal.getName() : 'FAILED');
+    var props = getPlatform().storage;
+    var athletes = getAthletes();
+    var taken = athletes.some(function(existing) {
+      return existing.toUpperCase() === athlete.toUpperCase();
+    });
     
-    // Test Strava calendar
-    var stravaCalendars = CalendarApp.getCalendarsByName('Strava');
-    console.log('Strava calendars found:', stravaCalendars.length);
+    if (taken) {
+      console.log('Athlete', athlete, 'is already set up');
+      return;
+    }
     
-    if (stravaCalendars.length > 0) {
-      console.log('Strava calendar name:', stravaCalendars[0].getName());
-      console.log('Strava calendar ID:', stravaCalendars[0].getId());
+    if (athletes.length === 0) {
+      ATHLETE_STATE_PROPERTIES.forEach(function(key) {
+        var value = props.getProperty(key);
+        if (value !== null) {
+          props.setProperty(getAthletePropertyName(key, athlete), value);
+          props.deleteProperty(key);
+        }
+      });
+      console.log('Moved the existing Strava tokens and sync state to athlete', athlete);
     }
     
-    // List all calendars
-    var allCalendars = CalendarApp.getAllCalendars();
-    console.log('All available calendars:');
-    allCalendars.forEach(function(cal) {
-      console.log('- ' + cal.getName() + ' (ID: ' + cal.getId() + ')');
-    });
+    athletes.push(athlete);
+    props.setProperty('ATHLETES', JSON.stringify(athletes));
     
-    console.log('Calendar access test completed successfully');
+    console.log('Added athlete', athlete + '. Per-athlete settings go in', getAthletePropertyName('<SETTING>', athlete),
+      'properties, e.g.', getAthletePropertyName('CALENDAR_NAME', athlete));
+    if (!props.getProperty(getAthletePropertyName('STRAVA_REFRESH_TOKEN', athlete))) {
+      console.log('Next: set', getAthletePropertyName('STRAVA_REFRESH_TOKEN', athlete), 'to the athlete\'s Strava refresh token');
+    }
   } catch (error) {
-    console.error('Calendar access test failed:', error.toString());
+    console.error('Failed to add athlete:', error.toString());
   }
 }
 
+/**
+ * Logs every athlete with their calendar, sync position and queued activities
+ */
+function showAthletes() {
+  var athletes = getAthletes();
+  
+  if (athletes.length === 0) {
+    console.log('Single-athlete mode - run addAthlete(key) to sync more than one Strava account');
+    return;
+  }
+  
+  athletes.forEach(function(athlete) {
+    withAthlete(athlete, function() {
+      var props = getScriptProperties();
+      var lastStart = Number(props.getProperty('LAST_ACTIVITY_START') || '0');
+      
+      console.log(athlete + ':',
+        getConfig('STRAVA_REFRESH_TOKEN') ? 'connected' : 'no refresh token',
+        '| calendar', getConfig('CALENDAR_NAME'),
+        '| synced up to', lastStart ? new Date(lastStart * 1000).toISOString() : 'nothing yet',
+        '| retry queue', Object.keys(loadActivityQueue('RETRY_QUEUE')).length,
+        '| dead letters', Object.keys(loadActivityQueue('DEAD_LETTER_QUEUE')).length);
+    });
+  });
+}
+
 // =============================================================================
-// WEBHOOK FUNCTIONS - Real-time sync when activities are completed
+// CONFIGURATION - Schema, defaults and validation for the settings
 // =============================================================================
 
 /**
- * Handles incoming Strava webhook events (POST requests)
- * This function is called automatically when Strava sends activity updates
+ * Every setting read from Script Properties. Code reads settings with getConfig(),
+ * which applies the default and validates the value against its type:
+ *   string  - any text, optionally matching "pattern"
+ *   number  - a number of at least "min"
+ *   boolean - "true" or "false"
+ *   enum    - one of "values" (case-insensitive)
+ *   json    - JSON, an array or object as given by "shape"
+ *   date    - anything new Date() understands, e.g. YYYY-MM-DD
+ * "check" runs further validation and returns a problem description, if any.
+ * Required settings have no default; diagnoseSetup() reports them when missing.
  */
-function doPost(e) {
-  try {
-    console.log('Received webhook request');
-    
-    if (!e || !e.postData) {
-      console.log('No POST data received');
-      return ContentService.createTextOutput('OK');
+var CONFIG_SCHEMA = {
+  STRAVA_CLIENT_ID: { type: 'string', required: true, pattern: /^\d+$/ },
+  STRAVA_CLIENT_SECRET: { type: 'string', required: true },
+  STRAVA_REFRESH_TOKEN: { type: 'string', required: true },
+  STRAVA_VERIFY_TOKEN: { type: 'string' },
+  WEBHOOK_CALLBACK_URL: { type: 'string', pattern: /^https:\/\/\S+$/ },
+  ATHLETES: { type: 'json', shape: 'array', defaultValue: [] },
+  CALENDAR_NAME: { type: 'string', defaultValue: 'Strava' },
+  CALENDAR_RULES: { type: 'json', shape: 'array', defaultValue: [] },
+  ACTIVITY_FILTERS: { type: 'json', shape: 'object', defaultValue: {} },
+  FILTER_DEBUG: { type: 'boolean', defaultValue: false },
+  EVENT_TEMPLATES: { type: 'json', shape: 'object', defaultValue: {} },
+  UNITS: { type: 'enum', values: ['metric', 'imperial'], defaultValue: 'metric' },
+  LOCALE: {
+    type: 'string',
+    defaultValue: 'en',
+    check: function(value) {
+      return LOCALE_LABELS[value.toLowerCase().split(/[-_]/)[0]] ? null :
+        'unsupported language - use one of ' + Object.keys(LOCALE_LABELS).join(', ');
     }
-    
-    var event = JSON.parse(e.postData.contents || '{}');
-    console.log('Webhook event:', JSON.stringify(event));
-    
-    // Only process new activity creation events
-    if (event.object_type !== 'activity' || event.aspect_type !== 'create') {
-      console.log('Ignoring event - not a new activity creation');
-      return ContentService.createTextOutput('OK');
+  },
+  GEOCODER: {
+    type: 'string',
+    defaultValue: 'maps',
+    check: function(value) {
+      return value === 'none' || GEOCODERS[value] ? null :
+        'unknown geocoder - use one of ' + Object.keys(GEOCODERS).concat('none').join(', ');
     }
-    
-    console.log('Processing new activity webhook for ID:', event.object_id);
-    
-    // Get credentials
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var refreshToken = props.getProperty('STRAVA_REFRESH_TOKEN');
-    
-    if (!clientId || !clientSecret || !refreshToken) {
-      console.error('Missing Strava credentials');
-      return ContentService.createTextOutput('ERROR: Missing credentials');
+  },
+  LOCATION_COORDINATES: { type: 'boolean', defaultValue: true },
+  ENRICH_ACTIVITIES: { type: 'boolean', defaultValue: false },
+  INITIAL_SYNC_DAYS: { type: 'number', min: 1, defaultValue: DEFAULT_INITIAL_SYNC_DAYS },
+  RECONCILE_DAYS: { type: 'number', min: 1, defaultValue: DEFAULT_RECONCILE_DAYS },
+  RETRY_MAX_ATTEMPTS: { type: 'number', min: 1, defaultValue: DEFAULT_RETRY_MAX_ATTEMPTS },
+  NOTIFY_EMAIL: { type: 'string', pattern: /^[^@\s,]+@[^@\s,]+(\s*,\s*[^@\s,]+@[^@\s,]+)*$/ },
+  NOTIFY_THROTTLE_HOURS: { type: 'number', min: 0, defaultValue: DEFAULT_NOTIFY_THROTTLE_HOURS },
+  SYNC_LOG_SPREADSHEET_ID: { type: 'string' },
+  TRAINING_CALENDAR_NAME: { type: 'string' },
+  PLANNED_DONE_PREFIX: { type: 'string', defaultValue: '✅ ' },
+  PLANNED_DONE_COLOR: {
+    type: 'string',
+    check: function(value) {
+      return /^([1-9]|1[01])$/.test(value) || getPlatform().calendar.EventColor[value.toUpperCase()] ? null :
+        'use an event color number 1-11 or a name such as GREEN';
     }
-    
-    // Get fresh access token
-    var accessToken = refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken);
-    
-    // Fetch the specific activity details
-    var activityUrl = 'https://www.strava.com/api/v3/activities/' + event.object_id;
-    var response = UrlFetchApp.fetch(activityUrl, {
-      headers: { Authorization: 'Bearer ' + accessToken },
-      muteHttpExceptions: true
-    });
-    
-    if (response.getResponseCode() === 200) {
-      var activity = JSON.parse(response.getContentText());
-      
-      // Get calendar
-      var calendar = getStravaCalendar();
-      
-      // Create calendar event
-      createCalendarEvent(calendar, activity);
-      
-      // Update last activity ID to prevent reprocessing in polling
-      var currentLastId = props.getProperty('LAST_ACTIVITY_ID') || '0';
-      if (Number(activity.id) > Number(currentLastId)) {
-        props.setProperty('LAST_ACTIVITY_ID', String(activity.id));
-      }
-      
-      console.log('Successfully processed webhook for activity:', event.object_id);
-    } else {
-      console.error('Failed to fetch activity details:', response.getResponseCode(), response.getContentText());
+  },
+  BACKFILL_FROM: { type: 'date' },
+  BACKFILL_TO: { type: 'date' },
+  REBUILD_FROM: { type: 'date' },
+  REBUILD_TO: { type: 'date' }
+};
+
+/**
+ * Settings whose invalid value was already logged in this execution
+ */
+var reportedConfigProblems = {};
+
+/**
+ * Reads a setting for the current athlete. An invalid value is logged (once per
+ * execution) and replaced by the setting's default, so one typo doesn't stop the sync;
+ * diagnoseSetup() lists all problems at once.
+ * @param {string} name - Setting name from CONFIG_SCHEMA
+ * @returns {*} Parsed value, the default, or null for an unset setting without default
+ */
+function getConfig(name) {
+  var spec = CONFIG_SCHEMA[name];
+  
+  if (!spec) {
+    throw new Error('Unknown setting ' + name + ' - add it to CONFIG_SCHEMA');
+  }
+  
+  var result = parseConfigValue(spec, getScriptProperties().getProperty(name));
+  
+  if (result.problem) {
+    var key = getConfigPropertyName(name) + '=' + result.raw;
+    if (!reportedConfigProblems[key]) {
+      reportedConfigProblems[key] = true;
+      console.error(describeConfigProblem(name, result) + ' - using ' +
+        (spec.defaultValue !== undefined ? 'the default ' + JSON.stringify(spec.defaultValue) : 'no value'));
     }
-    
-    return ContentService.createTextOutput('OK');
-    
-  } catch (error) {
-    console.error('Webhook processing failed:', error.toString());
-    return ContentService.createTextOutput('ERROR: ' + error.toString());
   }
+  
+  return result.value;
 }
 
 /**
- * Handles webhook verification (GET requests from Strava)
- * Called when registering the webhook subscription
+ * Parses and validates a raw Script Property value against its schema entry
+ * @param {Object} spec - Schema entry from CONFIG_SCHEMA
+ * @param {string|null} raw - Raw property value
+ * @returns {Object} { value, raw, problem } - problem describes an invalid value
  */
-function doGet(e) {
-  try {
-    // Log everything for debugging webhook registration issues
-    console.log('=== WEBHOOK VERIFICATION REQUEST ===');
-    console.log('Timestamp:', new Date().toISOString());
-    console.log('Raw parameters:', e ? JSON.stringify(e.parameter) : 'No e object');
-    console.log('User agent:', e && e.headers ? e.headers['User-Agent'] : 'No user agent');
-    
-    // Handle simple test
-    if (e && e.parameter && e.parameter.test) {
-      console.log('Simple test request received');
-      var testResponse = ContentService.createTextOutput('Web app is working! Time: ' + new Date().toString());
-      testResponse.setMimeType(ContentService.MimeType.TEXT);
-      return testResponse;
+function parseConfigValue(spec, raw) {
+  var fallback = spec.defaultValue !== undefined ? spec.defaultValue : null;
+  var result = { value: fallback, raw: raw, problem: null };
+  
+  // An empty string is a valid text setting (e.g. PLANNED_DONE_PREFIX) but unset for the others
+  if (raw === null || (spec.type !== 'string' && String(raw).trim() === '')) {
+    return result;
+  }
+  
+  var text = String(raw).trim();
+  var value = raw;
+  var problem = null;
+  
+  switch (spec.type) {
+    case 'number':
+      value = Number(text);
+      if (isNaN(value)) {
+        problem = 'not a number';
+      } else if (spec.min !== undefined && value < spec.min) {
+        problem = 'must be at least ' + spec.min;
+      }
+      break;
+    case 'boolean':
+      value = text.toLowerCase() === 'true';
+      if (!value && text.toLowerCase() !== 'false') {
+        problem = 'use true or false';
+      }
+      break;
+    case 'enum':
+      value = text.toLowerCase();
+      if (spec.values.indexOf(value) === -1) {
+        problem = 'use one of ' + spec.values.join(', ');
+      }
+      break;
+    case 'json':
+      try {
+        value = JSON.parse(text);
+        if (spec.shape === 'array' ? !Array.isArray(value) : !value || typeof value !== 'object' || Array.isArray(value)) {
+          problem = 'must be a JSON ' + spec.shape;
+        }
+      } catch (error) {
+        problem = 'not valid JSON (' + error.message + ')';
+      }
+      break;
+    case 'date':
+      value = text;
+      if (isNaN(new Date(text).getTime())) {
+        problem = 'not a date - use YYYY-MM-DD';
+      }
+      break;
+    default:
+      if (spec.pattern && !spec.pattern.test(text)) {
+        problem = 'not in the expected format';
+      }
+  }
+  
+  if (!problem && spec.check) {
+    problem = spec.check(text);
+  }
+  
+  if (problem) {
+    result.problem = problem;
+  } else {
+    result.value = value;
+  }
+  
+  return result;
+}
+
+/**
+ * Describes an invalid setting, naming the Script Property it was read from
+ * @param {string} name - Setting name
+ * @param {Object} result - Result of parseConfigValue()
+ * @returns {string} e.g. 'Invalid UNITS "metrc": use one of metric, imperial'
+ */
+function describeConfigProblem(name, result) {
+  var value = result.raw.length > 40 ? result.raw.substring(0, 40) + '...' : result.raw;
+  return 'Invalid ' + getConfigPropertyName(name) + ' "' + value + '": ' + result.problem;
+}
+
+/**
+ * Gets the Script Property a setting's value comes from: the athlete's own property,
+ * or the shared one it falls back to
+ * @param {string} name - Setting name
+ * @returns {string} Property name, e.g. ATHLETE_BOB_UNITS or UNITS
+ */
+function getConfigPropertyName(name) {
+  var own = getAthletePropertyName(name);
+  
+  if (own === name || SHARED_PROPERTIES.indexOf(name) !== -1) {
+    return name;
+  }
+  
+  return getPlatform().storage.getProperty(own) !== null ? own : name;
+}
+
+/**
+ * Checks the value of every setting the current athlete has
+ * @returns {string[]} Problems with invalid values
+ */
+function validateConfig() {
+  var props = getScriptProperties();
+  var problems = [];
+  
+  Object.keys(CONFIG_SCHEMA).forEach(function(name) {
+    var result = parseConfigValue(CONFIG_SCHEMA[name], props.getProperty(name));
+    if (result.problem) {
+      problems.push(describeConfigProblem(name, result));
     }
+  });
+  
+  return problems;
+}
+
+/**
+ * Finds Script Properties that are neither settings nor state this script keeps,
+ * which usually means a misspelt setting name
+ * @returns {string[]} Problems, each with the closest known name when there is one
+ */
+function findUnknownProperties() {
+  var known = Object.keys(CONFIG_SCHEMA).concat(SHARED_PROPERTIES, ATHLETE_STATE_PROPERTIES);
+  var prefixes = getAthletes().map(function(athlete) {
+    return getAthletePropertyName('', athlete);
+  });
+  
+  var problems = [];
+  
+  getPlatform().storage.getKeys().forEach(function(key) {
+    var name = key;
+    prefixes.forEach(function(prefix) {
+      if (key.indexOf(prefix) === 0) {
+        name = key.substring(prefix.length);
+      }
+    });
     
-    if (!e || !e.parameter) {
-      console.log('No parameters received - returning error');
-      var errorResponse = ContentService.createTextOutput('No parameters');
-      errorResponse.setMimeType(ContentService.MimeType.TEXT);
-      return errorResponse;
+    if (known.indexOf(name) === -1) {
+      var suggestion = findClosestName(name, known);
+      problems.push('Unknown Script Property ' + key + (suggestion ?
+        ' - did you mean ' + key.substring(0, key.length - name.length) + suggestion + '?' :
+        ' - it is not used by this script'));
     }
+  });
+  
+  return problems;
+}
+
+/**
+ * Finds the known name closest to a misspelt one
+ * @param {string} name - Unknown name
+ * @param {string[]} candidates - Known names
+ * @returns {string|null} Closest name, or null if none is within a few typos
+ */
+function findClosestName(name, candidates) {
+  var best = null;
+  var bestDistance = Math.max(2, Math.floor(name.length / 4)) + 1;
+  
+  candidates.forEach(function(candidate) {
+    var distance = getEditDistance(name.toUpperCase(), candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Counts the single-character edits (insertions, deletions, substitutions) between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function getEditDistance(a, b) {
+  var previous = [];
+  for (var j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+  
+  for (var i = 1; i <= a.length; i++) {
+    var current = [i];
+    for (j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1)
+      ));
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+// =============================================================================
+// STRAVA API CLIENT - Rate-limit aware requests with retries
+// =============================================================================
+
+/**
+ * Makes a request to Strava, tracking rate-limit usage and retrying 429/5xx responses.
+ *
+ * Strava reports usage in the X-RateLimit-* and X-ReadRateLimit-* headers as
+ * "15-minute,daily" pairs. Usage is saved in the STRAVA_RATE_LIMIT Script Property so
+ * later runs know how much budget is left. Requests are refused up front with a rate
+ * limit error when the budget is exhausted.
+ *
+ * @param {string} url - Full request URL
+ * @param {Object} [options] - UrlFetchApp options (muteHttpExceptions is always set)
+ * @returns {HTTPResponse} The final response
+ */
+function stravaFetch(url, options) {
+  options = options || {};
+  options.muteHttpExceptions = true;
+  
+  // OAuth token requests don't count against the API rate limits
+  var countsTowardsLimit = url.indexOf(STRAVA_API_BASE) === 0;
+  
+  if (countsTowardsLimit && !hasStravaBudget(1)) {
+    throw createRateLimitError('Strava rate limit budget exhausted (' + describeRateLimitUsage() + ')');
+  }
+  
+  for (var attempt = 1; ; attempt++) {
+    var response = getPlatform().http.fetch(url, options);
+    var code = response.getResponseCode();
     
-    var mode = e.parameter['hub.mode'];
-    var token = e.parameter['hub.verify_token'];
-    var challenge = e.parameter['hub.challenge'];
-    
-    console.log('Verification params:');
-    console.log('- Mode:', mode);
-    console.log('- Token:', token);
-    console.log('- Challenge:', challenge);
-    
-    // Get expected verify token
-    var props = PropertiesService.getScriptProperties();
-    var expectedToken = props.getProperty('STRAVA_VERIFY_TOKEN');
+    recordRateLimitUsage(response);
+    countSyncRunApiCall();
     
-    // If no verify token is set, generate and save one
-    if (!expectedToken) {
-      expectedToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
-      props.setProperty('STRAVA_VERIFY_TOKEN', expectedToken);
-      console.log('Generated new verify token:', expectedToken);
+    var retryable = code === 429 || code >= 500;
+    if (!retryable) {
+      return response;
     }
     
-    console.log('Expected token:', expectedToken);
-    console.log('Token comparison:');
-    console.log('- Tokens match:', token === expectedToken);
-    console.log('- Mode is subscribe:', mode === 'subscribe');
+    // Waiting a few seconds won't help once the window's budget is used up
+    if (code === 429 && !hasStravaBudget(1)) {
+      throw createRateLimitError('Strava rate limit reached (' + describeRateLimitUsage() + ')');
+    }
     
-    if (mode === 'subscribe' && token === expectedToken) {
-      console.log('✅ Webhook verification SUCCESSFUL - returning JSON challenge');
-      var jsonResponse = JSON.stringify({"hub.challenge": challenge});
-      console.log('Returning JSON:', jsonResponse);
-      
-      // Create response with proper status and headers
-      var successResponse = ContentService.createTextOutput(jsonResponse);
-      successResponse.setMimeType(ContentService.MimeType.JSON);
-      
-      // Explicitly ensure we return 200 status
-      console.log('Setting response headers for 200 OK status');
-      return successResponse;
-    } else {
-      console.log('❌ Webhook verification FAILED');
-      console.log('Failure reasons:');
-      if (mode !== 'subscribe') {
-        console.log('- Wrong mode. Expected "subscribe", got:', mode);
-      }
-      if (token !== expectedToken) {
-        console.log('- Token mismatch. Expected:', expectedToken, 'Got:', token);
+    if (attempt >= STRAVA_MAX_ATTEMPTS) {
+      if (code === 429) {
+        throw createRateLimitError('Strava kept responding 429 Too Many Requests');
       }
-      
-      // Return proper failure response
-      var failResponse = ContentService.createTextOutput('Verification failed');
-      failResponse.setMimeType(ContentService.MimeType.TEXT);
-      return failResponse;
+      return response;
     }
-  } catch (error) {
-    console.error('Webhook verification error:', error.toString());
-    var errorResponse = ContentService.createTextOutput('ERROR: ' + error.toString());
-    errorResponse.setMimeType(ContentService.MimeType.TEXT);
-    return errorResponse;
+    
+    // Exponential backoff with jitter: ~1s, ~2s, ~4s...
+    var delayMs = Math.pow(2, attempt - 1) * 1000 + Math.floor(Math.random() * 1000);
+    console.log('Strava responded ' + code + ' - retrying in ' + delayMs + 'ms (attempt ' + attempt + ' of ' + STRAVA_MAX_ATTEMPTS + ')');
+    getPlatform().sleep(delayMs);
   }
 }
 
 /**
- * Helper function to get Strava calendar with fallback to default
- * @returns {Calendar} Google Calendar instance
+ * Makes an authenticated GET request to the Strava API and parses the JSON response
+ * @param {string} path - API path including query string (e.g. "/athlete/activities?page=1")
+ * @param {string} accessToken - Valid Strava access token
+ * @returns {Object|Object[]} Parsed response body
  */
-function getStravaCalendar() {
-  try {
-    var stravaCalendars = CalendarApp.getCalendarsByName('Strava');
-    if (stravaCalendars && stravaCalendars.length > 0) {
-      console.log('Using Strava calendar for webhook');
-      return stravaCalendars[0];
-    }
-  } catch (error) {
-    console.error('Error accessing Strava calendar:', error.toString());
+function stravaGet(path, accessToken) {
+  var response = stravaFetch(STRAVA_API_BASE + path, {
+    headers: { Authorization: 'Bearer ' + accessToken }
+  });
+  
+  if (response.getResponseCode() !== 200) {
+    throw new Error('Strava API error: ' + response.getResponseCode() + ' ' + response.getContentText());
   }
   
-  console.log('Using default calendar for webhook (Strava calendar not found)');
-  return CalendarApp.getDefaultCalendar();
+  return JSON.parse(response.getContentText() || 'null');
 }
 
 /**
- * Simple test function to verify web app deployment
- * Access this via: YOUR_WEB_APP_URL?test=true
+ * Creates an error marking a request that was refused or deferred because of Strava rate limits
+ * @param {string} message - Error message
+ * @returns {Error} Error with rateLimited set
  */
-function simpleWebAppTest() {
-  return ContentService.createTextOutput('Web app is working! Time: ' + new Date().toString());
+function createRateLimitError(message) {
+  var error = new Error(message);
+  error.rateLimited = true;
+  return error;
 }
 
 /**
- * Manual test to simulate what Strava sends during webhook registration
- * This will help us debug the exact verification process
+ * Checks whether an error came from the Strava rate limiter
+ * @param {Error} error - Caught error
+ * @returns {boolean} True for rate limit errors
  */
-function manualWebhookVerificationTest() {
-  try {
-    var props = PropertiesService.getScriptProperties();
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    
-    if (!callbackUrl || !verifyToken) {
-      console.error('Missing WEBHOOK_CALLBACK_URL or STRAVA_VERIFY_TOKEN');
-      return;
+function isRateLimitError(error) {
+  return !!(error && error.rateLimited);
+}
+
+/**
+ * Reads a response header case-insensitively
+ * @param {HTTPResponse} response - UrlFetchApp response
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function getResponseHeader(response, name) {
+  var headers = response.getHeaders() || {};
+  var wanted = name.toLowerCase();
+  
+  for (var key in headers) {
+    if (key.toLowerCase() === wanted) {
+      return String(headers[key]);
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Saves the rate-limit usage reported by a Strava response.
+ * The stricter of the overall and read-only limits is kept.
+ * @param {HTTPResponse} response - UrlFetchApp response
+ */
+function recordRateLimitUsage(response) {
+  var pairs = [
+    [getResponseHeader(response, 'X-RateLimit-Limit'), getResponseHeader(response, 'X-RateLimit-Usage')],
+    [getResponseHeader(response, 'X-ReadRateLimit-Limit'), getResponseHeader(response, 'X-ReadRateLimit-Usage')]
+  ];
+  
+  var state = null;
+  
+  pairs.forEach(function(pair) {
+    if (!pair[0] || !pair[1]) {
+      return;
     }
     
-    console.log('Testing webhook verification process manually...');
-    console.log('Callback URL:', callbackUrl);
-    console.log('Verify Token:', verifyToken);
-    
-    // Test what happens when we send the exact parameters Strava would send
-    var testChallenge = 'test_challenge_123';
-    var testUrl = callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=' + testChallenge;
-    
-    console.log('Test URL:', testUrl);
+    var limit = pair[0].split(',').map(Number);
+    var usage = pair[1].split(',').map(Number);
+    var candidate = { limit15: limit[0], limitDaily: limit[1], usage15: usage[0], usageDaily: usage[1] };
     
-    try {
-      var response = UrlFetchApp.fetch(testUrl, {
-        method: 'get',
-        muteHttpExceptions: true
-      });
-      
-      console.log('Response Code:', response.getResponseCode());
-      console.log('Response Headers:', JSON.stringify(response.getHeaders()));
-      console.log('Response Body:', response.getContentText());
-      
-      if (response.getResponseCode() === 200) {
-        try {
-          var responseJson = JSON.parse(response.getContentText());
-          if (responseJson['hub.challenge'] === testChallenge) {
-            console.log('✅ Manual verification test PASSED');
-            console.log('The webhook endpoint is working correctly for manual tests');
-            console.log('Issue may be with Strava-specific verification or network/timing');
-          } else {
-            console.log('❌ Manual verification test FAILED - wrong challenge returned');
-          }
-        } catch (e) {
-          console.log('❌ Manual verification test FAILED - response is not valid JSON');
-        }
-      } else {
-        console.log('❌ Manual verification test FAILED - non-200 response');
-      }
-    } catch (error) {
-      console.error('Network error during manual test:', error.toString());
+    if (!state || remainingBudget(candidate) < remainingBudget(state)) {
+      state = candidate;
     }
-    
-  } catch (error) {
-    console.error('Manual webhook verification test failed:', error.toString());
+  });
+  
+  if (state) {
+    state.updatedAt = Date.now();
+    getScriptProperties().setProperty('STRAVA_RATE_LIMIT', JSON.stringify(state));
   }
 }
 
 /**
- * Debug function to check current verify token and reset if needed
- * Run this if webhook verification is having token issues
+ * Loads the saved rate-limit usage, resetting counters whose window has rolled over.
+ * Strava's 15-minute windows start on the quarter hour and daily windows at midnight UTC.
+ * @returns {Object|null} Usage state, or null if nothing has been recorded yet
  */
-function debugWebhookToken() {
-  var props = PropertiesService.getScriptProperties();
-  var currentToken = props.getProperty('STRAVA_VERIFY_TOKEN');
+function getRateLimitState() {
+  var raw = getScriptProperties().getProperty('STRAVA_RATE_LIMIT');
   
-  console.log('Current STRAVA_VERIFY_TOKEN:', currentToken);
+  if (!raw) {
+    return null;
+  }
   
-  if (!currentToken) {
-    var newToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
-    props.setProperty('STRAVA_VERIFY_TOKEN', newToken);
-    console.log('Generated new verify token:', newToken);
+  var state = JSON.parse(raw);
+  var quarterHourMs = 15 * 60 * 1000;
+  var dayMs = 24 * 60 * 60 * 1000;
+  var now = Date.now();
+  
+  if (Math.floor(now / quarterHourMs) !== Math.floor(state.updatedAt / quarterHourMs)) {
+    state.usage15 = 0;
   }
   
-  // Test with this token
-  var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-  if (callbackUrl) {
-    var testToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    console.log('Test URL with current token:');
-    console.log(callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(testToken) + '&hub.challenge=test123');
+  if (Math.floor(now / dayMs) !== Math.floor(state.updatedAt / dayMs)) {
+    state.usageDaily = 0;
   }
+  
+  return state;
 }
 
 /**
- * Ultimate webhook debugging - captures exact verification flow
- * This will help us see exactly what Strava receives vs expects
+ * Calculates how many requests are left before the safety reserve is reached
+ * @param {Object} state - Usage state
+ * @returns {number} Requests left in the tighter of the two windows
  */
-function ultimateWebhookDebug() {
-  try {
-    console.log('=== ULTIMATE WEBHOOK DEBUG ===');
-    
-    var props = PropertiesService.getScriptProperties();
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
+function remainingBudget(state) {
+  var left15 = Math.floor(state.limit15 * (1 - RATE_LIMIT_RESERVE)) - state.usage15;
+  var leftDaily = Math.floor(state.limitDaily * (1 - RATE_LIMIT_RESERVE)) - state.usageDaily;
+  return Math.min(left15, leftDaily);
+}
+
+/**
+ * Checks whether there's enough Strava rate-limit budget left for a number of requests
+ * @param {number} calls - Requests about to be made
+ * @returns {boolean} True if the requests fit in the remaining budget
+ */
+function hasStravaBudget(calls) {
+  var state = getRateLimitState();
+  return !state || remainingBudget(state) >= calls;
+}
+
+/**
+ * Describes the current rate-limit usage for log messages
+ * @returns {string} e.g. "15-min 180/200, daily 950/2000"
+ */
+function describeRateLimitUsage() {
+  var state = getRateLimitState();
+  
+  if (!state) {
+    return 'no usage recorded';
+  }
+  
+  return '15-min ' + state.usage15 + '/' + state.limit15 + ', daily ' + state.usageDaily + '/' + state.limitDaily;
+}
+
+/**
+ * Calculates how long until more Strava budget is available
+ * @returns {number} Milliseconds until the next 15-minute window (or the next UTC day if the daily budget is used up)
+ */
+function getRateLimitResetDelayMs() {
+  var state = getRateLimitState();
+  var now = Date.now();
+  var quarterHourMs = 15 * 60 * 1000;
+  var dayMs = 24 * 60 * 60 * 1000;
+  
+  if (state && state.usageDaily >= Math.floor(state.limitDaily * (1 - RATE_LIMIT_RESERVE))) {
+    return (Math.floor(now / dayMs) + 1) * dayMs - now + 60 * 1000;
+  }
+  
+  return (Math.floor(now / quarterHourMs) + 1) * quarterHourMs - now + 60 * 1000;
+}
+
+/**
+ * Shows the Strava API usage recorded by the last requests
+ */
+function showRateLimitUsage() {
+  console.log('Strava API usage:', describeRateLimitUsage());
+}
+
+/**
+ * Fetches new Strava activities and creates Google Calendar events.
+ * Only asks Strava for activities that started after the stored watermark
+ * (LAST_ACTIVITY_START), so each poll reads just the new activities instead of
+ * the whole history. A cold start with no watermark looks back INITIAL_SYNC_DAYS.
+ * @param {string} accessToken - Valid Strava access token
+ */
+function syncActivitiesToCalendar(accessToken) {
+  var props = getScriptProperties();
+  var lastActivityStart = Number(props.getProperty('LAST_ACTIVITY_START') || '0');
+  
+  // Without a watermark (first run or upgrade), only look back a bounded number of days
+  var after = lastActivityStart;
+  if (!after) {
+    var initialDays = getConfig('INITIAL_SYNC_DAYS');
+    after = Math.floor(Date.now() / 1000) - initialDays * 24 * 60 * 60;
+    console.log('No sync watermark found - looking back', initialDays, 'days');
+  }
+  
+  console.log('Fetching activities started after:', new Date(after * 1000).toISOString());
+  
+  var page = 1;
+  var perPage = 50;
+  var newLastStart = lastActivityStart;
+  var activitiesProcessed = 0;
+  var activitiesSkipped = 0;
+  
+  while (page <= MAX_SYNC_PAGES) {
+    var activities = stravaGet('/athlete/activities?after=' + after + '&per_page=' + perPage + '&page=' + page, accessToken);
     
-    if (!callbackUrl || !verifyToken || !clientId || !clientSecret) {
-      console.error('Missing required properties');
-      return;
+    if (!activities || activities.length === 0) {
+      break; // No more activities
     }
     
-    console.log('Callback URL:', callbackUrl);
-    console.log('Verify Token:', verifyToken);
-    
-    // Clear any previous verification logs
-    console.log('\nStep 1: Testing endpoint with various scenarios...');
-    
-    // Test various combinations that might reveal the issue
-    var testCases = [
-      { name: 'Basic test', url: callbackUrl + '?test=basic' },
-      { name: 'Verification with correct token', url: callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=debug_test' },
-      { name: 'Verification with wrong token', url: callbackUrl + '?hub.mode=subscribe&hub.verify_token=wrong_token&hub.challenge=debug_test' },
-      { name: 'No parameters', url: callbackUrl },
-      { name: 'Partial parameters', url: callbackUrl + '?hub.mode=subscribe' }
-    ];
+    // Process activities from oldest to newest
+    activities.sort(function(a, b) {
+      return new Date(a.start_date).getTime() - new Date(b.start_date).getTime();
+    });
     
-    testCases.forEach(function(testCase, index) {
-      console.log('\n--- Test ' + (index + 1) + ': ' + testCase.name + ' ---');
+    activities.forEach(function(activity) {
+      var activityId = Number(activity.id);
+      var activityStart = Math.floor(new Date(activity.start_date).getTime() / 1000);
+      
+      // The start watermark bounds the fetch; activities a webhook already added are
+      // found by createCalendarEvent()'s duplicate check
       try {
-        var response = UrlFetchApp.fetch(testCase.url, { method: 'get', muteHttpExceptions: true });
-        console.log('Status:', response.getResponseCode());
-        console.log('Headers:', JSON.stringify(response.getHeaders()));
-        console.log('Body:', response.getContentText().substring(0, 200));
-        console.log('Content-Type:', response.getHeaders()['Content-Type'] || 'Not set');
-      } catch (e) {
-        console.error('Test failed:', e.toString());
+        // Activities excluded by the filter rules still count as synced
+        if (shouldSyncActivity(activity)) {
+          createCalendarEvent(activity, accessToken);
+          activitiesProcessed++;
+        } else {
+          activitiesSkipped++;
+        }
+        
+        if (activityStart > newLastStart) {
+          newLastStart = activityStart;
+        }
+      } catch (error) {
+        console.error('Failed to create event for activity', activityId, ':', error.toString());
+        enqueueActivityRetry(activityId, error);
       }
     });
     
-    console.log('\nStep 2: Attempting registration with detailed monitoring...');
-    
-    // Try registration and capture exact timing
-    var startTime = Date.now();
-    console.log('Registration start time:', new Date(startTime).toISOString());
-    
-    var payload = {
-      client_id: clientId,
-      client_secret: clientSecret,
-      callback_url: callbackUrl,
-      verify_token: verifyToken
-    };
-    
-    console.log('Payload:', JSON.stringify(payload));
-    
-    var regResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
-      method: 'post',
-      payload: payload,
-      muteHttpExceptions: true
-    });
-    
-    var endTime = Date.now();
-    console.log('Registration end time:', new Date(endTime).toISOString());
-    console.log('Registration duration:', (endTime - startTime) + 'ms');
-    console.log('Registration response:', regResponse.getResponseCode(), regResponse.getContentText());
-    
-    // Wait a bit and check final status
-    console.log('\nStep 3: Final verification check...');
-    Utilities.sleep(3000);
-    
-    var listResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret, {
-      method: 'get',
-      muteHttpExceptions: true
-    });
-    
-    console.log('Final webhook list:', listResponse.getResponseCode(), listResponse.getContentText());
-    
-    console.log('\n=== DEBUG COMPLETE ===');
-    console.log('🔍 Analysis based on Strava documentation:');
-    console.log('- Strava requires "publicly available" URLs (not localhost)');
-    console.log('- Google Apps Script Web App URLs may not be considered "truly public"');
-    console.log('- Strava recommends using tools like ngrok for local development');
-    console.log('- The issue may be that Google Apps Script URLs have authentication layers');
-    console.log('- Consider using a different hosting platform for webhook endpoint');
+    // Stop if we got fewer results than requested (last page)
+    if (activities.length < perPage) {
+      break;
+    }
     
+    page++;
+  }
+  
+  if (page > MAX_SYNC_PAGES) {
+    console.log('Reached page limit for this run - remaining activities will sync on the next run');
+  }
+  
+  // Update the sync watermark
+  if (newLastStart > lastActivityStart) {
+    props.setProperty('LAST_ACTIVITY_START', String(newLastStart));
+    console.log('Updated sync watermark to:', new Date(newLastStart * 1000).toISOString());
+  }
+  
+  console.log('Processed', activitiesProcessed, 'new activities (' + activitiesSkipped + ' skipped by filters)');
+}
+
+/**
+ * Creates a Google Calendar event for a Strava activity in the calendar its
+ * sport type is routed to
+ * @param {Object} activity - Strava activity object
+ * @param {string} [accessToken] - Strava access token, to enrich summary activities with their details
+ * @returns {CalendarEvent|null} The new event, or null if one already existed
+ */
+function createCalendarEvent(activity, accessToken) {
+  var activityId = activity.id;
+  var details = buildEventDetails(activity);
+  
+  // Check for existing event to avoid duplicates
+  var existing = findActivityEventInCalendars(activityId, details.searchStart, details.searchEnd, true);
+  
+  if (existing) {
+    console.log('Event already exists for activity', activityId);
+    recordActivityOutcome(activity, 'exists', 'already in calendar', existing.event, existing.calendar);
+    return null;
+  }
+  
+  // Only spend the extra request once we know the event is really needed
+  if (accessToken) {
+    activity = enrichActivity(accessToken, activity);
+    details = buildEventDetails(activity);
+  }
+  
+  // Create the calendar event
+  var calendar = getCalendarForActivity(activity);
+  
+  if (dryRun) {
+    recordActivityOutcome(activity, 'created', '', null, calendar);
+    recordEventPreview(activityId, details, calendar);
+    return null;
+  }
+  
+  var event = calendar.createEvent(details.title, details.startTime, details.endTime, {
+    description: details.description,
+    location: details.location,
+    timeZone: details.timeZone
+  });
+  
+  if (activity.private) {
+    event.setVisibility(getPlatform().calendar.Visibility.PRIVATE);
+  }
+  
+  if (details.color) {
+    event.setColor(details.color);
+  }
+  
+  event.setTag('stravaId', String(activityId));
+  stampEventContent(event);
+  indexActivityEvent(activityId, event, calendar);
+  
+  console.log('Created calendar event for activity:', activityId, '-', details.title, 'in', calendar.getName());
+  recordActivityOutcome(activity, 'created', '', event, calendar);
+  matchPlannedWorkout(activity);
+  return event;
+}
+
+/**
+ * Builds the calendar event fields (title, times, description, location) for an activity
+ * by rendering the configured event templates
+ * @param {Object} activity - Strava activity object
+ * @returns {Object} Event details: title, startTime, endTime, timeZone (the activity's, else
+ *   the calendar's), searchStart, searchEnd (duplicate-check window), description, location, color
+ */
+function buildEventDetails(activity) {
+  var startTime = getActivityStartTime(activity);
+  var endTime = new Date(startTime.getTime() + (activity.elapsed_time || 0) * 1000);
+  var calendarTimeZone = getCalendarForActivity(activity).getTimeZone();
+  
+  var settings = getFormatSettings();
+  var templates = getEventTemplates(activity, settings);
+  var fields = buildTemplateFields(activity, settings, templates);
+  
+  var description = renderTemplate(templates.description, fields);
+  
+  // Duplicate detection relies on the "Strava ID" line, so never let a template drop it
+  if (description.indexOf('Strava ID: ' + activity.id) === -1) {
+    description = 'Strava ID: ' + activity.id + (description ? '\n' + description : '');
+  }
+  
+  return {
+    title: renderTemplate(templates.title, fields) || fields.name,
+    startTime: startTime,
+    endTime: endTime,
+    timeZone: getActivityTimeZone(activity) || calendarTimeZone,
+    searchStart: startTime,
+    searchEnd: endTime,
+    description: description,
+    location: renderTemplate(templates.location, fields),
+    color: getEventColorForActivity(activity)
+  };
+}
+
+/**
+ * Gets when an activity's event starts: Strava's start_date_local, the wall-clock time
+ * where the activity was recorded, read in the activity's time zone. A 7:00 run in Tokyo
+ * starts at 7:00 Tokyo time, and event writers that support it (node/google-calendar.js)
+ * give the event that time zone too. Falls back to start_date when either is missing.
+ * @param {Object} activity - Strava activity object
+ * @returns {Date} Event start time
+ */
+function getActivityStartTime(activity) {
+  var local = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2})/.exec(activity.start_date_local || '');
+  var timeZone = getActivityTimeZone(activity);
+  
+  if (!local || !timeZone) {
+    return new Date(activity.start_date);
+  }
+  
+  try {
+    return getPlatform().utilities.parseDate(local[1] + ' ' + local[2], timeZone, 'yyyy-MM-dd HH:mm:ss');
   } catch (error) {
-    console.error('Ultimate debug failed:', error.toString());
+    console.log('Unknown time zone', timeZone, 'for activity', activity.id, '- using its UTC start');
+    return new Date(activity.start_date);
   }
 }
 
 /**
- * Analysis function explaining the Google Apps Script webhook limitation
- * CONFIRMED: This is a fundamental Google Apps Script limitation that cannot be fixed
+ * Gets the local clock time an activity started at (HH:mm), when it was recorded in a
+ * time zone whose clock differs from the calendar's at that moment
+ * @param {Object} activity - Strava activity object
+ * @param {string} timeZone - Time zone of the target calendar
+ * @returns {string} Local start time, or "" when the calendar already shows it
  */
-function analyzeWebhookIssue() {
-  console.log('=== WEBHOOK ISSUE ANALYSIS - CONFIRMED ===');
-  console.log('');
-  console.log('❌ DEFINITIVE PROBLEM IDENTIFIED:');
-  console.log('Google Apps Script ContentService CANNOT work with Strava webhooks');
-  console.log('due to a fundamental 302 redirect limitation.');
-  console.log('');
-  console.log('🔍 ROOT CAUSE (From Google Apps Script docs):');
-  console.log('"For security reasons, content returned by the Content service');
-  console.log('isn\'t served from script.google.com, but instead redirected');
-  console.log('to a one-time URL at script.googleusercontent.com."');
-  console.log('');
-  console.log('� THE TECHNICAL ISSUE:');
-  console.log('1. Strava sends GET request to Google Apps Script Web App URL');
-  console.log('2. Google Apps Script returns 302 REDIRECT (not 200 OK)');
-  console.log('3. Strava expects 200 status code but gets 302');
-  console.log('4. Strava refuses to follow redirects for security');
-  console.log('5. Result: "callback url not verifiable" error');
-  console.log('');
-  console.log('📖 CONFIRMED BY STACK OVERFLOW (5+ years, no solution):');
-  console.log('- James Hearn verified this exact issue in 2020');
-  console.log('- Tested with Postman (redirect off) = confirmed 302 status');
-  console.log('- Worked perfectly with ngrok + Node.js/Express');
-  console.log('- "After 5 years, still no solution forthcoming"');
-  console.log('');
-  console.log('✅ OUR IMPLEMENTATION WAS CORRECT:');
-  console.log('- Perfect JSON response format');
-  console.log('- Correct challenge echo');
-  console.log('- Sub-2-second response time');
-  console.log('- The issue is Google Apps Script itself, not our code');
-  console.log('');
-  console.log('🛠️ SOLUTION: SWITCH TO RELIABLE POLLING');
-  console.log('');
-  console.log('✅ POLLING BENEFITS:');
-  console.log('- Works 100% reliably with Google Apps Script');
-  console.log('- 15-minute sync is still very fast for most users');
-  console.log('- No hosting complexity or additional services needed');
-  console.log('- Automatic error recovery and rate limiting');
-  console.log('- Battle-tested and proven approach');
-  console.log('');
-  console.log('⚡ QUICK SETUP:');
-  console.log('Run setupReliableSync() to enable 15-minute polling immediately');
-  console.log('');
-  console.log('🏆 CONCLUSION:');
-  console.log('Polling is the ONLY viable solution for Google Apps Script + Strava.');
-  console.log('Webhooks require alternative hosting (Vercel, Netlify, Heroku, etc.)');
+function getLocalStartText(activity, timeZone) {
+  var local = String(activity.start_date_local || '').substr(11, 5);
+  var shown = getPlatform().utilities.formatDate(getActivityStartTime(activity), timeZone, 'HH:mm');
+  
+  return local && local !== shown ? local : '';
 }
 
 /**
- * Sets up reliable polling-based sync (recommended approach)
- * This avoids webhook complexity while providing fast sync
+ * Gets the time zone an activity was recorded in from Strava's "timezone" field,
+ * e.g. "(GMT+09:00) Asia/Tokyo" becomes "Asia/Tokyo"
+ * @param {Object} activity - Strava activity object
+ * @returns {string|null} Time zone name or null if Strava didn't provide one
  */
-function setupReliableSync() {
-  try {
-    console.log('Setting up reliable polling-based sync...');
-    
-    // Test initial sync
-    console.log('Step 1: Testing initial sync...');
-    main();
-    
-    // Set up frequent polling
-    console.log('Step 2: Setting up 15-minute polling...');
-    createFrequentSyncTrigger();
-    
-    // Add daily backup
-    console.log('Step 3: Adding daily backup sync...');
-    createBackupSyncTrigger();
-    
-    console.log('');
-    console.log('✅ RELIABLE SYNC SETUP COMPLETE!');
-    console.log('');
-    console.log('📊 SYNC SCHEDULE:');
-    console.log('- Primary: Every 15 minutes (fast sync)');
-    console.log('- Backup: Daily at 8 AM (catches any missed activities)');
-    console.log('');
-    console.log('🎯 BENEFITS:');
-    console.log('- No webhook complexity or hosting requirements');
-    console.log('- Activities sync within 15 minutes (very fast)');
-    console.log('- Reliable - works with just Google Apps Script');
-    console.log('- Automatic recovery of missed activities');
-    console.log('');
-    console.log('🏃‍♂️ YOUR NEXT ACTIVITY:');
-    console.log('Will automatically appear in your calendar within 15 minutes!');
-    
-  } catch (error) {
-    console.error('Setup failed:', error.toString());
-  }
+function getActivityTimeZone(activity) {
+  var timezone = String(activity.timezone || '').replace(/^\([^)]*\)\s*/, '');
+  return timezone || null;
 }
 
 /**
- * Test webhook endpoint HTTP status codes
- * Run this to verify the endpoint returns proper 200 responses
+ * Finds the calendar event created for a Strava activity using its "Strava ID" line.
+ * Searches the given time window first, then falls back to a wider lookback window
+ * so events can still be found after the activity's start time has changed.
+ * @param {Calendar} calendar - Google Calendar instance
+ * @param {string|number} activityId - Strava activity ID
+ * @param {Date} [startTime] - Expected event start time
+ * @param {Date} [endTime] - Expected event end time
+ * @param {boolean} [exactWindowOnly] - Skip the wide lookback search
+ * @returns {CalendarEvent|null} Matching event or null if none exists
  */
-function testWebhookHttpStatus() {
-  try {
-    var props = PropertiesService.getScriptProperties();
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    
-    if (!callbackUrl || !verifyToken) {
-      console.error('Missing WEBHOOK_CALLBACK_URL or STRAVA_VERIFY_TOKEN');
-      return;
-    }
-    
-    console.log('Testing webhook HTTP status codes...');
-    console.log('Callback URL:', callbackUrl);
-    
-    // Test 1: Simple test endpoint
-    console.log('\n=== TEST 1: Simple endpoint test ===');
-    var testUrl1 = callbackUrl + '?test=status_check';
-    var response1 = UrlFetchApp.fetch(testUrl1, { method: 'get', muteHttpExceptions: true });
-    console.log('Simple test status:', response1.getResponseCode());
-    console.log('Simple test response:', response1.getContentText().substring(0, 100));
-    
-    // Test 2: Webhook verification simulation
-    console.log('\n=== TEST 2: Webhook verification simulation ===');
-    var testChallenge = 'test_http_status_123';
-    var testUrl2 = callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=' + testChallenge;
-    var response2 = UrlFetchApp.fetch(testUrl2, { method: 'get', muteHttpExceptions: true });
-    console.log('Verification test status:', response2.getResponseCode());
-    console.log('Verification test response:', response2.getContentText());
-    
-    // Test 3: Invalid parameters
-    console.log('\n=== TEST 3: Invalid parameters test ===');
-    var testUrl3 = callbackUrl + '?invalid=parameter';
-    var response3 = UrlFetchApp.fetch(testUrl3, { method: 'get', muteHttpExceptions: true });
-    console.log('Invalid params status:', response3.getResponseCode());
-    console.log('Invalid params response:', response3.getContentText().substring(0, 50));
-    
-    // Summary
-    console.log('\n=== SUMMARY ===');
-    console.log('All tests should return status 200 for Strava to accept the webhook');
-    console.log('Test 1 (simple):', response1.getResponseCode() === 200 ? '✅ PASS' : '❌ FAIL');
-    console.log('Test 2 (verification):', response2.getResponseCode() === 200 ? '✅ PASS' : '❌ FAIL');
-    console.log('Test 3 (invalid):', response3.getResponseCode() === 200 ? '✅ PASS' : '❌ FAIL');
+function findActivityEvent(calendar, activityId, startTime, endTime, exactWindowOnly) {
+  var windows = [];
+  
+  if (startTime && endTime) {
+    windows.push([startTime, endTime]);
+  }
+  
+  if (!exactWindowOnly) {
+    var now = Date.now();
+    windows.push([
+      new Date(now - EVENT_LOOKUP_DAYS * 24 * 60 * 60 * 1000),
+      new Date(now + 24 * 60 * 60 * 1000)
+    ]);
+  }
+  
+  for (var i = 0; i < windows.length; i++) {
+    var events = calendar.getEvents(windows[i][0], windows[i][1], {
+      search: 'Strava ID: ' + activityId
+    });
     
-    if (response1.getResponseCode() === 200 && response2.getResponseCode() === 200 && response3.getResponseCode() === 200) {
-      console.log('🎉 All HTTP status tests passed! Webhook should work now.');
-    } else {
-      console.log('⚠️ Some tests failed. This may be why Strava registration fails.');
+    for (var j = 0; j < (events || []).length; j++) {
+      // Calendar search is a substring match, so confirm the exact ID
+      if (getStravaIdFromEvent(events[j]) === String(activityId)) {
+        return events[j];
+      }
     }
-    
-  } catch (error) {
-    console.error('HTTP status test failed:', error.toString());
   }
+  
+  return null;
 }
 
 /**
- * Test function to verify webhook endpoint is working
- * Run this to test if your web app URL is accessible
+ * Looks for an activity's event in every calendar activities can be routed to.
+ * Asks the event index first and searches the calendars when it has no entry, adding
+ * what the search finds to the index. A missing entry is only a hint: a failed index
+ * save, or another writer such as the Node.js receiver with its own properties, can
+ * leave an event out. When the index should have known the event, only the activity's
+ * own time window is searched.
+ * @param {string|number} activityId - Strava activity ID
+ * @param {Date} [startTime] - Expected event start time
+ * @param {Date} [endTime] - Expected event end time
+ * @param {boolean} [exactWindowOnly] - Skip the wide lookback search
+ * @returns {Object|null} { event, calendar } or null if no calendar has the event
  */
-function testWebhookEndpoint() {
-  try {
-    var props = PropertiesService.getScriptProperties();
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    
-    if (!callbackUrl) {
-      console.error('WEBHOOK_CALLBACK_URL not set in Script Properties');
-      return;
-    }
-    
-    console.log('Testing webhook endpoint:', callbackUrl);
-    
-    // Get the actual stored verify token (no fallback)
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    if (!verifyToken) {
-      console.error('STRAVA_VERIFY_TOKEN not set. Run debugWebhookToken() first.');
-      return;
-    }
-    
-    console.log('Using verify token:', verifyToken);
-    
-    // Test GET request (webhook verification) - match what Strava actually sends
-    var testChallenge = '15f7d1a91c1f40f8a748fd134752feb3';
-    var testUrl = callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=' + testChallenge;
-    
-    console.log('Test URL:', testUrl);
-    
-    var response = UrlFetchApp.fetch(testUrl, {
-      method: 'get',
-      muteHttpExceptions: true
-    });
-    
-    console.log('GET test response:', response.getResponseCode(), response.getContentText());
-    
-    if (response.getResponseCode() === 200) {
-      var responseText = response.getContentText();
-      try {
-        var responseJson = JSON.parse(responseText);
-        if (responseJson['hub.challenge'] === testChallenge) {
-          console.log('✅ Webhook endpoint is working correctly! Challenge echoed properly in JSON format.');
-        } else {
-          console.error('❌ Webhook returned wrong challenge value:', responseJson);
-        }
-      } catch (e) {
-        console.error('❌ Webhook did not return valid JSON. Response:', responseText);
-        console.error('This means the verify token does not match. Expected:', verifyToken);
-      }
-    } else {
-      console.error('❌ Webhook endpoint not working properly');
-      console.error('Response code:', response.getResponseCode());
-      console.error('Response text:', response.getContentText());
+function findActivityEventInCalendars(activityId, startTime, endTime, exactWindowOnly) {
+  var lookup = lookupActivityEventIndex(activityId);
+  
+  if (lookup.match) {
+    return lookup.match;
+  }
+  
+  var exactOnly = exactWindowOnly || (lookup.complete && !!startTime && !!endTime);
+  var calendars = getSyncCalendars();
+  
+  for (var i = 0; i < calendars.length; i++) {
+    var event = findActivityEvent(calendars[i], activityId, startTime, endTime, exactOnly);
+    if (event) {
+      indexActivityEvent(activityId, event, calendars[i]);
+      return { event: event, calendar: calendars[i] };
     }
-    
-  } catch (error) {
-    console.error('Webhook endpoint test failed:', error.toString());
   }
+  
+  return null;
 }
 
 /**
- * Helper function to guide through webhook setup
- * Run this to get step-by-step setup instructions
+ * Gets the Strava activity ID of an event from its hidden "stravaId" tag, or else
+ * from its "Strava ID:" description line
+ * @param {CalendarEvent} event - Google Calendar event
+ * @returns {string|null} Strava activity ID or null if the event wasn't created by this script
  */
-function setupWebhookGuide() {
-  console.log('=== WEBHOOK SETUP GUIDE ===');
-  console.log('');
-  console.log('1. DEPLOY AS WEB APP:');
-  console.log('   - Click Deploy → New deployment → Web app');
-  console.log('   - Description: "Strava Webhook Endpoint"');
-  console.log('   - Execute as: Me');
-  console.log('   - Who has access: Anyone');
-  console.log('   - Click Deploy and copy the Web App URL');
-  console.log('');
-  console.log('2. ADD WEB APP URL TO SCRIPT PROPERTIES:');
-  console.log('   - Go to Project Settings → Script Properties');
-  console.log('   - Add property: WEBHOOK_CALLBACK_URL');
-  console.log('   - Value: Your Web App URL (ending with /exec)');
-  console.log('');
-  console.log('3. TEST THE ENDPOINT:');
-  console.log('   - Run testWebhookEndpoint() function');
-  console.log('   - Should show "✅ Webhook endpoint is accessible and working!"');
-  console.log('');
-  console.log('4. REGISTER WEBHOOK:');
-  console.log('   - Run registerWebhook() function');
-  console.log('   - Should show "Webhook registered successfully!"');
-  console.log('');
-  console.log('5. VERIFY WEBHOOK:');
-  console.log('   - Run listWebhooks() to confirm registration');
-  console.log('');
+function getStravaIdFromEvent(event) {
+  var tag = event.getTag('stravaId');
+  if (tag) {
+    return tag;
+  }
   
-  // Check current setup status
-  var props = PropertiesService.getScriptProperties();
-  var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-  var subscriptionId = props.getProperty('WEBHOOK_SUBSCRIPTION_ID');
+  var match = /Strava ID: (\d+)/.exec(event.getDescription() || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Rewrites the calendar event for an activity with its current Strava data.
+ * Creates the event instead if none exists yet, moves it if the activity's
+ * sport type is now routed to a different calendar, and removes it if the
+ * activity is now excluded by the filter rules.
+ * @param {Object} activity - Strava activity object
+ */
+function updateCalendarEvent(activity) {
+  if (!shouldSyncActivity(activity)) {
+    deleteCalendarEvent(activity.id);
+    return;
+  }
   
-  console.log('=== CURRENT STATUS ===');
-  console.log('Webhook URL configured:', callbackUrl ? '✅ YES' : '❌ NO');
-  console.log('Webhook registered:', subscriptionId ? '✅ YES (ID: ' + subscriptionId + ')' : '❌ NO');
+  var details = buildEventDetails(activity);
+  var existing = findActivityEventInCalendars(activity.id, details.searchStart, details.searchEnd);
   
-  if (!callbackUrl) {
-    console.log('');
-    console.log('⚠️  NEXT STEP: Deploy as Web App and add WEBHOOK_CALLBACK_URL to Script Properties');
-  } else if (!subscriptionId) {
-    console.log('');
-    console.log('⚠️  NEXT STEP: Run testWebhookEndpoint() then registerWebhook()');
-  } else {
-    console.log('');
-    console.log('🎉 Webhook setup appears complete! Test with a new Strava activity.');
+  if (!existing) {
+    console.log('No existing event for activity', activity.id, '- creating it');
+    createCalendarEvent(activity);
+    return;
+  }
+  
+  if (existing.calendar.getId() !== getCalendarForActivity(activity).getId()) {
+    console.log('Moving event for activity', activity.id, 'to', getCalendarForActivity(activity).getName());
+    existing.event.deleteEvent();
+    unindexActivityEvent(activity.id);
+    createCalendarEvent(activity);
+    return;
   }
+  
+  applyEventDetails(existing.event, details, activity);
+  recordActivityOutcome(activity, 'updated', '', existing.event, existing.calendar);
+  
+  console.log('Updated calendar event for activity:', activity.id, '-', details.title);
 }
 
 /**
- * Registers a webhook with Strava for real-time activity updates
- * Run this once after deploying as a web app
+ * Writes freshly built event details onto an existing calendar event
+ * @param {CalendarEvent} event - Google Calendar event
+ * @param {Object} details - Event details from buildEventDetails()
+ * @param {Object} activity - Strava activity object
  */
-function registerWebhook() {
-  try {
-    console.log('Registering Strava webhook...');
-    
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    
-    if (!clientId || !clientSecret) {
-      throw new Error('Missing STRAVA_CLIENT_ID or STRAVA_CLIENT_SECRET');
+function applyEventDetails(event, details, activity) {
+  var visibility = getPlatform().calendar.Visibility;
+  
+  event.setTitle(details.title);
+  event.setTime(details.startTime, details.endTime);
+  event.setDescription(details.description);
+  event.setLocation(details.location);
+  event.setVisibility(activity.private ? visibility.PRIVATE : visibility.DEFAULT);
+  
+  if (details.color || event.getColor()) {
+    event.setColor(details.color);
+  }
+  
+  stampEventContent(event);
+}
+
+/**
+ * Checks whether an event's title, times, description, location or color differ from
+ * what the activity would produce today
+ * @param {CalendarEvent} event - Google Calendar event
+ * @param {Object} details - Event details from buildEventDetails()
+ * @returns {boolean} True if the event is out of date
+ */
+function eventNeedsUpdate(event, details) {
+  return event.getTitle() !== details.title ||
+    event.getStartTime().getTime() !== details.startTime.getTime() ||
+    event.getEndTime().getTime() !== details.endTime.getTime() ||
+    (event.getDescription() || '') !== details.description ||
+    (event.getLocation() || '') !== details.location ||
+    (event.getColor() || '') !== details.color;
+}
+
+/**
+ * Applies the changed fields from a Strava webhook "updates" object directly to an event.
+ * Used when the full activity can no longer be fetched from Strava.
+ * @param {CalendarEvent} event - Google Calendar event
+ * @param {Object} updates - Webhook updates (title, type, private)
+ */
+function applyActivityUpdates(event, updates) {
+  // Patching a hand-edited event must not make its edits look like our own
+  var editedByHand = isEventEditedByHand(event);
+  
+  if (updates.title !== undefined) {
+    event.setTitle(updates.title);
+  }
+  
+  if (updates.type !== undefined) {
+    var typeLabel = getFormatSettings().labels.type;
+    var typeLine = new RegExp('^' + escapeRegExp(typeLabel) + ': .*$', 'm');
+    event.setDescription((event.getDescription() || '').replace(typeLine, function() {
+      return typeLabel + ': ' + updates.type;
+    }));
+  }
+  
+  if (updates.private !== undefined) {
+    var isPrivate = String(updates.private) === 'true';
+    var visibility = getPlatform().calendar.Visibility;
+    event.setVisibility(isPrivate ? visibility.PRIVATE : visibility.DEFAULT);
+  }
+  
+  if (!editedByHand) {
+    stampEventContent(event);
+  }
+}
+
+/**
+ * Escapes text for use as a literal inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Computes a hash of the event fields this script writes (title, times, description
+ * and location), read back from the event so it matches what Calendar stored
+ * @param {CalendarEvent} event - Google Calendar event
+ * @returns {string} Base64 MD5 hash of the event content
+ */
+function getEventContentHash(event) {
+  var content = [
+    event.getTitle(),
+    event.getStartTime().getTime(),
+    event.getEndTime().getTime(),
+    event.getDescription() || '',
+    event.getLocation() || ''
+  ].join('\n');
+  
+  var utilities = getPlatform().utilities;
+  return utilities.base64Encode(utilities.computeDigest(utilities.DigestAlgorithm.MD5, content, utilities.Charset.UTF_8));
+}
+
+/**
+ * Stores the hash of an event's current content in its hidden "contentHash" tag,
+ * marking that content as written by this script
+ * @param {CalendarEvent} event - Google Calendar event
+ */
+function stampEventContent(event) {
+  event.setTag('contentHash', getEventContentHash(event));
+}
+
+/**
+ * Checks whether an event was changed in Google Calendar since this script last wrote it.
+ * Events from before content hashes were stored have no "contentHash" tag and count as untouched.
+ * @param {CalendarEvent} event - Google Calendar event
+ * @returns {boolean} True if the event's content no longer matches its stored hash
+ */
+function isEventEditedByHand(event) {
+  var hash = event.getTag('contentHash');
+  return !!hash && hash !== getEventContentHash(event);
+}
+
+/**
+ * Deletes the calendar event for a Strava activity from whichever sync calendar holds it
+ * @param {string|number} activityId - Strava activity ID
+ * @returns {boolean} True if an event was found and deleted
+ */
+function deleteCalendarEvent(activityId) {
+  var existing = findActivityEventInCalendars(activityId);
+  
+  if (!existing) {
+    console.log('No calendar event found for deleted activity', activityId);
+    return false;
+  }
+  
+  existing.event.deleteEvent();
+  unindexActivityEvent(activityId);
+  recordActivityOutcome(activityId, 'deleted');
+  console.log('Deleted calendar event for activity:', activityId);
+  return true;
+}
+
+/**
+ * Fetches a single activity from Strava
+ * @param {string} accessToken - Valid Strava access token
+ * @param {string|number} activityId - Strava activity ID
+ * @returns {Object|null} Strava activity object, or null if it no longer exists
+ */
+function fetchActivity(accessToken, activityId) {
+  var response = stravaFetch(STRAVA_API_BASE + '/activities/' + activityId, {
+    headers: { Authorization: 'Bearer ' + accessToken }
+  });
+  
+  if (response.getResponseCode() === 404) {
+    return null;
+  }
+  
+  if (response.getResponseCode() !== 200) {
+    throw new Error('Strava API error: ' + response.getResponseCode() + ' ' + response.getContentText());
+  }
+  
+  return JSON.parse(response.getContentText());
+}
+
+/**
+ * Swaps a summary activity from /athlete/activities for the detailed activity from
+ * /activities/{id} when ENRICH_ACTIVITIES is "true". Only the detailed activity has
+ * calories, device and gear names, relative effort and (for some uploads) the description.
+ *
+ * Costs one extra Strava request, so it is skipped when it would leave less budget than
+ * the next polling run needs. If enrichment is skipped or fails, the summary is used.
+ * @param {string} accessToken - Valid Strava access token
+ * @param {Object} activity - Strava activity object
+ * @returns {Object} Detailed activity, or the activity passed in
+ */
+function enrichActivity(accessToken, activity) {
+  // resource_state 3 means this already is the detailed representation
+  if (!getConfig('ENRICH_ACTIVITIES') || activity.resource_state >= 3) {
+    return activity;
+  }
+  
+  if (!hasStravaBudget(MIN_SYNC_API_CALLS + 1)) {
+    console.log('Not enriching activity', activity.id, '- saving the Strava rate limit budget (' + describeRateLimitUsage() + ')');
+    return activity;
+  }
+  
+  try {
+    return fetchActivity(accessToken, activity.id) || activity;
+  } catch (error) {
+    console.error('Failed to enrich activity', activity.id, '- using summary data:', error.toString());
+    return activity;
+  }
+}
+
+/**
+ * Fetches all activities that started within a time range, following pagination
+ * @param {string} accessToken - Valid Strava access token
+ * @param {number} after - Range start as epoch seconds
+ * @param {number} [before] - Range end as epoch seconds (defaults to now)
+ * @returns {Object[]} Strava activity objects
+ */
+function fetchActivitiesInRange(accessToken, after, before) {
+  var perPage = 100;
+  var page = 1;
+  var allActivities = [];
+  
+  while (true) {
+    var activities = stravaGet('/athlete/activities?after=' + after +
+      (before ? '&before=' + before : '') + '&per_page=' + perPage + '&page=' + page, accessToken);
+    allActivities = allActivities.concat(activities);
+    
+    if (activities.length < perPage) {
+      break;
     }
     
-    if (!callbackUrl) {
-      throw new Error('Missing WEBHOOK_CALLBACK_URL - deploy as web app first and add the URL to Script Properties');
+    page++;
+  }
+  
+  return allActivities;
+}
+
+// =============================================================================
+// CALENDAR ROUTING - Which calendar (and color) each activity goes to
+// =============================================================================
+
+/**
+ * Calendars looked up during this execution, keyed by name
+ */
+var calendarCache = {};
+
+/**
+ * Default sync calendar resolved during this execution
+ */
+var stravaCalendar = null;
+
+/**
+ * Looks up a calendar by name, caching the result for the rest of the execution
+ * @param {string} name - Calendar name
+ * @returns {Calendar|null} Calendar, or null if no calendar has that name
+ */
+function getCalendarByName(name) {
+  if (!Object.prototype.hasOwnProperty.call(calendarCache, name)) {
+    var calendars = getPlatform().calendar.getCalendarsByName(name);
+    calendarCache[name] = calendars && calendars.length > 0 ? calendars[0] : null;
+  }
+  return calendarCache[name];
+}
+
+/**
+ * Gets the default sync calendar: CALENDAR_NAME (default "Strava"), falling back
+ * to the account's default calendar
+ * @returns {Calendar} Google Calendar instance
+ */
+function getStravaCalendar() {
+  if (stravaCalendar) {
+    return stravaCalendar;
+  }
+  
+  var name = getConfig('CALENDAR_NAME');
+  var calendar = null;
+  
+  try {
+    calendar = getCalendarByName(name);
+  } catch (error) {
+    console.error('Error accessing ' + name + ' calendar:', error.toString());
+  }
+  
+  if (!calendar) {
+    console.log('Using default calendar (' + name + ' calendar not found)');
+    calendar = getPlatform().calendar.getDefaultCalendar();
+  }
+  
+  if (!calendar) {
+    throw new Error('Unable to access any calendar. Please check permissions.');
+  }
+  
+  stravaCalendar = calendar;
+  return calendar;
+}
+
+/**
+ * Reads the calendar routing rules from the CALENDAR_RULES Script Property.
+ *
+ * CALENDAR_RULES is a JSON array; the first rule whose "types" contains the activity's
+ * sport type (or type) wins. "calendar" is the target calendar name (optional - omit it
+ * to only set a color) and "color" is a Google Calendar event color, either its number
+ * "1"-"11" or a CalendarApp.EventColor name such as "RED" or "PALE_BLUE". Example:
+ *   [{"types": ["Run"], "calendar": "Running", "color": "RED"},
+ *    {"types": ["Ride", "VirtualRide"], "calendar": "Cycling", "color": "BLUE"}]
+ *
+ * @returns {Object[]} Routing rules
+ */
+function getCalendarRules() {
+  return getConfig('CALENDAR_RULES');
+}
+
+/**
+ * Finds the first routing rule matching an activity's sport type
+ * @param {Object} activity - Strava activity object
+ * @returns {Object|null} Matching rule or null
+ */
+function findCalendarRule(activity) {
+  var rules = getCalendarRules();
+  
+  for (var i = 0; i < rules.length; i++) {
+    var types = [].concat(rules[i].types || rules[i].type || []);
+    if (types.indexOf(activity.sport_type) !== -1 || types.indexOf(activity.type) !== -1) {
+      return rules[i];
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Gets the calendar an activity should be written to
+ * @param {Object} activity - Strava activity object
+ * @returns {Calendar} Google Calendar instance
+ */
+function getCalendarForActivity(activity) {
+  var rule = findCalendarRule(activity);
+  
+  if (rule && rule.calendar) {
+    var calendar = getCalendarByName(rule.calendar);
+    if (calendar) {
+      return calendar;
+    }
+    console.error('Calendar "' + rule.calendar + '" from CALENDAR_RULES not found - using the default calendar');
+  }
+  
+  return getStravaCalendar();
+}
+
+/**
+ * Gets the event color for an activity from its routing rule
+ * @param {Object} activity - Strava activity object
+ * @returns {string} Event color number ("1"-"11"), or "" for the calendar's default color
+ */
+function getEventColorForActivity(activity) {
+  var rule = findCalendarRule(activity);
+  
+  return rule ? resolveEventColor(rule.color) : '';
+}
+
+/**
+ * Turns a configured event color into a CalendarApp color number
+ * @param {string|number} [color] - CalendarApp.EventColor name (e.g. "RED") or number ("1"-"11")
+ * @returns {string} Event color number, or "" for the calendar's default color
+ */
+function resolveEventColor(color) {
+  if (!color) {
+    return '';
+  }
+  
+  color = String(color);
+  var named = getPlatform().calendar.EventColor[color.toUpperCase()];
+  return named ? String(named) : color;
+}
+
+/**
+ * Gets every calendar activities can be routed to (default calendar first)
+ * @returns {Calendar[]} Distinct Google Calendar instances
+ */
+function getSyncCalendars() {
+  var calendars = [getStravaCalendar()];
+  var seen = {};
+  seen[calendars[0].getId()] = true;
+  
+  getCalendarRules().forEach(function(rule) {
+    var calendar = rule.calendar ? getCalendarByName(rule.calendar) : null;
+    if (calendar && !seen[calendar.getId()]) {
+      seen[calendar.getId()] = true;
+      calendars.push(calendar);
+    }
+  });
+  
+  return calendars;
+}
+
+// =============================================================================
+// EVENT INDEX - Strava activity ID to calendar event lookups
+// =============================================================================
+
+/**
+ * Loaded index shards by (athlete-specific) property name, with the changes not saved yet
+ */
+var eventIndexShards = {};
+
+/**
+ * Gets the Script Property names of the event index shards
+ * @returns {string[]} EVENT_INDEX_0 ... EVENT_INDEX_<EVENT_INDEX_SHARDS - 1>
+ */
+function getEventIndexShardNames() {
+  var names = [];
+  for (var i = 0; i < EVENT_INDEX_SHARDS; i++) {
+    names.push('EVENT_INDEX_' + i);
+  }
+  return names;
+}
+
+/**
+ * Loads the index shard an activity belongs to.
+ *
+ * A shard is a JSON object: "calendars" lists calendar IDs, "events" maps Strava IDs to
+ * [event ID, calendar position] and "floor" is the highest Strava ID evicted to keep the
+ * shard under EVENT_INDEX_SHARD_BYTES. Strava IDs grow over time, so the oldest
+ * activities are evicted first; they're still found by searching the calendars.
+ * @param {string|number} activityId - Strava activity ID
+ * @returns {Object} Cache entry: name, shard and unsaved changes
+ */
+function loadEventIndexShard(activityId) {
+  var name = 'EVENT_INDEX_' + (Number(activityId) % EVENT_INDEX_SHARDS);
+  var key = getAthletePropertyName(name);
+  
+  if (!eventIndexShards[key]) {
+    eventIndexShards[key] = { name: name, shard: readEventIndexShard(name), changes: {} };
+  }
+  
+  return eventIndexShards[key];
+}
+
+/**
+ * Reads an index shard from Script Properties
+ * @param {string} name - Shard property name
+ * @returns {Object} Shard: calendars, events and floor
+ */
+function readEventIndexShard(name) {
+  try {
+    var shard = JSON.parse(getScriptProperties().getProperty(name) || 'null');
+    if (shard) {
+      return shard;
+    }
+  } catch (error) {
+    console.error('Invalid ' + name + ' - rebuilding it:', error.toString());
+  }
+  
+  return { calendars: [], events: {}, floor: 0 };
+}
+
+/**
+ * Sets or removes one entry of an index shard
+ * @param {Object} shard - Index shard
+ * @param {string} activityId - Strava activity ID
+ * @param {Array|null} change - [event ID, calendar ID], or null to remove the entry
+ */
+function applyEventIndexChange(shard, activityId, change) {
+  if (!change) {
+    delete shard.events[activityId];
+    return;
+  }
+  
+  var position = shard.calendars.indexOf(change[1]);
+  if (position === -1) {
+    shard.calendars.push(change[1]);
+    position = shard.calendars.length - 1;
+  }
+  
+  shard.events[activityId] = [change[0], position];
+}
+
+/**
+ * Writes the current athlete's index changes to Script Properties. Each shard is read
+ * again first, so entries saved meanwhile by another execution (e.g. a webhook) are kept.
+ */
+function saveEventIndex() {
+  Object.keys(eventIndexShards).forEach(function(key) {
+    var entry = eventIndexShards[key];
+    if (Object.keys(entry.changes).length === 0 || key !== getAthletePropertyName(entry.name)) {
+      return;
     }
     
-    // Set verify token if not already set
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    if (!verifyToken) {
-      verifyToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
-      props.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
+    var shard = readEventIndexShard(entry.name);
+    Object.keys(entry.changes).forEach(function(activityId) {
+      applyEventIndexChange(shard, activityId, entry.changes[activityId]);
+    });
+    
+    var ids = Object.keys(shard.events).sort(function(a, b) {
+      return Number(a) - Number(b);
+    });
+    
+    while (ids.length > 0 && JSON.stringify(shard).length > EVENT_INDEX_SHARD_BYTES) {
+      var evicted = ids.shift();
+      delete shard.events[evicted];
+      shard.floor = Math.max(shard.floor, Number(evicted));
     }
     
-    // Pre-warm the endpoint by making a test call
-    console.log('Pre-warming webhook endpoint...');
     try {
-      var testUrl = callbackUrl + '?test=pre_warm';
-      UrlFetchApp.fetch(testUrl, { method: 'get', muteHttpExceptions: true });
-      console.log('Endpoint pre-warmed');
-      
-      // Brief delay to ensure endpoint is fully ready
-      Utilities.sleep(2000);
-    } catch (e) {
-      console.log('Pre-warm test completed (expected)');
+      getScriptProperties().setProperty(entry.name, JSON.stringify(shard));
+      entry.shard = shard;
+      entry.changes = {};
+    } catch (error) {
+      console.error('Failed to save ' + entry.name + ':', error.toString());
+    }
+  });
+}
+
+/**
+ * Records which event belongs to an activity
+ * @param {string|number} activityId - Strava activity ID
+ * @param {CalendarEvent} event - The activity's calendar event
+ * @param {Calendar} calendar - Calendar holding the event
+ * @param {boolean} [deferSave] - Leave saving to a later saveEventIndex() call
+ */
+function indexActivityEvent(activityId, event, calendar, deferSave) {
+  var entry = loadEventIndexShard(activityId);
+  var change = [event.getId(), calendar.getId()];
+  
+  applyEventIndexChange(entry.shard, String(activityId), change);
+  entry.changes[String(activityId)] = change;
+  
+  if (!deferSave) {
+    saveEventIndex();
+  }
+}
+
+/**
+ * Forgets the event of an activity, e.g. after deleting it
+ * @param {string|number} activityId - Strava activity ID
+ */
+function unindexActivityEvent(activityId) {
+  var entry = loadEventIndexShard(activityId);
+  
+  if (entry.shard.events[String(activityId)]) {
+    applyEventIndexChange(entry.shard, String(activityId), null);
+    entry.changes[String(activityId)] = null;
+    saveEventIndex();
+  }
+}
+
+/**
+ * Looks an activity's event up in the index
+ * @param {string|number} activityId - Strava activity ID
+ * @returns {Object} match ({ event, calendar } or null) and complete - true when the
+ *   index should hold the activity's event, so a wide calendar search isn't needed
+ */
+function lookupActivityEventIndex(activityId) {
+  var entry = loadEventIndexShard(activityId);
+  var indexed = entry.shard.events[String(activityId)];
+  
+  if (indexed) {
+    var calendar = getPlatform().calendar.getCalendarById(entry.shard.calendars[indexed[1]]);
+    var event = calendar ? calendar.getEventById(indexed[0]) : null;
+    
+    if (event) {
+      return { match: { event: event, calendar: calendar }, complete: true };
     }
     
-    // Register webhook with Strava
-    var payload = {
-      client_id: clientId,
-      client_secret: clientSecret,
-      callback_url: callbackUrl,
-      verify_token: verifyToken
+    // Deleted or moved by hand - forget it and let the caller search
+    unindexActivityEvent(activityId);
+    return { match: null, complete: false };
+  }
+  
+  return { match: null, complete: isEventIndexMigrated() && Number(activityId) > entry.shard.floor };
+}
+
+/**
+ * Checks whether the one-time migration has indexed the events created before the index existed
+ * @returns {boolean} True once migrateEventIndex() has finished
+ */
+function isEventIndexMigrated() {
+  var raw = getScriptProperties().getProperty('EVENT_INDEX_MIGRATION');
+  
+  try {
+    return !!raw && JSON.parse(raw).done === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Indexes and tags the events created before the event index existed, by reading their
+ * "Strava ID:" lines year by year back to EVENT_INDEX_FIRST_YEAR. Progress is saved in
+ * EVENT_INDEX_MIGRATION, so it picks up where it stopped; main() keeps running it until
+ * it's done, so running it by hand is optional.
+ */
+function migrateEventIndex() {
+  if (dispatchToAthletes(migrateEventIndex, arguments)) {
+    return;
+  }
+  
+  runEventIndexMigration();
+}
+
+/**
+ * Works on the event index migration until it's done or the execution time budget is used up
+ */
+function runEventIndexMigration() {
+  try {
+    var props = getScriptProperties();
+    var state = JSON.parse(props.getProperty('EVENT_INDEX_MIGRATION') || 'null') ||
+      { year: new Date().getFullYear(), calendar: 0, indexed: 0 };
+    
+    if (state.done) {
+      console.log('Event index migration already done -', state.indexed, 'events indexed');
+      return;
+    }
+    
+    var calendars = getSyncCalendars();
+    
+    while (state.year >= EVENT_INDEX_FIRST_YEAR) {
+      while (state.calendar < calendars.length) {
+        var progress = indexCalendarYear(calendars[state.calendar], state.year);
+        state.indexed += progress.indexed;
+        
+        if (!progress.finished) {
+          saveEventIndex();
+          props.setProperty('EVENT_INDEX_MIGRATION', JSON.stringify(state));
+          console.log('Event index migration paused at', state.year, '-', state.indexed, 'events indexed so far');
+          return;
+        }
+        
+        state.calendar++;
+      }
+      
+      saveEventIndex();
+      state.year--;
+      state.calendar = 0;
+      props.setProperty('EVENT_INDEX_MIGRATION', JSON.stringify(state));
+    }
+    
+    props.setProperty('EVENT_INDEX_MIGRATION', JSON.stringify({ done: true, indexed: state.indexed }));
+    console.log('Event index migration complete -', state.indexed, 'events indexed');
+  } catch (error) {
+    console.error('Event index migration failed:', error.toString());
+  }
+}
+
+/**
+ * Tags and indexes the activity events of one calendar year. Stops early when the
+ * execution time budget runs out; running it again skips the events already indexed.
+ * @param {Calendar} calendar - Sync calendar
+ * @param {number} year - Year to index
+ * @returns {Object} indexed - events newly indexed, finished - false if it ran out of time
+ */
+function indexCalendarYear(calendar, year) {
+  var indexed = 0;
+  var events = calendar.getEvents(parseLocalDate(year + '-01-01'), parseLocalDate((year + 1) + '-01-01'), { search: 'Strava ID:' }) || [];
+  
+  for (var i = 0; i < events.length; i++) {
+    // Measured from the start of the execution, which may have synced or served other athletes first
+    if (Date.now() - executionStartedAt > BACKFILL_TIME_BUDGET_MS) {
+      return { indexed: indexed, finished: false };
+    }
+    
+    var stravaId = getStravaIdFromEvent(events[i]);
+    if (!stravaId || loadEventIndexShard(stravaId).shard.events[stravaId]) {
+      continue;
+    }
+    
+    if (!events[i].getTag('stravaId')) {
+      events[i].setTag('stravaId', stravaId);
+    }
+    
+    indexActivityEvent(stravaId, events[i], calendar, true);
+    indexed++;
+  }
+  
+  return { indexed: indexed, finished: true };
+}
+
+// =============================================================================
+// ACTIVITY FILTERS - Decide which activities become calendar events
+// =============================================================================
+
+/**
+ * Reads the filter rules from the ACTIVITY_FILTERS Script Property.
+ *
+ * ACTIVITY_FILTERS is a JSON object; every rule is optional:
+ *   includeSportTypes / excludeSportTypes - arrays of sport types (e.g. ["Run", "Ride"])
+ *   minDistance - minimum distance in meters
+ *   minDuration - minimum moving time in seconds
+ *   excludePrivate, excludeCommute, excludeTrainer, excludeManual - true to skip those activities
+ *   includeGearIds / excludeGearIds - arrays of Strava gear IDs (e.g. ["b1234567"])
+ *   includeNamePattern / excludeNamePattern - case-insensitive regular expressions on the name
+ *
+ * @returns {Object} Filter rules
+ */
+function getActivityFilters() {
+  return getConfig('ACTIVITY_FILTERS');
+}
+
+/**
+ * Evaluates the filter rules against an activity
+ * @param {Object} activity - Strava activity object
+ * @param {Object} [filters] - Filter rules from getActivityFilters()
+ * @returns {Object} { include: boolean, reason: string } - reason explains a skip
+ */
+function evaluateActivityFilters(activity, filters) {
+  filters = filters || getActivityFilters();
+  var sportType = activity.sport_type || activity.type;
+  
+  function skip(reason) {
+    return { include: false, reason: reason };
+  }
+  
+  if (filters.includeSportTypes && filters.includeSportTypes.length &&
+      filters.includeSportTypes.indexOf(sportType) === -1 && filters.includeSportTypes.indexOf(activity.type) === -1) {
+    return skip('sport type ' + sportType + ' is not in includeSportTypes');
+  }
+  
+  if (filters.excludeSportTypes &&
+      (filters.excludeSportTypes.indexOf(sportType) !== -1 || filters.excludeSportTypes.indexOf(activity.type) !== -1)) {
+    return skip('sport type ' + sportType + ' is in excludeSportTypes');
+  }
+  
+  if (filters.minDistance && (activity.distance || 0) < filters.minDistance) {
+    return skip('distance ' + Math.round(activity.distance || 0) + 'm is below minDistance ' + filters.minDistance + 'm');
+  }
+  
+  var duration = activity.moving_time || activity.elapsed_time || 0;
+  if (filters.minDuration && duration < filters.minDuration) {
+    return skip('duration ' + duration + 's is below minDuration ' + filters.minDuration + 's');
+  }
+  
+  if (filters.excludePrivate && activity.private) {
+    return skip('activity is private');
+  }
+  
+  if (filters.excludeCommute && activity.commute) {
+    return skip('activity is a commute');
+  }
+  
+  if (filters.excludeTrainer && activity.trainer) {
+    return skip('activity was recorded on a trainer');
+  }
+  
+  if (filters.excludeManual && activity.manual) {
+    return skip('activity was entered manually');
+  }
+  
+  if (filters.includeGearIds && filters.includeGearIds.length &&
+      filters.includeGearIds.indexOf(activity.gear_id) === -1) {
+    return skip('gear ' + (activity.gear_id || 'none') + ' is not in includeGearIds');
+  }
+  
+  if (filters.excludeGearIds && activity.gear_id && filters.excludeGearIds.indexOf(activity.gear_id) !== -1) {
+    return skip('gear ' + activity.gear_id + ' is in excludeGearIds');
+  }
+  
+  var name = activity.name || '';
+  
+  if (filters.includeNamePattern && !new RegExp(filters.includeNamePattern, 'i').test(name)) {
+    return skip('name "' + name + '" does not match includeNamePattern');
+  }
+  
+  if (filters.excludeNamePattern && new RegExp(filters.excludeNamePattern, 'i').test(name)) {
+    return skip('name "' + name + '" matches excludeNamePattern');
+  }
+  
+  return { include: true, reason: '' };
+}
+
+/**
+ * Checks the filter rules before an activity is written to the calendar.
+ * Set FILTER_DEBUG to "true" to log why each activity was skipped.
+ * @param {Object} activity - Strava activity object
+ * @returns {boolean} True if the activity should be synced
+ */
+function shouldSyncActivity(activity) {
+  var result;
+  
+  try {
+    result = evaluateActivityFilters(activity);
+  } catch (error) {
+    // A broken rule (e.g. an invalid regex) shouldn't silently drop activities
+    console.error('Failed to evaluate ACTIVITY_FILTERS - syncing activity', activity.id, ':', error.toString());
+    return true;
+  }
+  
+  if (!result.include) {
+    recordActivityOutcome(activity, 'skipped', result.reason);
+    
+    if (getConfig('FILTER_DEBUG')) {
+      console.log('Skipping activity', activity.id, '(' + (activity.name || activity.type) + '):', result.reason);
+    }
+  }
+  
+  return result.include;
+}
+
+// =============================================================================
+// EVENT TEMPLATES - Customisable event title, description and location
+// =============================================================================
+
+/**
+ * Built-in templates, used for any part not overridden in EVENT_TEMPLATES.
+ * The description is built from the labels of the configured LOCALE.
+ * @param {Object} labels - Localized labels from getFormatSettings()
+ * @returns {Object} Templates: title, description, location
+ */
+function getDefaultEventTemplates(labels) {
+  return {
+    title: '{name}',
+    description: [
+      'Strava ID: {id}',
+      labels.type + ': {type}',
+      '{#distance}' + labels.distance + ': {distance}{/distance}',
+      labels.duration + ': {elapsed_time}',
+      labels.moving_time + ': {moving_time}',
+      '{#average}{average_label}: {average}{/average}',
+      '{#elevation}' + labels.elevation + ': {elevation}{/elevation}',
+      '{#heart_rate}' + labels.avg_heart_rate + ': {heart_rate}{/heart_rate}',
+      '{#max_heart_rate}' + labels.max_heart_rate + ': {max_heart_rate}{/max_heart_rate}',
+      '{#power}' + labels.avg_power + ': {power}{/power}',
+      '{#weighted_power}' + labels.weighted_power + ': {weighted_power}{/weighted_power}',
+      '{#cadence}' + labels.cadence + ': {cadence}{/cadence}',
+      '{#calories}' + labels.calories + ': {calories}{/calories}',
+      '{#suffer_score}' + labels.suffer_score + ': {suffer_score}{/suffer_score}',
+      '{#device}' + labels.device + ': {device}{/device}',
+      '{#gear}' + labels.gear + ': {gear}{/gear}',
+      '{#timezone}' + labels.timezone + ': {timezone}{/timezone}',
+      '{#local_start}' + labels.local_start + ': {local_start}{/local_start}',
+      labels.view_on_strava + ': {url}',
+      '{#description}',
+      '{description}{/description}'
+    ].join('\n'),
+    location: '{location}'
+  };
+}
+
+/**
+ * Resolves the title, description and location templates for an activity.
+ *
+ * EVENT_TEMPLATES (Script Property) is a JSON object with an optional "default" entry
+ * and entries keyed by sport type (e.g. "Run", "Ride", "VirtualRide"). Each entry may set
+ * any of "title", "description" and "location"; missing parts fall back to "default",
+ * then to the built-in templates. Example:
+ *   {"Ride": {"title": "🚴 {name}"}, "Run": {"title": "🏃 {name} ({pace})"}}
+ *
+ * @param {Object} activity - Strava activity object
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {Object} Templates: title, description, location
+ */
+function getEventTemplates(activity, settings) {
+  var config = getConfig('EVENT_TEMPLATES');
+  var typeTemplates = config[activity.sport_type] || config[activity.type] || {};
+  var defaultTemplates = config['default'] || {};
+  var builtInTemplates = getDefaultEventTemplates((settings || getFormatSettings()).labels);
+  var templates = {};
+  
+  ['title', 'description', 'location'].forEach(function(part) {
+    if (typeof typeTemplates[part] === 'string') {
+      templates[part] = typeTemplates[part];
+    } else if (typeof defaultTemplates[part] === 'string') {
+      templates[part] = defaultTemplates[part];
+    } else {
+      templates[part] = builtInTemplates[part];
+    }
+  });
+  
+  return templates;
+}
+
+/**
+ * Builds the placeholder values available to event templates.
+ * Fields the activity doesn't have are empty strings, so conditional sections skip them.
+ * The location is only worked out (and reverse geocoded) when one of the templates uses it.
+ * @param {Object} activity - Strava activity object
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @param {Object} [templates] - Templates the fields are for, from getEventTemplates()
+ * @returns {Object} Map of placeholder name to display value
+ */
+function buildTemplateFields(activity, settings, templates) {
+  settings = settings || getFormatSettings();
+  var sportType = activity.sport_type || activity.type || 'Unknown';
+  var usePace = getPaceStyle(sportType) !== null;
+  var coordinates = getConfig('LOCATION_COORDINATES') ? getStartCoordinates(activity) : null;
+  
+  return {
+    id: String(activity.id),
+    name: activity.name || activity.type || 'Activity',
+    type: activity.type || 'Unknown',
+    sport_type: sportType,
+    distance: activity.distance ? formatDistance(activity.distance, settings) : '',
+    elapsed_time: formatDuration(activity.elapsed_time || 0, settings),
+    moving_time: formatDuration(activity.moving_time || 0, settings),
+    speed: activity.average_speed ? formatSpeed(activity.average_speed, settings) : '',
+    pace: activity.average_speed ? formatPace(activity.average_speed, sportType, settings) : '',
+    average: activity.average_speed ? formatAverage(activity.average_speed, sportType, settings) : '',
+    average_label: usePace ? settings.labels.avg_pace : settings.labels.avg_speed,
+    elevation: activity.total_elevation_gain ? formatElevation(activity.total_elevation_gain, settings) : '',
+    heart_rate: activity.average_heartrate ? formatNumber(activity.average_heartrate, 0, settings) + ' bpm' : '',
+    max_heart_rate: activity.max_heartrate ? formatNumber(activity.max_heartrate, 0, settings) + ' bpm' : '',
+    power: activity.average_watts ? formatNumber(activity.average_watts, 0, settings) + ' W' : '',
+    weighted_power: activity.weighted_average_watts ? formatNumber(activity.weighted_average_watts, 0, settings) + ' W' : '',
+    cadence: activity.average_cadence ? formatCadence(activity.average_cadence, sportType, settings) : '',
+    calories: activity.calories ? formatNumber(activity.calories, 0, settings) + ' kcal' : '',
+    suffer_score: activity.suffer_score ? formatNumber(activity.suffer_score, 0, settings) : '',
+    device: activity.device_name || '',
+    gear: activity.gear && activity.gear.name || '',
+    location: !templates || usesTemplateField(templates, 'location') ? getActivityLocation(activity, settings) : '',
+    coordinates: coordinates ? formatCoordinatesLink(coordinates) : '',
+    timezone: getActivityTimeZone(activity) || '',
+    local_start: getLocalStartText(activity, getCalendarForActivity(activity).getTimeZone()),
+    url: 'https://www.strava.com/activities/' + activity.id,
+    description: activity.description || ''
+  };
+}
+
+/**
+ * Checks whether any of the templates uses a placeholder or conditional section
+ * @param {Object} templates - Templates: title, description, location
+ * @param {string} field - Placeholder name
+ * @returns {boolean} True if {field} or {#field} appears in a template
+ */
+function usesTemplateField(templates, field) {
+  var pattern = new RegExp('\\{#?' + field + '\\}');
+  
+  return ['title', 'description', 'location'].some(function(part) {
+    return pattern.test(templates[part] || '');
+  });
+}
+
+/**
+ * Renders a template string.
+ *
+ * Placeholders look like {name}; unknown placeholders are left untouched.
+ * Conditional sections look like {#field}...{/field} and only render when the field
+ * has a value. A section that fills a whole line is removed together with its line.
+ *
+ * @param {string} template - Template string
+ * @param {Object} fields - Placeholder values from buildTemplateFields()
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, fields) {
+  var EMPTY_SECTION = '\u0000';
+  
+  var text = String(template || '').replace(/\{#(\w+)\}([\s\S]*?)\{\/\1\}/g, function(match, field, content) {
+    return fields[field] ? content : EMPTY_SECTION;
+  });
+  
+  text = text.replace(/\{(\w+)\}/g, function(match, field) {
+    return Object.prototype.hasOwnProperty.call(fields, field) ? fields[field] : match;
+  });
+  
+  return text
+    .split('\n')
+    .filter(function(line) { return line !== EMPTY_SECTION; })
+    .join('\n')
+    .split(EMPTY_SECTION).join('');
+}
+
+// =============================================================================
+// LOCATION - Event location from the activity's start coordinates
+// =============================================================================
+
+/**
+ * Reverse geocoders selectable with the GEOCODER Script Property. Each is called with the
+ * rounded start coordinates and the format settings and returns a place name, or null when
+ * it has none. Add an entry to plug in another geocoding service.
+ */
+var GEOCODERS = {
+  maps: function(lat, lng, settings) {
+    var geocoder = getPlatform().geocoder;
+    
+    if (!geocoder) {
+      throw new Error('GEOCODER "maps" needs a geocoder adapter (Apps Script\'s Maps service, or GOOGLE_MAPS_API_KEY under Node.js) - set GEOCODER to "none" to skip it');
+    }
+    
+    var response = geocoder.reverseGeocode(lat, lng, settings.locale);
+    
+    if (!response || response.status !== 'OK' || !response.results || response.results.length === 0) {
+      return null;
+    }
+    return getPlaceName(response.results[0]);
+  }
+};
+
+/**
+ * Place names geocoded during this execution, keyed like their platform cache entries
+ */
+var geocodeCache = {};
+
+/**
+ * Works out the event location for an activity: the place name of its start coordinates,
+ * or a clickable map link to them when geocoding fails or GEOCODER is "none". With
+ * LOCATION_COORDINATES off, Strava's own city or country is used instead of the link.
+ * Activities without start coordinates (indoor, or a start hidden by a privacy zone)
+ * only get the city or country, if any.
+ * @param {Object} activity - Strava activity object
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Location text
+ */
+function getActivityLocation(activity, settings) {
+  var coordinates = getStartCoordinates(activity);
+  var fallback = activity.location_city || activity.location_country || '';
+  
+  if (!coordinates) {
+    return fallback;
+  }
+  
+  var geocoder = getConfig('GEOCODER');
+  
+  if (geocoder !== 'none') {
+    var placeName = reverseGeocode(coordinates, geocoder, settings || getFormatSettings());
+    if (placeName) {
+      return placeName;
+    }
+  }
+  
+  return getConfig('LOCATION_COORDINATES') ? formatCoordinatesLink(coordinates) : fallback;
+}
+
+/**
+ * Reads an activity's start coordinates, rounded to GEOCODE_PRECISION decimals.
+ * Strava leaves start_latlng empty when the start is hidden by a privacy zone, so
+ * those activities never reveal a location.
+ * @param {Object} activity - Strava activity object
+ * @returns {number[]|null} [latitude, longitude], or null if the start isn't known
+ */
+function getStartCoordinates(activity) {
+  var latlng = activity.start_latlng;
+  
+  if (!latlng || latlng.length !== 2 || (!latlng[0] && !latlng[1])) {
+    return null;
+  }
+  
+  return [Number(latlng[0].toFixed(GEOCODE_PRECISION)), Number(latlng[1].toFixed(GEOCODE_PRECISION))];
+}
+
+/**
+ * Looks up the place name for coordinates, caching it per rounded coordinate
+ * @param {number[]} coordinates - Rounded [latitude, longitude]
+ * @param {string} geocoder - Name of a GEOCODERS entry
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {string} Place name, or "" if none was found
+ */
+function reverseGeocode(coordinates, geocoder, settings) {
+  var key = 'geocode:' + geocoder + ':' + settings.locale + ':' + coordinates.join(',');
+  
+  if (Object.prototype.hasOwnProperty.call(geocodeCache, key)) {
+    return geocodeCache[key];
+  }
+  
+  var cache = getPlatform().cache;
+  var cached = cache.get(key);
+  
+  if (cached !== null) {
+    geocodeCache[key] = JSON.parse(cached);
+    return geocodeCache[key];
+  }
+  
+  if (!GEOCODERS[geocoder]) {
+    console.error('Unknown GEOCODER "' + geocoder + '" - leaving the place name out');
+    geocodeCache[key] = '';
+    return '';
+  }
+  
+  try {
+    var placeName = GEOCODERS[geocoder](coordinates[0], coordinates[1], settings) || '';
+    geocodeCache[key] = placeName;
+    cache.put(key, JSON.stringify(placeName), GEOCODE_CACHE_SECONDS);
+    return placeName;
+  } catch (error) {
+    // Don't cache failures beyond this execution - the service may be back next run
+    console.error('Reverse geocoding failed for ' + coordinates.join(',') + ':', error.toString());
+    geocodeCache[key] = '';
+    return '';
+  }
+}
+
+/**
+ * Builds a short place name ("Town, Country") from a Google geocoding result.
+ * Street addresses are left out on purpose so events don't reveal where you live.
+ * @param {Object} result - Geocoding result with address_components
+ * @returns {string|null} Place name or null if the result has no town or country
+ */
+function getPlaceName(result) {
+  var byType = {};
+  
+  (result.address_components || []).forEach(function(component) {
+    (component.types || []).forEach(function(type) {
+      if (!byType[type]) {
+        byType[type] = component.long_name;
+      }
+    });
+  });
+  
+  var town = byType.locality || byType.postal_town || byType.administrative_area_level_3 ||
+    byType.administrative_area_level_2 || byType.natural_feature || '';
+  var parts = [town, byType.country].filter(function(part) { return part; });
+  
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Formats coordinates as a Google Maps link
+ * @param {number[]} coordinates - [latitude, longitude]
+ * @returns {string} Map URL
+ */
+function formatCoordinatesLink(coordinates) {
+  return 'https://www.google.com/maps/search/?api=1&query=' + coordinates.join(',');
+}
+
+// =============================================================================
+// FORMATTING - Units, pace and locale-aware number formatting
+// =============================================================================
+
+/**
+ * Localized labels, number separators and duration units, keyed by language code.
+ * Duration units carry the space before them when the language writes one.
+ */
+var LOCALE_LABELS = {
+  en: {
+    decimal: '.', group: ',', hours_unit: 'h', minutes_unit: 'm', seconds_unit: 's',
+    type: 'Type', distance: 'Distance', duration: 'Duration', moving_time: 'Moving Time',
+    avg_speed: 'Avg Speed', avg_pace: 'Avg Pace', elevation: 'Elevation Gain', view_on_strava: 'View on Strava',
+    week_summary: 'Week summary', month_summary: 'Month summary', activities: 'Activities', total: 'Total',
+    vs_previous_week: 'vs previous week', vs_previous_month: 'vs previous month',
+    avg_heart_rate: 'Avg Heart Rate', max_heart_rate: 'Max Heart Rate', avg_power: 'Avg Power',
+    weighted_power: 'Weighted Avg Power', cadence: 'Avg Cadence', calories: 'Calories',
+    suffer_score: 'Relative Effort', device: 'Device', gear: 'Gear',
+    timezone: 'Time zone', local_start: 'Local start',
+    plan_compliance: 'Plan compliance', planned: 'Planned', actual: 'Actual', completed: 'Completed', missed: 'Missed'
+  },
+  de: {
+    decimal: ',', group: '.', hours_unit: ' Std.', minutes_unit: ' Min.', seconds_unit: ' Sek.',
+    type: 'Typ', distance: 'Distanz', duration: 'Dauer', moving_time: 'Bewegungszeit',
+    avg_speed: 'Ø Geschwindigkeit', avg_pace: 'Ø Pace', elevation: 'Höhenmeter', view_on_strava: 'Auf Strava ansehen',
+    week_summary: 'Wochenübersicht', month_summary: 'Monatsübersicht', activities: 'Aktivitäten', total: 'Gesamt',
+    vs_previous_week: 'ggü. Vorwoche', vs_previous_month: 'ggü. Vormonat',
+    avg_heart_rate: 'Ø Herzfrequenz', max_heart_rate: 'Max. Herzfrequenz', avg_power: 'Ø Leistung',
+    weighted_power: 'Gewichtete Ø Leistung', cadence: 'Ø Kadenz', calories: 'Kalorien',
+    suffer_score: 'Relative Anstrengung', device: 'Gerät', gear: 'Ausrüstung',
+    timezone: 'Zeitzone', local_start: 'Startzeit (lokal)',
+    plan_compliance: 'Planerfüllung', planned: 'Geplant', actual: 'Tatsächlich', completed: 'Erledigt', missed: 'Verpasst'
+  },
+  fr: {
+    decimal: ',', group: ' ', hours_unit: ' h', minutes_unit: ' min', seconds_unit: ' s',
+    type: 'Type', distance: 'Distance', duration: 'Durée', moving_time: 'Temps de déplacement',
+    avg_speed: 'Vitesse moy.', avg_pace: 'Allure moy.', elevation: 'Dénivelé positif', view_on_strava: 'Voir sur Strava',
+    week_summary: 'Résumé de la semaine', month_summary: 'Résumé du mois', activities: 'Activités', total: 'Total',
+    vs_previous_week: 'vs semaine précédente', vs_previous_month: 'vs mois précédent',
+    avg_heart_rate: 'FC moy.', max_heart_rate: 'FC max.', avg_power: 'Puissance moy.',
+    weighted_power: 'Puissance moy. pondérée', cadence: 'Cadence moy.', calories: 'Calories',
+    suffer_score: 'Effort relatif', device: 'Appareil', gear: 'Équipement',
+    timezone: 'Fuseau horaire', local_start: 'Départ (heure locale)',
+    plan_compliance: 'Respect du plan', planned: 'Prévu', actual: 'Réalisé', completed: 'Réalisées', missed: 'Manquées'
+  },
+  es: {
+    decimal: ',', group: '.', hours_unit: ' h', minutes_unit: ' min', seconds_unit: ' s',
+    type: 'Tipo', distance: 'Distancia', duration: 'Duración', moving_time: 'Tiempo en movimiento',
+    avg_speed: 'Velocidad media', avg_pace: 'Ritmo medio', elevation: 'Desnivel positivo', view_on_strava: 'Ver en Strava',
+    week_summary: 'Resumen semanal', month_summary: 'Resumen mensual', activities: 'Actividades', total: 'Total',
+    vs_previous_week: 'vs semana anterior', vs_previous_month: 'vs mes anterior',
+    avg_heart_rate: 'FC media', max_heart_rate: 'FC máxima', avg_power: 'Potencia media',
+    weighted_power: 'Potencia media ponderada', cadence: 'Cadencia media', calories: 'Calorías',
+    suffer_score: 'Esfuerzo relativo', device: 'Dispositivo', gear: 'Equipo',
+    timezone: 'Zona horaria', local_start: 'Inicio (hora local)',
+    plan_compliance: 'Cumplimiento del plan', planned: 'Planificado', actual: 'Real', completed: 'Completadas', missed: 'Perdidas'
+  },
+  nl: {
+    decimal: ',', group: '.', hours_unit: ' u', minutes_unit: ' min', seconds_unit: ' s',
+    type: 'Type', distance: 'Afstand', duration: 'Duur', moving_time: 'Beweegtijd',
+    avg_speed: 'Gem. snelheid', avg_pace: 'Gem. tempo', elevation: 'Hoogtemeters', view_on_strava: 'Bekijk op Strava',
+    week_summary: 'Weekoverzicht', month_summary: 'Maandoverzicht', activities: 'Activiteiten', total: 'Totaal',
+    vs_previous_week: 't.o.v. vorige week', vs_previous_month: 't.o.v. vorige maand',
+    avg_heart_rate: 'Gem. hartslag', max_heart_rate: 'Max. hartslag', avg_power: 'Gem. vermogen',
+    weighted_power: 'Gewogen gem. vermogen', cadence: 'Gem. cadans', calories: 'Calorieën',
+    suffer_score: 'Relatieve inspanning', device: 'Apparaat', gear: 'Uitrusting',
+    timezone: 'Tijdzone', local_start: 'Lokale starttijd',
+    plan_compliance: 'Planrealisatie', planned: 'Gepland', actual: 'Werkelijk', completed: 'Voltooid', missed: 'Gemist'
+  }
+};
+
+/**
+ * Sport types shown as pace instead of speed, and the distance each pace is measured over
+ */
+var PACE_SPORT_TYPES = {
+  Run: 'distance', TrailRun: 'distance', VirtualRun: 'distance', Walk: 'distance', Hike: 'distance',
+  Swim: 'swim'
+};
+
+/**
+ * Reads the UNITS ("metric" or "imperial") and LOCALE (e.g. "en", "de-DE") Script Properties
+ * @returns {Object} Format settings: imperial flag, locale code and labels
+ */
+function getFormatSettings() {
+  var locale = getConfig('LOCALE').toLowerCase().split(/[-_]/)[0];
+  
+  return {
+    imperial: getConfig('UNITS') === 'imperial',
+    locale: locale,
+    labels: LOCALE_LABELS[locale]
+  };
+}
+
+/**
+ * Formats a number with a fixed number of decimals using the locale's separators
+ * @param {number} value - Number to format
+ * @param {number} decimals - Digits after the decimal separator
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, decimals, settings) {
+  var labels = (settings || getFormatSettings()).labels;
+  var parts = value.toFixed(decimals).split('.');
+  var whole = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, labels.group);
+  return parts.length > 1 ? whole + labels.decimal + parts[1] : whole;
+}
+
+/**
+ * Formats distance in meters to a readable string in the configured units
+ * @param {number} distanceMeters - Distance in meters
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted distance (e.g. "10.00 km", "6.21 mi", "500 m", "300 ft")
+ */
+function formatDistance(distanceMeters, settings) {
+  settings = settings || getFormatSettings();
+  
+  if (settings.imperial) {
+    var miles = distanceMeters / METERS_PER_MILE;
+    if (miles >= 0.1) {
+      return formatNumber(miles, 2, settings) + ' mi';
+    }
+    return formatNumber(distanceMeters / METERS_PER_FOOT, 0, settings) + ' ft';
+  }
+  
+  var km = distanceMeters / 1000;
+  if (km >= 1) {
+    return formatNumber(km, 2, settings) + ' km';
+  } else {
+    return formatNumber(distanceMeters, 0, settings) + ' m';
+  }
+}
+
+/**
+ * Formats elevation in meters to a readable string in the configured units
+ * @param {number} elevationMeters - Elevation in meters
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted elevation (e.g. "120 m", "394 ft")
+ */
+function formatElevation(elevationMeters, settings) {
+  settings = settings || getFormatSettings();
+  
+  if (settings.imperial) {
+    return formatNumber(elevationMeters / METERS_PER_FOOT, 0, settings) + ' ft';
+  }
+  return formatNumber(elevationMeters, 0, settings) + ' m';
+}
+
+/**
+ * Formats duration in seconds to a readable string with the locale's unit labels
+ * @param {number} seconds - Duration in seconds
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted duration (e.g. "1h 37m 0s", "1 Std. 37 Min. 0 Sek.")
+ */
+function formatDuration(seconds, settings) {
+  var labels = (settings || getFormatSettings()).labels;
+  var hours = Math.floor(seconds / 3600);
+  var minutes = Math.floor((seconds % 3600) / 60);
+  var secs = seconds % 60;
+  
+  if (hours > 0) {
+    return hours + labels.hours_unit + ' ' + minutes + labels.minutes_unit + ' ' + secs + labels.seconds_unit;
+  } else if (minutes > 0) {
+    return minutes + labels.minutes_unit + ' ' + secs + labels.seconds_unit;
+  } else {
+    return secs + labels.seconds_unit;
+  }
+}
+
+/**
+ * Formats speed in m/s to a readable string in the configured units
+ * @param {number} speedMs - Speed in meters per second
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted speed (e.g. "25.3 km/h", "15.7 mph")
+ */
+function formatSpeed(speedMs, settings) {
+  settings = settings || getFormatSettings();
+  
+  if (settings.imperial) {
+    return formatNumber(speedMs * 3600 / METERS_PER_MILE, 1, settings) + ' mph';
+  }
+  return formatNumber(speedMs * 3.6, 1, settings) + ' km/h';
+}
+
+/**
+ * Returns how pace is measured for a sport type
+ * @param {string} sportType - Strava sport type
+ * @returns {string|null} "distance" (per km/mi), "swim" (per 100 m/yd) or null for speed sports
+ */
+function getPaceStyle(sportType) {
+  return PACE_SPORT_TYPES[sportType] || null;
+}
+
+/**
+ * Formats speed in m/s as a pace suited to the sport: per 100 m / 100 yd for swims,
+ * per km / mi for everything else
+ * @param {number} speedMs - Speed in meters per second
+ * @param {string} [sportType] - Strava sport type
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted pace (e.g. "5:30 /km", "8:51 /mi", "1:45 /100m")
+ */
+function formatPace(speedMs, sportType, settings) {
+  settings = settings || getFormatSettings();
+  
+  var unitMeters, unitLabel;
+  if (getPaceStyle(sportType) === 'swim') {
+    unitMeters = settings.imperial ? 100 * METERS_PER_YARD : 100;
+    unitLabel = settings.imperial ? '/100yd' : '/100m';
+  } else {
+    unitMeters = settings.imperial ? METERS_PER_MILE : 1000;
+    unitLabel = settings.imperial ? '/mi' : '/km';
+  }
+  
+  var totalSeconds = Math.round(unitMeters / speedMs);
+  var minutes = Math.floor(totalSeconds / 60);
+  var secs = totalSeconds % 60;
+  return minutes + ':' + (secs < 10 ? '0' : '') + secs + ' ' + unitLabel;
+}
+
+/**
+ * Formats an average speed the way the sport is usually measured:
+ * pace for runs, walks, hikes and swims, speed for everything else
+ * @param {number} speedMs - Speed in meters per second
+ * @param {string} sportType - Strava sport type
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted pace or speed
+ */
+function formatAverage(speedMs, sportType, settings) {
+  return getPaceStyle(sportType) ? formatPace(speedMs, sportType, settings) : formatSpeed(speedMs, settings);
+}
+
+/**
+ * Formats average cadence. Strava records one leg for runs, walks and hikes, so those are
+ * doubled to steps per minute; everything else is shown in revolutions per minute.
+ * @param {number} cadence - Average cadence as reported by Strava
+ * @param {string} sportType - Strava sport type
+ * @param {Object} [settings] - Format settings from getFormatSettings()
+ * @returns {string} Formatted cadence (e.g. "172 spm", "88 rpm")
+ */
+function formatCadence(cadence, sportType, settings) {
+  if (getPaceStyle(sportType) === 'distance') {
+    return formatNumber(cadence * 2, 0, settings) + ' spm';
+  }
+  return formatNumber(cadence, 0, settings) + ' rpm';
+}
+
+/**
+ * Test function to check calendar access and permissions
+ * Run this first if you're having calendar issues
+ */
+function testCalendarAccess() {
+  try {
+    console.log('Testing calendar access...');
+    
+    // Test default calendar
+    var defaultCal = CalendarApp.getDefaultCalendar();
+    console.log('Default calendar:', defaultCal ? defaultCal.getName() : 'FAILED');
+    
+    // Test Strava calendar
+    var stravaCalendars = CalendarApp.getCalendarsByName('Strava');
+    console.log('Strava calendars found:', stravaCalendars.length);
+    
+    if (stravaCalendars.length > 0) {
+      console.log('Strava calendar name:', stravaCalendars[0].getName());
+      console.log('Strava calendar ID:', stravaCalendars[0].getId());
+    }
+    
+    // List all calendars
+    var allCalendars = CalendarApp.getAllCalendars();
+    console.log('All available calendars:');
+    allCalendars.forEach(function(cal) {
+      console.log('- ' + cal.getName() + ' (ID: ' + cal.getId() + ')');
+    });
+    
+    console.log('Calendar access test completed successfully');
+  } catch (error) {
+    console.error('Calendar access test failed:', error.toString());
+  }
+}
+
+// =============================================================================
+// SETUP DIAGNOSTICS - One report on everything the sync depends on
+// =============================================================================
+
+/**
+ * Log prefixes of the diagnostic statuses
+ */
+var DIAGNOSTIC_ICONS = {
+  ok: '✅',
+  warning: '⚠️',
+  error: '❌'
+};
+
+/**
+ * Checks the whole setup and logs a report: settings, Strava credentials, token refresh,
+ * granted scope, target calendars, triggers and the last successful sync.
+ * With ATHLETES set, everything but the property names and triggers is checked per athlete.
+ * Run this first when activities stop showing up.
+ * @returns {Object} Report: ok (true without errors) and checks, each
+ *   { athlete, name, status ('ok', 'warning' or 'error'), message }
+ */
+function diagnoseSetup() {
+  var report = { ok: true, checks: [] };
+  
+  try {
+    diagnoseSharedSetup(report);
+    
+    var athletes = getAthletes();
+    
+    if (athletes.length === 0) {
+      diagnoseAthleteSetup(report);
+    }
+    
+    athletes.forEach(function(athlete) {
+      withAthlete(athlete, function() {
+        diagnoseAthleteSetup(report);
+      });
+    });
+  } catch (error) {
+    addDiagnosticCheck(report, 'error', 'Diagnostics', 'Stopped early: ' + error.toString());
+  }
+  
+  logDiagnosticReport(report);
+  return report;
+}
+
+/**
+ * Checks what all athletes share: property names and the sync triggers
+ * @param {Object} report - Report being built
+ */
+function diagnoseSharedSetup(report) {
+  var unknown = findUnknownProperties();
+  
+  unknown.forEach(function(problem) {
+    addDiagnosticCheck(report, 'warning', 'Property names', problem);
+  });
+  
+  if (unknown.length === 0) {
+    addDiagnosticCheck(report, 'ok', 'Property names', 'Every Script Property is a known setting or sync state');
+  }
+  
+  var handlers = getTriggerHandlers();
+  
+  if (handlers.indexOf('main') === -1) {
+    addDiagnosticCheck(report, 'error', 'Triggers',
+      'No main() trigger - nothing syncs automatically. Run setupReliableSync() or createFrequentSyncTrigger()');
+  } else {
+    addDiagnosticCheck(report, 'ok', 'Triggers', 'main() polls Strava on a timer');
+  }
+  
+  if (handlers.indexOf('dailyBackupSync') === -1) {
+    addDiagnosticCheck(report, 'warning', 'Triggers',
+      'No dailyBackupSync() trigger - edits on Strava and late uploads are not picked up. Run createBackupSyncTrigger()');
+  } else {
+    addDiagnosticCheck(report, 'ok', 'Triggers', 'dailyBackupSync() reconciles once a day');
+  }
+}
+
+/**
+ * Checks the current athlete's settings, Strava access, calendars and sync history
+ * @param {Object} report - Report being built
+ */
+function diagnoseAthleteSetup(report) {
+  var problems = validateConfig();
+  
+  problems.forEach(function(problem) {
+    addDiagnosticCheck(report, 'error', 'Settings', problem + ' - the default is used instead');
+  });
+  
+  if (problems.length === 0) {
+    addDiagnosticCheck(report, 'ok', 'Settings', 'All settings are valid');
+  }
+  
+  var missing = Object.keys(CONFIG_SCHEMA).filter(function(name) {
+    return CONFIG_SCHEMA[name].required && !getConfig(name);
+  });
+  
+  missing.forEach(function(name) {
+    addDiagnosticCheck(report, 'error', 'Credentials', 'Missing ' +
+      (SHARED_PROPERTIES.indexOf(name) === -1 ? getAthletePropertyName(name) : name) +
+      (name === 'STRAVA_REFRESH_TOKEN' ? ' - run ' + getConnectCall() : ' - copy it from https://www.strava.com/settings/api'));
+  });
+  
+  if (missing.length === 0) {
+    addDiagnosticCheck(report, 'ok', 'Credentials', 'Client ID, client secret and refresh token are set');
+    
+    var accessToken = null;
+    
+    try {
+      accessToken = getStravaAccessToken(true);
+      addDiagnosticCheck(report, 'ok', 'Token refresh', 'Strava issued a new access token');
+    } catch (error) {
+      addDiagnosticCheck(report, 'error', 'Token refresh', error.message +
+        (error.authFailed ? ' - the refresh token was revoked or has expired, run ' + getConnectCall() + ' to reconnect' : ''));
+    }
+    
+    if (accessToken) {
+      diagnoseStravaScope(report, accessToken);
+    }
+  }
+  
+  diagnoseCalendars(report);
+  
+  if (getConfig('TRAINING_CALENDAR_NAME') && getTriggerHandlers().indexOf('updateTrainingSummaries') === -1) {
+    addDiagnosticCheck(report, 'warning', 'Triggers',
+      'TRAINING_CALENDAR_NAME is set but no updateTrainingSummaries() trigger writes the compliance reports. Run createSummaryTrigger()');
+  }
+  
+  diagnoseLastSync(report);
+}
+
+/**
+ * Checks that the Strava authorization includes activity:read_all. Strava's token
+ * responses don't say which scopes were granted, so this relies on the scope recorded
+ * by connectStrava() and otherwise only confirms that activities can be read.
+ * @param {Object} report - Report being built
+ * @param {string} accessToken - Valid Strava access token
+ */
+function diagnoseStravaScope(report, accessToken) {
+  var granted = getScriptProperties().getProperty('STRAVA_GRANTED_SCOPE');
+  
+  if (granted) {
+    var scopes = granted.split(',');
+    
+    if (scopes.indexOf('activity:read_all') !== -1) {
+      addDiagnosticCheck(report, 'ok', 'Strava scope', 'Granted ' + granted);
+    } else if (scopes.indexOf('activity:read') !== -1) {
+      addDiagnosticCheck(report, 'warning', 'Strava scope', 'Granted ' + granted + ' without activity:read_all - ' +
+        'private activities are not synced. Run ' + getConnectCall() + ' and keep "View data about your private activities" ticked');
+    } else {
+      addDiagnosticCheck(report, 'error', 'Strava scope', 'Granted ' + granted + ' without activity:read - ' +
+        'no activities can be synced. Run ' + getConnectCall() + ' and keep the activity permissions ticked');
+    }
+    return;
+  }
+  
+  try {
+    stravaGet('/athlete/activities?per_page=1', accessToken);
+    addDiagnosticCheck(report, 'warning', 'Strava scope', 'Activities can be read, but it is unknown whether ' +
+      'activity:read_all was granted because the tokens were not saved by connectStrava(). Run ' + getConnectCall() + ' to check');
+  } catch (error) {
+    addDiagnosticCheck(report, 'error', 'Strava scope', 'Activities cannot be read (' + error.message + ') - ' +
+      'run ' + getConnectCall() + ' and grant activity:read_all');
+  }
+}
+
+/**
+ * Checks that every calendar events are written to exists and accepts new events
+ * @param {Object} report - Report being built
+ */
+function diagnoseCalendars(report) {
+  var targets = [{ name: getConfig('CALENDAR_NAME'), source: 'CALENDAR_NAME' }];
+  
+  getCalendarRules().forEach(function(rule) {
+    if (rule.calendar) {
+      targets.push({ name: rule.calendar, source: 'CALENDAR_RULES' });
+    }
+  });
+  
+  if (getConfig('TRAINING_CALENDAR_NAME')) {
+    targets.push({ name: getConfig('TRAINING_CALENDAR_NAME'), source: 'TRAINING_CALENDAR_NAME' });
+  }
+  
+  var checked = {};
+  
+  targets.forEach(function(target) {
+    if (checked[target.name]) {
+      return;
+    }
+    checked[target.name] = true;
+    
+    var calendar = getCalendarByName(target.name);
+    var label = 'Calendar "' + target.name + '" (' + target.source + ')';
+    
+    if (!calendar && target.source !== 'CALENDAR_NAME') {
+      addDiagnosticCheck(report, 'error', 'Calendars', label + ' not found - create it or correct the name');
+      return;
+    }
+    
+    if (!calendar) {
+      addDiagnosticCheck(report, 'warning', 'Calendars', label + ' not found - events go to your default calendar');
+      calendar = getPlatform().calendar.getDefaultCalendar();
+      label = 'Default calendar "' + calendar.getName() + '"';
+    }
+    
+    var writeError = testCalendarWrite(calendar);
+    
+    if (writeError) {
+      addDiagnosticCheck(report, 'error', 'Calendars', label + ' is not writable: ' + writeError);
+    } else {
+      addDiagnosticCheck(report, 'ok', 'Calendars', label + ' exists and is writable');
+    }
+  });
+}
+
+/**
+ * Creates and immediately deletes an event to see whether a calendar accepts new events.
+ * The event is placed in the past so it can't show up as an upcoming appointment.
+ * @param {Calendar} calendar - Google Calendar instance
+ * @returns {string|null} Why the calendar can't be written to, or null if it can
+ */
+function testCalendarWrite(calendar) {
+  try {
+    var start = new Date(Date.UTC(2000, 0, 1, 12));
+    calendar.createEvent('Strava sync setup check', start, new Date(start.getTime() + 60 * 1000)).deleteEvent();
+    return null;
+  } catch (error) {
+    return error.message || String(error);
+  }
+}
+
+/**
+ * Reports when main() last finished without errors
+ * @param {Object} report - Report being built
+ */
+function diagnoseLastSync(report) {
+  var last = getScriptProperties().getProperty('LAST_SUCCESSFUL_SYNC');
+  
+  if (!last) {
+    addDiagnosticCheck(report, 'warning', 'Last sync', 'No successful sync recorded yet - run main()');
+    return;
+  }
+  
+  var minutes = Math.round((Date.now() - new Date(last).getTime()) / 60000);
+  var age = minutes < 120 ? minutes + ' minutes ago' : Math.round(minutes / 60) + ' hours ago';
+  
+  addDiagnosticCheck(report, minutes > STALE_SYNC_HOURS * 60 ? 'warning' : 'ok', 'Last sync',
+    'Last successful sync at ' + last + ' (' + age + ')');
+}
+
+/**
+ * Gets the call that (re)connects the current athlete's Strava account
+ * @returns {string} e.g. "connectStrava('bob')"
+ */
+function getConnectCall() {
+  return 'connectStrava(' + (currentAthlete ? '\'' + currentAthlete + '\'' : '') + ')';
+}
+
+/**
+ * Gets the functions the project's triggers run
+ * @returns {string[]} Handler function names
+ */
+function getTriggerHandlers() {
+  return getPlatform().scheduler.getHandlers();
+}
+
+/**
+ * Adds a check result to a diagnostic report
+ * @param {Object} report - Report being built
+ * @param {string} status - 'ok', 'warning' or 'error'
+ * @param {string} name - What was checked
+ * @param {string} message - Result
+ */
+function addDiagnosticCheck(report, status, name, message) {
+  report.checks.push({ athlete: currentAthlete, name: name, status: status, message: message });
+  
+  if (status === 'error') {
+    report.ok = false;
+  }
+}
+
+/**
+ * Logs a diagnostic report with one line per check and a verdict
+ * @param {Object} report - Finished report
+ */
+function logDiagnosticReport(report) {
+  var counts = { ok: 0, warning: 0, error: 0 };
+  
+  console.log('=== SETUP DIAGNOSTICS ===');
+  
+  report.checks.forEach(function(check) {
+    counts[check.status]++;
+    console.log(DIAGNOSTIC_ICONS[check.status] + ' ' + (check.athlete ? '[' + check.athlete + '] ' : '') +
+      check.name + ': ' + check.message);
+  });
+  
+  if (!report.ok) {
+    console.log(counts.error + ' problem(s) to fix' + (counts.warning ? ' and ' + counts.warning + ' warning(s)' : ''));
+  } else if (counts.warning) {
+    console.log('The sync can run, with ' + counts.warning + ' warning(s)');
+  } else {
+    console.log('Everything looks good');
+  }
+}
+
+// =============================================================================
+// STRAVA AUTHORIZATION - Connect page and OAuth callback served by doGet()
+// =============================================================================
+
+/**
+ * Creates a one-time link to the "Connect Strava" page and logs it.
+ * Open the link, approve access on Strava and the tokens are stored automatically.
+ * Run it again at any time to re-authorize, e.g. after the token was revoked.
+ *
+ * Needs STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET, the script deployed as a web app and
+ * the web app's domain (script.google.com) as the Strava app's Authorization Callback Domain.
+ * @param {string} [athlete] - Athlete to connect; added to ATHLETES if it's new
+ */
+function connectStrava(athlete) {
+  try {
+    if (!getConfig('STRAVA_CLIENT_ID') || !getConfig('STRAVA_CLIENT_SECRET')) {
+      throw new Error('Set STRAVA_CLIENT_ID and STRAVA_CLIENT_SECRET in Script Properties first');
+    }
+    
+    var webAppUrl = ScriptApp.getService().getUrl();
+    if (!webAppUrl) {
+      throw new Error('Deploy the script as a web app first (Deploy > New deployment > Web app)');
+    }
+    
+    if (athlete && getAthletes().indexOf(athlete) === -1) {
+      addAthlete(athlete);
+    }
+    
+    console.log('Open this link within an hour to connect ' + (athlete ? athlete + '\'s' : 'your') + ' Strava account:');
+    console.log(webAppUrl + '?action=connect&state=' + createAuthorizationState(athlete));
+    console.log('The Authorization Callback Domain of your Strava app must be:', webAppUrl.split('/')[2]);
+  } catch (error) {
+    console.error('Failed to create connect link:', error.toString());
+  }
+}
+
+/**
+ * Remembers a pending authorization under a random state value for CONNECT_LINK_SECONDS
+ * @param {string} [athlete] - Athlete being connected
+ * @returns {string} OAuth state value
+ */
+function createAuthorizationState(athlete) {
+  var state = getPlatform().utilities.getUuid();
+  getPlatform().cache.put('oauth_state_' + state, JSON.stringify({ athlete: athlete || null }), CONNECT_LINK_SECONDS);
+  return state;
+}
+
+/**
+ * Handles the connect page and Strava's redirect back to the web app
+ * @param {Object} params - doGet query parameters
+ * @returns {HtmlOutput} Page to show
+ */
+function handleAuthorizationRequest(params) {
+  try {
+    var raw = params.state ? getPlatform().cache.get('oauth_state_' + params.state) : null;
+    
+    // Only links created by connectStrava() in the editor may change the stored tokens
+    if (!raw) {
+      return renderAuthorizationPage('Link expired',
+        'This connect link is invalid or has expired. Run connectStrava() in the script editor to get a new one.');
+    }
+    
+    var pending = JSON.parse(raw);
+    
+    if (params.action === 'connect') {
+      return renderConnectPage(pending.athlete, params.state);
+    }
+    
+    getPlatform().cache.remove('oauth_state_' + params.state);
+    return handleAuthorizationCallback(pending.athlete, params);
+  } catch (error) {
+    console.error('Strava authorization failed:', error.toString());
+    return renderAuthorizationPage('Connection failed', error.toString());
+  }
+}
+
+/**
+ * Shows the "Connect Strava" page linking to Strava's authorize endpoint
+ * @param {string|null} athlete - Athlete being connected
+ * @param {string} state - OAuth state value
+ * @returns {HtmlOutput} Connect page
+ */
+function renderConnectPage(athlete, state) {
+  var connected = withAthlete(athlete, function() {
+    return !!getConfig('STRAVA_REFRESH_TOKEN');
+  });
+  
+  return renderAuthorizationPage(
+    connected ? 'Reconnect Strava' : 'Connect Strava',
+    'Allow Strava Calendar Sync to read ' + (athlete ? athlete + '\'s' : 'your') + ' activities, ' +
+      'including private ones, so they can be added to Google Calendar. ' +
+      'Keep "View data about your private activities" ticked on the next page.' +
+      (connected ? ' This replaces the current Strava authorization.' : ''),
+    { url: getStravaAuthorizeUrl(state), label: connected ? 'Reconnect Strava' : 'Connect Strava' }
+  );
+}
+
+/**
+ * Builds the Strava authorize URL. approval_prompt=force shows the permission screen
+ * every time, so re-authorizing can fix permissions that were unticked before.
+ * @param {string} state - OAuth state value
+ * @returns {string} Authorize URL
+ */
+function getStravaAuthorizeUrl(state) {
+  return 'https://www.strava.com/oauth/authorize' +
+    '?client_id=' + encodeURIComponent(getConfig('STRAVA_CLIENT_ID')) +
+    '&response_type=code' +
+    '&redirect_uri=' + encodeURIComponent(ScriptApp.getService().getUrl()) +
+    '&approval_prompt=force' +
+    '&scope=' + STRAVA_SCOPE +
+    '&state=' + encodeURIComponent(state);
+}
+
+/**
+ * Completes an authorization: checks the granted scope, exchanges the code for tokens
+ * and stores them for the athlete
+ * @param {string|null} athlete - Athlete being connected
+ * @param {Object} params - Callback query parameters (code, scope or error)
+ * @returns {HtmlOutput} Result page
+ */
+function handleAuthorizationCallback(athlete, params) {
+  var retry = { url: getStravaAuthorizeUrl(createAuthorizationState(athlete)), label: 'Try again' };
+  
+  if (params.error) {
+    return renderAuthorizationPage('Not connected', 'Strava did not grant access (' + params.error + ').', retry);
+  }
+  
+  var scopes = String(params.scope || '').split(',');
+  var canReadAll = scopes.indexOf('activity:read_all') !== -1;
+  
+  if (!canReadAll && scopes.indexOf('activity:read') === -1) {
+    return renderAuthorizationPage('Permission missing',
+      'Strava did not grant "View data about your activities", so no activities could be synced. ' +
+      'Connect again and keep that permission ticked.', retry);
+  }
+  
+  var tokenData = exchangeAuthorizationCode(params.code);
+  
+  withAthlete(athlete, function() {
+    saveAuthorizedTokens(tokenData, params.scope);
+    notifyRecovered('auth');
+  });
+  
+  var name = tokenData.athlete ? [tokenData.athlete.firstname, tokenData.athlete.lastname].join(' ').trim() : '';
+  console.log('Connected Strava account' + (name ? ' of ' + name : '') + (athlete ? ' for athlete ' + athlete : ''));
+  
+  if (!canReadAll) {
+    return renderAuthorizationPage('Connected with limited access',
+      'Strava is connected' + (name ? ' for ' + name : '') + ', but "View data about your private activities" ' +
+      'was not granted. Private activities and activities only visible to you will not be synced. ' +
+      'Reconnect and keep that permission ticked to sync them too.',
+      { url: retry.url, label: 'Reconnect Strava' });
+  }
+  
+  return renderAuthorizationPage('Strava connected',
+    'Strava is connected' + (name ? ' for ' + name : '') + '. ' +
+    'Run setupReliableSync() in the script editor if you haven\'t set up the sync triggers yet.');
+}
+
+/**
+ * Exchanges an authorization code for tokens
+ * @param {string} code - Code from Strava's redirect
+ * @returns {Object} Token response: access_token, refresh_token, expires_at and athlete
+ */
+function exchangeAuthorizationCode(code) {
+  var response = stravaFetch('https://www.strava.com/oauth/token', {
+    method: 'post',
+    payload: {
+      client_id: getConfig('STRAVA_CLIENT_ID'),
+      client_secret: getConfig('STRAVA_CLIENT_SECRET'),
+      code: code,
+      grant_type: 'authorization_code'
+    }
+  });
+  
+  if (response.getResponseCode() !== 200) {
+    throw new Error('Failed to exchange the authorization code: ' + response.getContentText());
+  }
+  
+  return JSON.parse(response.getContentText());
+}
+
+/**
+ * Stores tokens from an authorization for the current athlete. Connecting a different
+ * Strava account than before clears the old account's sync position and queues.
+ * @param {Object} tokenData - Token response from exchangeAuthorizationCode()
+ * @param {string} [scope] - Scopes Strava granted, e.g. "read,activity:read_all"
+ */
+function saveAuthorizedTokens(tokenData, scope) {
+  var props = getScriptProperties();
+  var athleteId = tokenData.athlete && tokenData.athlete.id ? String(tokenData.athlete.id) : null;
+  var previousId = props.getProperty('STRAVA_ATHLETE_ID');
+  
+  if (athleteId && previousId && athleteId !== previousId) {
+    ['LAST_ACTIVITY_ID', 'LAST_ACTIVITY_START', 'RETRY_QUEUE', 'DEAD_LETTER_QUEUE', 'BACKFILL_STATE', 'REBUILD_STATE'].forEach(function(key) {
+      props.deleteProperty(key);
+    });
+    console.log('A different Strava account was connected - sync state of the previous account cleared');
+  }
+  
+  props.setProperty('STRAVA_REFRESH_TOKEN', tokenData.refresh_token);
+  props.setProperty('STRAVA_ACCESS_TOKEN', tokenData.access_token);
+  props.setProperty('STRAVA_EXPIRES_AT', String(tokenData.expires_at));
+  
+  // Strava's token responses don't include the scope, so keep it for diagnoseSetup()
+  if (scope) {
+    props.setProperty('STRAVA_GRANTED_SCOPE', scope);
+  }
+  
+  if (athleteId) {
+    props.setProperty('STRAVA_ATHLETE_ID', athleteId);
+  }
+}
+
+/**
+ * Renders a simple page for the authorization flow
+ * @param {string} title - Page heading
+ * @param {string} message - Explanation shown below the heading
+ * @param {Object} [link] - Button to show: url and label
+ * @returns {HtmlOutput} Page
+ */
+function renderAuthorizationPage(title, message, link) {
+  var html = '<div style="font-family: sans-serif; max-width: 480px; margin: 40px auto;">' +
+    '<h2>' + escapeHtml(title) + '</h2>' +
+    '<p>' + escapeHtml(message) + '</p>' +
+    (link ? '<p><a href="' + escapeHtml(link.url) + '" target="_top" style="display: inline-block; padding: 10px 16px; ' +
+      'background: #fc4c02; color: #fff; text-decoration: none; border-radius: 4px;">' + escapeHtml(link.label) + '</a></p>' : '') +
+    '</div>';
+  
+  return HtmlService.createHtmlOutput(html).setTitle('Strava Calendar Sync');
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// =============================================================================
+// WEBHOOK FUNCTIONS - Real-time sync when activities are completed
+// =============================================================================
+
+/**
+ * Handles incoming Strava webhook events (POST requests)
+ * This function is called automatically when Strava sends activity updates
+ */
+function doPost(e) {
+  try {
+    console.log('Received webhook request');
+    
+    if (!e || !e.postData) {
+      console.log('No POST data received');
+      return ContentService.createTextOutput('OK');
+    }
+    
+    var event = JSON.parse(e.postData.contents || '{}');
+    console.log('Webhook event:', JSON.stringify(event));
+    
+    var problem = validateWebhookEvent(event, getScriptProperties().getProperty('WEBHOOK_SUBSCRIPTION_ID'));
+    if (problem) {
+      console.log('Ignoring invalid webhook event -', problem);
+      return ContentService.createTextOutput('OK');
+    }
+    
+    // Strava doesn't redeliver events we answered, so failed creates go to the retry queue
+    handleWebhookEvent(event, 'doPost (webhook)', true);
+    return ContentService.createTextOutput('OK');
+    
+  } catch (error) {
+    console.error('Webhook processing failed:', error.toString());
+    return ContentService.createTextOutput('ERROR: ' + error.toString());
+  }
+}
+
+/**
+ * Checks that a webhook request body is a Strava event: an activity or athlete event
+ * with a create, update or delete aspect and the numeric ids Strava always sends
+ * @param {Object} event - Parsed request body
+ * @param {string|number} [subscriptionId] - Expected subscription_id (WEBHOOK_SUBSCRIPTION_ID)
+ * @returns {string|null} What is wrong with the event, or null if it is valid
+ */
+function validateWebhookEvent(event, subscriptionId) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return 'not a JSON object';
+  }
+  
+  if (['activity', 'athlete'].indexOf(event.object_type) === -1) {
+    return 'object_type must be "activity" or "athlete", got ' + JSON.stringify(event.object_type);
+  }
+  
+  if (['create', 'update', 'delete'].indexOf(event.aspect_type) === -1) {
+    return 'aspect_type must be "create", "update" or "delete", got ' + JSON.stringify(event.aspect_type);
+  }
+  
+  var fields = ['object_id', 'owner_id', 'subscription_id', 'event_time'];
+  for (var i = 0; i < fields.length; i++) {
+    var value = event[fields[i]];
+    if (typeof value !== 'number' || value % 1 !== 0 || value <= 0) {
+      return fields[i] + ' must be a positive integer, got ' + JSON.stringify(value);
+    }
+  }
+  
+  if (event.updates !== undefined && (!event.updates || typeof event.updates !== 'object' || Array.isArray(event.updates))) {
+    return 'updates must be an object';
+  }
+  
+  if (subscriptionId && String(event.subscription_id) !== String(subscriptionId)) {
+    return 'subscription_id ' + event.subscription_id + ' is not this script\'s subscription (' + subscriptionId + ')';
+  }
+  
+  return null;
+}
+
+/**
+ * Applies a validated Strava webhook event to the calendar. With several athletes, the
+ * event is handled as the athlete who owns the activity. Used by doPost() and by the
+ * Node.js webhook receiver in node/webhook-server.js.
+ * @param {Object} event - Strava webhook event (see validateWebhookEvent())
+ * @param {string} [source] - What received the event, for the sync log (default "webhook")
+ * @param {boolean} [queueFailedCreates] - Put an activity whose event couldn't be created in
+ *   the retry queue; leave it off when the caller retries failed events itself
+ * @returns {string} created, exists, updated, deleted, skipped, not_found or ignored
+ * @throws {Error} If the event couldn't be applied and is worth retrying
+ */
+function handleWebhookEvent(event, source, queueFailedCreates) {
+  // Only activity events change the calendar
+  if (event.object_type !== 'activity') {
+    console.log('Ignoring event - not an activity event');
+    return 'ignored';
+  }
+  
+  // With several athletes, handle the event with its owner's tokens and settings
+  if (!currentAthlete && getAthletes().length > 0) {
+    var athlete = findAthleteForOwner(event);
+    
+    if (!athlete) {
+      console.log('Ignoring webhook event - owner', event.owner_id, 'is not one of the ATHLETES');
+      return 'ignored';
+    }
+    
+    return withAthlete(athlete, function() {
+      return handleWebhookEvent(event, source, queueFailedCreates);
+    });
+  }
+  
+  startSyncRun(source || 'webhook');
+  
+  try {
+    return applyWebhookEvent(event, queueFailedCreates);
+  } catch (error) {
+    recordRunError(error);
+    throw error;
+  } finally {
+    finishSyncRun();
+  }
+}
+
+/**
+ * Creates, updates or deletes the calendar event for an activity webhook event
+ * @param {Object} event - Strava activity webhook event
+ * @param {boolean} [queueFailedCreates] - Put the activity in the retry queue if creating its event fails
+ * @returns {string} created, exists, updated, deleted, skipped or not_found
+ */
+function applyWebhookEvent(event, queueFailedCreates) {
+  console.log('Processing activity', event.aspect_type, 'webhook for ID:', event.object_id);
+  
+  // Deletions don't need Strava access - the activity is already gone
+  if (event.aspect_type === 'delete') {
+    var deleted = deleteCalendarEvent(event.object_id);
+    console.log('Successfully processed delete webhook for activity:', event.object_id);
+    return deleted ? 'deleted' : 'not_found';
+  }
+  
+  // Get credentials
+  var clientId = getConfig('STRAVA_CLIENT_ID');
+  var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+  var refreshToken = getConfig('STRAVA_REFRESH_TOKEN');
+  
+  if (!clientId || !clientSecret || !refreshToken) {
+    throw new Error('Missing Strava credentials');
+  }
+  
+  // Get fresh access token
+  var accessToken = refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken);
+  
+  // Fetch the specific activity details
+  var activity = fetchActivity(accessToken, event.object_id);
+  
+  if (event.aspect_type === 'update') {
+    if (activity) {
+      updateCalendarEvent(activity);
+    } else {
+      // Activity can't be fetched any more - apply the changed fields we were sent
+      var existing = findActivityEventInCalendars(event.object_id);
+      if (!existing) {
+        console.log('No calendar event found for updated activity', event.object_id);
+        return 'not_found';
+      }
+      
+      applyActivityUpdates(existing.event, event.updates || {});
+      recordActivityOutcome(event.object_id, 'updated', 'applied webhook changes', existing.event, existing.calendar);
+    }
+    
+    console.log('Successfully processed update webhook for activity:', event.object_id);
+    return 'updated';
+  }
+  
+  if (!activity) {
+    console.error('Activity not found on Strava:', event.object_id);
+    return 'not_found';
+  }
+  
+  var outcome = 'skipped';
+  
+  // Create calendar event (queued for retry by polling if it fails and the caller asked for it)
+  if (shouldSyncActivity(activity)) {
+    try {
+      outcome = createCalendarEvent(activity) ? 'created' : 'exists';
+    } catch (error) {
+      if (queueFailedCreates) {
+        enqueueActivityRetry(activity.id, error);
+      }
+      throw error;
+    }
+  }
+  
+  console.log('Successfully processed webhook for activity:', event.object_id);
+  return outcome;
+}
+
+/**
+ * Handles webhook verification (GET requests from Strava)
+ * Called when registering the webhook subscription. Also serves the Strava
+ * connect page and its OAuth callback (see connectStrava()).
+ */
+function doGet(e) {
+  // Strava authorization: the connect page and Strava's redirect back to it
+  var params = e && e.parameter || {};
+  if (params.action === 'connect' || (params.state && (params.code || params.error))) {
+    return handleAuthorizationRequest(params);
+  }
+  
+  try {
+    // Log everything for debugging webhook registration issues
+    console.log('=== WEBHOOK VERIFICATION REQUEST ===');
+    console.log('Timestamp:', new Date().toISOString());
+    console.log('Raw parameters:', e ? JSON.stringify(e.parameter) : 'No e object');
+    console.log('User agent:', e && e.headers ? e.headers['User-Agent'] : 'No user agent');
+    
+    // Handle simple test
+    if (e && e.parameter && e.parameter.test) {
+      console.log('Simple test request received');
+      var testResponse = ContentService.createTextOutput('Web app is working! Time: ' + new Date().toString());
+      testResponse.setMimeType(ContentService.MimeType.TEXT);
+      return testResponse;
+    }
+    
+    if (!e || !e.parameter) {
+      console.log('No parameters received - returning error');
+      var errorResponse = ContentService.createTextOutput('No parameters');
+      errorResponse.setMimeType(ContentService.MimeType.TEXT);
+      return errorResponse;
+    }
+    
+    var mode = e.parameter['hub.mode'];
+    var token = e.parameter['hub.verify_token'];
+    var challenge = e.parameter['hub.challenge'];
+    
+    console.log('Verification params:');
+    console.log('- Mode:', mode);
+    console.log('- Token:', token);
+    console.log('- Challenge:', challenge);
+    
+    // Get expected verify token
+    var props = getScriptProperties();
+    var expectedToken = getConfig('STRAVA_VERIFY_TOKEN');
+    
+    // If no verify token is set, generate and save one
+    if (!expectedToken) {
+      expectedToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
+      props.setProperty('STRAVA_VERIFY_TOKEN', expectedToken);
+      console.log('Generated new verify token:', expectedToken);
+    }
+    
+    console.log('Expected token:', expectedToken);
+    console.log('Token comparison:');
+    console.log('- Tokens match:', token === expectedToken);
+    console.log('- Mode is subscribe:', mode === 'subscribe');
+    
+    if (mode === 'subscribe' && token === expectedToken) {
+      console.log('✅ Webhook verification SUCCESSFUL - returning JSON challenge');
+      var jsonResponse = JSON.stringify({"hub.challenge": challenge});
+      console.log('Returning JSON:', jsonResponse);
+      
+      // Create response with proper status and headers
+      var successResponse = ContentService.createTextOutput(jsonResponse);
+      successResponse.setMimeType(ContentService.MimeType.JSON);
+      
+      // Explicitly ensure we return 200 status
+      console.log('Setting response headers for 200 OK status');
+      return successResponse;
+    } else {
+      console.log('❌ Webhook verification FAILED');
+      console.log('Failure reasons:');
+      if (mode !== 'subscribe') {
+        console.log('- Wrong mode. Expected "subscribe", got:', mode);
+      }
+      if (token !== expectedToken) {
+        console.log('- Token mismatch. Expected:', expectedToken, 'Got:', token);
+      }
+      
+      // Return proper failure response
+      var failResponse = ContentService.createTextOutput('Verification failed');
+      failResponse.setMimeType(ContentService.MimeType.TEXT);
+      return failResponse;
+    }
+  } catch (error) {
+    console.error('Webhook verification error:', error.toString());
+    var errorResponse = ContentService.createTextOutput('ERROR: ' + error.toString());
+    errorResponse.setMimeType(ContentService.MimeType.TEXT);
+    return errorResponse;
+  }
+}
+
+/**
+ * Simple test function to verify web app deployment
+ * Access this via: YOUR_WEB_APP_URL?test=true
+ */
+function simpleWebAppTest() {
+  return ContentService.createTextOutput('Web app is working! Time: ' + new Date().toString());
+}
+
+/**
+ * Manual test to simulate what Strava sends during webhook registration
+ * This will help us debug the exact verification process
+ */
+function manualWebhookVerificationTest() {
+  try {
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    
+    if (!callbackUrl || !verifyToken) {
+      console.error('Missing WEBHOOK_CALLBACK_URL or STRAVA_VERIFY_TOKEN');
+      return;
+    }
+    
+    console.log('Testing webhook verification process manually...');
+    console.log('Callback URL:', callbackUrl);
+    console.log('Verify Token:', verifyToken);
+    
+    // Test what happens when we send the exact parameters Strava would send
+    var testChallenge = 'test_challenge_123';
+    var testUrl = callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=' + testChallenge;
+    
+    console.log('Test URL:', testUrl);
+    
+    try {
+      var response = UrlFetchApp.fetch(testUrl, {
+        method: 'get',
+        muteHttpExceptions: true
+      });
+      
+      console.log('Response Code:', response.getResponseCode());
+      console.log('Response Headers:', JSON.stringify(response.getHeaders()));
+      console.log('Response Body:', response.getContentText());
+      
+      if (response.getResponseCode() === 200) {
+        try {
+          var responseJson = JSON.parse(response.getContentText());
+          if (responseJson['hub.challenge'] === testChallenge) {
+            console.log('✅ Manual verification test PASSED');
+            console.log('The webhook endpoint is working correctly for manual tests');
+            console.log('Issue may be with Strava-specific verification or network/timing');
+          } else {
+            console.log('❌ Manual verification test FAILED - wrong challenge returned');
+          }
+        } catch (e) {
+          console.log('❌ Manual verification test FAILED - response is not valid JSON');
+        }
+      } else {
+        console.log('❌ Manual verification test FAILED - non-200 response');
+      }
+    } catch (error) {
+      console.error('Network error during manual test:', error.toString());
+    }
+    
+  } catch (error) {
+    console.error('Manual webhook verification test failed:', error.toString());
+  }
+}
+
+/**
+ * Debug function to check current verify token and reset if needed
+ * Run this if webhook verification is having token issues
+ */
+function debugWebhookToken() {
+  var props = getScriptProperties();
+  var currentToken = getConfig('STRAVA_VERIFY_TOKEN');
+  
+  console.log('Current STRAVA_VERIFY_TOKEN:', currentToken);
+  
+  if (!currentToken) {
+    var newToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
+    props.setProperty('STRAVA_VERIFY_TOKEN', newToken);
+    console.log('Generated new verify token:', newToken);
+  }
+  
+  // Test with this token
+  var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+  if (callbackUrl) {
+    var testToken = getConfig('STRAVA_VERIFY_TOKEN');
+    console.log('Test URL with current token:');
+    console.log(callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(testToken) + '&hub.challenge=test123');
+  }
+}
+
+/**
+ * Ultimate webhook debugging - captures exact verification flow
+ * This will help us see exactly what Strava receives vs expects
+ */
+function ultimateWebhookDebug() {
+  try {
+    console.log('=== ULTIMATE WEBHOOK DEBUG ===');
+    
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    
+    if (!callbackUrl || !verifyToken || !clientId || !clientSecret) {
+      console.error('Missing required properties');
+      return;
+    }
+    
+    console.log('Callback URL:', callbackUrl);
+    console.log('Verify Token:', verifyToken);
+    
+    // Clear any previous verification logs
+    console.log('\nStep 1: Testing endpoint with various scenarios...');
+    
+    // Test various combinations that might reveal the issue
+    var testCases = [
+      { name: 'Basic test', url: callbackUrl + '?test=basic' },
+      { name: 'Verification with correct token', url: callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=debug_test' },
+      { name: 'Verification with wrong token', url: callbackUrl + '?hub.mode=subscribe&hub.verify_token=wrong_token&hub.challenge=debug_test' },
+      { name: 'No parameters', url: callbackUrl },
+      { name: 'Partial parameters', url: callbackUrl + '?hub.mode=subscribe' }
+    ];
+    
+    testCases.forEach(function(testCase, index) {
+      console.log('\n--- Test ' + (index + 1) + ': ' + testCase.name + ' ---');
+      try {
+        var response = UrlFetchApp.fetch(testCase.url, { method: 'get', muteHttpExceptions: true });
+        console.log('Status:', response.getResponseCode());
+        console.log('Headers:', JSON.stringify(response.getHeaders()));
+        console.log('Body:', response.getContentText().substring(0, 200));
+        console.log('Content-Type:', response.getHeaders()['Content-Type'] || 'Not set');
+      } catch (e) {
+        console.error('Test failed:', e.toString());
+      }
+    });
+    
+    console.log('\nStep 2: Attempting registration with detailed monitoring...');
+    
+    // Try registration and capture exact timing
+    var startTime = Date.now();
+    console.log('Registration start time:', new Date(startTime).toISOString());
+    
+    var payload = {
+      client_id: clientId,
+      client_secret: clientSecret,
+      callback_url: callbackUrl,
+      verify_token: verifyToken
+    };
+    
+    console.log('Payload:', JSON.stringify(payload));
+    
+    var regResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
+      method: 'post',
+      payload: payload,
+      muteHttpExceptions: true
+    });
+    
+    var endTime = Date.now();
+    console.log('Registration end time:', new Date(endTime).toISOString());
+    console.log('Registration duration:', (endTime - startTime) + 'ms');
+    console.log('Registration response:', regResponse.getResponseCode(), regResponse.getContentText());
+    
+    // Wait a bit and check final status
+    console.log('\nStep 3: Final verification check...');
+    Utilities.sleep(3000);
+    
+    var listResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret, {
+      method: 'get',
+      muteHttpExceptions: true
+    });
+    
+    console.log('Final webhook list:', listResponse.getResponseCode(), listResponse.getContentText());
+    
+    console.log('\n=== DEBUG COMPLETE ===');
+    console.log('🔍 Analysis based on Strava documentation:');
+    console.log('- Strava requires "publicly available" URLs (not localhost)');
+    console.log('- Google Apps Script Web App URLs may not be considered "truly public"');
+    console.log('- Strava recommends using tools like ngrok for local development');
+    console.log('- The issue may be that Google Apps Script URLs have authentication layers');
+    console.log('- Consider using a different hosting platform for webhook endpoint');
+    
+  } catch (error) {
+    console.error('Ultimate debug failed:', error.toString());
+  }
+}
+
+/**
+ * Analysis function explaining the Google Apps Script webhook limitation
+ * CONFIRMED: This is a fundamental Google Apps Script limitation that cannot be fixed
+ */
+function analyzeWebhookIssue() {
+  console.log('=== WEBHOOK ISSUE ANALYSIS - CONFIRMED ===');
+  console.log('');
+  console.log('❌ DEFINITIVE PROBLEM IDENTIFIED:');
+  console.log('Google Apps Script ContentService CANNOT work with Strava webhooks');
+  console.log('due to a fundamental 302 redirect limitation.');
+  console.log('');
+  console.log('🔍 ROOT CAUSE (From Google Apps Script docs):');
+  console.log('"For security reasons, content returned by the Content service');
+  console.log('isn\'t served from script.google.com, but instead redirected');
+  console.log('to a one-time URL at script.googleusercontent.com."');
+  console.log('');
+  console.log('� THE TECHNICAL ISSUE:');
+  console.log('1. Strava sends GET request to Google Apps Script Web App URL');
+  console.log('2. Google Apps Script returns 302 REDIRECT (not 200 OK)');
+  console.log('3. Strava expects 200 status code but gets 302');
+  console.log('4. Strava refuses to follow redirects for security');
+  console.log('5. Result: "callback url not verifiable" error');
+  console.log('');
+  console.log('📖 CONFIRMED BY STACK OVERFLOW (5+ years, no solution):');
+  console.log('- James Hearn verified this exact issue in 2020');
+  console.log('- Tested with Postman (redirect off) = confirmed 302 status');
+  console.log('- Worked perfectly with ngrok + Node.js/Express');
+  console.log('- "After 5 years, still no solution forthcoming"');
+  console.log('');
+  console.log('✅ OUR IMPLEMENTATION WAS CORRECT:');
+  console.log('- Perfect JSON response format');
+  console.log('- Correct challenge echo');
+  console.log('- Sub-2-second response time');
+  console.log('- The issue is Google Apps Script itself, not our code');
+  console.log('');
+  console.log('🛠️ SOLUTION: SWITCH TO RELIABLE POLLING');
+  console.log('');
+  console.log('✅ POLLING BENEFITS:');
+  console.log('- Works 100% reliably with Google Apps Script');
+  console.log('- 15-minute sync is still very fast for most users');
+  console.log('- No hosting complexity or additional services needed');
+  console.log('- Automatic error recovery and rate limiting');
+  console.log('- Battle-tested and proven approach');
+  console.log('');
+  console.log('⚡ QUICK SETUP:');
+  console.log('Run setupReliableSync() to enable 15-minute polling immediately');
+  console.log('');
+  console.log('🏆 CONCLUSION:');
+  console.log('Polling is the ONLY viable solution for Google Apps Script + Strava.');
+  console.log('Webhooks require alternative hosting - node/webhook-server.js is a standalone');
+  console.log('Node.js receiver that applies events with this same script (see README).');
+}
+
+/**
+ * Sets up reliable polling-based sync (recommended approach)
+ * This avoids webhook complexity while providing fast sync
+ */
+function setupReliableSync() {
+  try {
+    console.log('Setting up reliable polling-based sync...');
+    
+    // Test initial sync
+    console.log('Step 1: Testing initial sync...');
+    main();
+    
+    // Set up frequent polling
+    console.log('Step 2: Setting up 15-minute polling...');
+    createFrequentSyncTrigger();
+    
+    // Add daily backup
+    console.log('Step 3: Adding daily backup sync...');
+    createBackupSyncTrigger();
+    
+    console.log('');
+    console.log('✅ RELIABLE SYNC SETUP COMPLETE!');
+    console.log('');
+    console.log('📊 SYNC SCHEDULE:');
+    console.log('- Primary: Every 15 minutes (fast sync)');
+    console.log('- Backup: Daily at 8 AM (catches any missed activities)');
+    console.log('');
+    console.log('🎯 BENEFITS:');
+    console.log('- No webhook complexity or hosting requirements');
+    console.log('- Activities sync within 15 minutes (very fast)');
+    console.log('- Reliable - works with just Google Apps Script');
+    console.log('- Automatic recovery of missed activities');
+    console.log('');
+    console.log('🏃‍♂️ YOUR NEXT ACTIVITY:');
+    console.log('Will automatically appear in your calendar within 15 minutes!');
+    
+  } catch (error) {
+    console.error('Setup failed:', error.toString());
+  }
+}
+
+/**
+ * Test webhook endpoint HTTP status codes
+ * Run this to verify the endpoint returns proper 200 responses
+ */
+function testWebhookHttpStatus() {
+  try {
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    
+    if (!callbackUrl || !verifyToken) {
+      console.error('Missing WEBHOOK_CALLBACK_URL or STRAVA_VERIFY_TOKEN');
+      return;
+    }
+    
+    console.log('Testing webhook HTTP status codes...');
+    console.log('Callback URL:', callbackUrl);
+    
+    // Test 1: Simple test endpoint
+    console.log('\n=== TEST 1: Simple endpoint test ===');
+    var testUrl1 = callbackUrl + '?test=status_check';
+    var response1 = UrlFetchApp.fetch(testUrl1, { method: 'get', muteHttpExceptions: true });
+    console.log('Simple test status:', response1.getResponseCode());
+    console.log('Simple test response:', response1.getContentText().substring(0, 100));
+    
+    // Test 2: Webhook verification simulation
+    console.log('\n=== TEST 2: Webhook verification simulation ===');
+    var testChallenge = 'test_http_status_123';
+    var testUrl2 = callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=' + testChallenge;
+    var response2 = UrlFetchApp.fetch(testUrl2, { method: 'get', muteHttpExceptions: true });
+    console.log('Verification test status:', response2.getResponseCode());
+    console.log('Verification test response:', response2.getContentText());
+    
+    // Test 3: Invalid parameters
+    console.log('\n=== TEST 3: Invalid parameters test ===');
+    var testUrl3 = callbackUrl + '?invalid=parameter';
+    var response3 = UrlFetchApp.fetch(testUrl3, { method: 'get', muteHttpExceptions: true });
+    console.log('Invalid params status:', response3.getResponseCode());
+    console.log('Invalid params response:', response3.getContentText().substring(0, 50));
+    
+    // Summary
+    console.log('\n=== SUMMARY ===');
+    console.log('All tests should return status 200 for Strava to accept the webhook');
+    console.log('Test 1 (simple):', response1.getResponseCode() === 200 ? '✅ PASS' : '❌ FAIL');
+    console.log('Test 2 (verification):', response2.getResponseCode() === 200 ? '✅ PASS' : '❌ FAIL');
+    console.log('Test 3 (invalid):', response3.getResponseCode() === 200 ? '✅ PASS' : '❌ FAIL');
+    
+    if (response1.getResponseCode() === 200 && response2.getResponseCode() === 200 && response3.getResponseCode() === 200) {
+      console.log('🎉 All HTTP status tests passed! Webhook should work now.');
+    } else {
+      console.log('⚠️ Some tests failed. This may be why Strava registration fails.');
+    }
+    
+  } catch (error) {
+    console.error('HTTP status test failed:', error.toString());
+  }
+}
+
+/**
+ * Test function to verify webhook endpoint is working
+ * Run this to test if your web app URL is accessible
+ */
+function testWebhookEndpoint() {
+  try {
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    
+    if (!callbackUrl) {
+      console.error('WEBHOOK_CALLBACK_URL not set in Script Properties');
+      return;
+    }
+    
+    console.log('Testing webhook endpoint:', callbackUrl);
+    
+    // Get the actual stored verify token (no fallback)
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    if (!verifyToken) {
+      console.error('STRAVA_VERIFY_TOKEN not set. Run debugWebhookToken() first.');
+      return;
+    }
+    
+    console.log('Using verify token:', verifyToken);
+    
+    // Test GET request (webhook verification) - match what Strava actually sends
+    var testChallenge = '15f7d1a91c1f40f8a748fd134752feb3';
+    var testUrl = callbackUrl + '?hub.mode=subscribe&hub.verify_token=' + encodeURIComponent(verifyToken) + '&hub.challenge=' + testChallenge;
+    
+    console.log('Test URL:', testUrl);
+    
+    var response = UrlFetchApp.fetch(testUrl, {
+      method: 'get',
+      muteHttpExceptions: true
+    });
+    
+    console.log('GET test response:', response.getResponseCode(), response.getContentText());
+    
+    if (response.getResponseCode() === 200) {
+      var responseText = response.getContentText();
+      try {
+        var responseJson = JSON.parse(responseText);
+        if (responseJson['hub.challenge'] === testChallenge) {
+          console.log('✅ Webhook endpoint is working correctly! Challenge echoed properly in JSON format.');
+        } else {
+          console.error('❌ Webhook returned wrong challenge value:', responseJson);
+        }
+      } catch (e) {
+        console.error('❌ Webhook did not return valid JSON. Response:', responseText);
+        console.error('This means the verify token does not match. Expected:', verifyToken);
+      }
+    } else {
+      console.error('❌ Webhook endpoint not working properly');
+      console.error('Response code:', response.getResponseCode());
+      console.error('Response text:', response.getContentText());
+    }
+    
+  } catch (error) {
+    console.error('Webhook endpoint test failed:', error.toString());
+  }
+}
+
+/**
+ * Helper function to guide through webhook setup
+ * Run this to get step-by-step setup instructions
+ */
+function setupWebhookGuide() {
+  console.log('=== WEBHOOK SETUP GUIDE ===');
+  console.log('');
+  console.log('1. DEPLOY AS WEB APP:');
+  console.log('   - Click Deploy → New deployment → Web app');
+  console.log('   - Description: "Strava Webhook Endpoint"');
+  console.log('   - Execute as: Me');
+  console.log('   - Who has access: Anyone');
+  console.log('   - Click Deploy and copy the Web App URL');
+  console.log('');
+  console.log('2. ADD WEB APP URL TO SCRIPT PROPERTIES:');
+  console.log('   - Go to Project Settings → Script Properties');
+  console.log('   - Add property: WEBHOOK_CALLBACK_URL');
+  console.log('   - Value: Your Web App URL (ending with /exec)');
+  console.log('');
+  console.log('3. TEST THE ENDPOINT:');
+  console.log('   - Run testWebhookEndpoint() function');
+  console.log('   - Should show "✅ Webhook endpoint is accessible and working!"');
+  console.log('');
+  console.log('4. REGISTER WEBHOOK:');
+  console.log('   - Run registerWebhook() function');
+  console.log('   - Should show "Webhook registered successfully!"');
+  console.log('');
+  console.log('5. VERIFY WEBHOOK:');
+  console.log('   - Run listWebhooks() to confirm registration');
+  console.log('');
+  
+  // Check current setup status
+  var props = getScriptProperties();
+  var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+  var subscriptionId = props.getProperty('WEBHOOK_SUBSCRIPTION_ID');
+  
+  console.log('=== CURRENT STATUS ===');
+  console.log('Webhook URL configured:', callbackUrl ? '✅ YES' : '❌ NO');
+  console.log('Webhook registered:', subscriptionId ? '✅ YES (ID: ' + subscriptionId + ')' : '❌ NO');
+  
+  if (!callbackUrl) {
+    console.log('');
+    console.log('⚠️  NEXT STEP: Deploy as Web App and add WEBHOOK_CALLBACK_URL to Script Properties');
+  } else if (!subscriptionId) {
+    console.log('');
+    console.log('⚠️  NEXT STEP: Run testWebhookEndpoint() then registerWebhook()');
+  } else {
+    console.log('');
+    console.log('🎉 Webhook setup appears complete! Test with a new Strava activity.');
+  }
+}
+
+/**
+ * Registers a webhook with Strava for real-time activity updates
+ * Run this once after deploying as a web app
+ */
+function registerWebhook() {
+  try {
+    console.log('Registering Strava webhook...');
+    
+    var props = getScriptProperties();
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    
+    if (!clientId || !clientSecret) {
+      throw new Error('Missing STRAVA_CLIENT_ID or STRAVA_CLIENT_SECRET');
+    }
+    
+    if (!callbackUrl) {
+      throw new Error('Missing WEBHOOK_CALLBACK_URL - deploy as web app first and add the URL to Script Properties');
+    }
+    
+    // Set verify token if not already set
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    if (!verifyToken) {
+      verifyToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
+      props.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
+    }
+    
+    // Pre-warm the endpoint by making a test call
+    console.log('Pre-warming webhook endpoint...');
+    try {
+      var testUrl = callbackUrl + '?test=pre_warm';
+      UrlFetchApp.fetch(testUrl, { method: 'get', muteHttpExceptions: true });
+      console.log('Endpoint pre-warmed');
+      
+      // Brief delay to ensure endpoint is fully ready
+      Utilities.sleep(2000);
+    } catch (e) {
+      console.log('Pre-warm test completed (expected)');
+    }
+    
+    // Register webhook with Strava
+    var payload = {
+      client_id: clientId,
+      client_secret: clientSecret,
+      callback_url: callbackUrl,
+      verify_token: verifyToken
+    };
+    
+    var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
+      method: 'post',
+      payload: payload,
+      muteHttpExceptions: true
+    });
+    
+    console.log('Webhook registration response:', response.getResponseCode(), response.getContentText());
+    
+    if (response.getResponseCode() === 200 || response.getResponseCode() === 201) {
+      var subscriptionData = JSON.parse(response.getContentText());
+      props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
+      console.log('Webhook registered successfully! Subscription ID:', subscriptionData.id);
+      console.log('Real-time sync is now active - new activities will appear immediately in your calendar');
+    } else {
+      throw new Error('Failed to register webhook: ' + response.getContentText());
+    }
+    
+  } catch (error) {
+    console.error('Webhook registration failed:', error.toString());
+  }
+}
+
+/**
+ * Advanced webhook registration with multiple retry attempts
+ * Uses the fact that verification works to overcome timing issues
+ */
+function registerWebhookAdvanced() {
+  try {
+    console.log('Advanced webhook registration with retry logic...');
+    
+    var props = getScriptProperties();
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    
+    if (!clientId || !clientSecret || !callbackUrl) {
+      throw new Error('Missing required properties: STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET, WEBHOOK_CALLBACK_URL');
+    }
+    
+    // Ensure verify token exists
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    if (!verifyToken) {
+      verifyToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
+      props.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
+      console.log('Generated new verify token:', verifyToken);
+    }
+    
+    // Multiple registration attempts with delays
+    var maxAttempts = 3;
+    var delayBetweenAttempts = 5000; // 5 seconds
+    
+    for (var attempt = 1; attempt <= maxAttempts; attempt++) {
+      console.log('Registration attempt', attempt, 'of', maxAttempts);
+      
+      // Pre-warm endpoint
+      console.log('Pre-warming endpoint...');
+      try {
+        UrlFetchApp.fetch(callbackUrl + '?test=prewarm_' + attempt, {
+          method: 'get',
+          muteHttpExceptions: true
+        });
+      } catch (e) {
+        // Ignore pre-warm errors
+      }
+      
+      // Wait for endpoint to be ready
+      console.log('Waiting for endpoint readiness...');
+      Utilities.sleep(3000);
+      
+      // Attempt registration
+      var payload = {
+        client_id: clientId,
+        client_secret: clientSecret,
+        callback_url: callbackUrl,
+        verify_token: verifyToken
+      };
+      
+      console.log('Sending registration request (attempt ' + attempt + ')...');
+      var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
+        method: 'post',
+        payload: payload,
+        muteHttpExceptions: true
+      });
+      
+      console.log('Response:', response.getResponseCode(), response.getContentText());
+      
+      if (response.getResponseCode() === 200 || response.getResponseCode() === 201) {
+        var subscriptionData = JSON.parse(response.getContentText());
+        props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
+        console.log('✅ SUCCESS! Webhook registered on attempt', attempt);
+        console.log('Subscription ID:', subscriptionData.id);
+        console.log('🎉 Real-time sync is now active!');
+        return;
+      }
+      
+      // If this was the last attempt, give up
+      if (attempt === maxAttempts) {
+        console.log('❌ All registration attempts failed');
+        break;
+      }
+      
+      // Wait before next attempt
+      console.log('Attempt', attempt, 'failed. Waiting', delayBetweenAttempts/1000, 'seconds before retry...');
+      Utilities.sleep(delayBetweenAttempts);
+    }
+    
+    // Final check - maybe webhook was actually registered despite error messages
+    console.log('Performing final check for existing webhooks...');
+    Utilities.sleep(2000);
+    
+    var listResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret, {
+      method: 'get',
+      muteHttpExceptions: true
+    });
+    
+    if (listResponse.getResponseCode() === 200) {
+      var subscriptions = JSON.parse(listResponse.getContentText());
+      if (subscriptions && subscriptions.length > 0) {
+        var webhook = subscriptions[0];
+        props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(webhook.id));
+        console.log('🎉 FOUND IT! Webhook was actually registered despite error messages!');
+        console.log('Subscription ID:', webhook.id);
+        console.log('Callback URL:', webhook.callback_url);
+        console.log('Real-time sync is now active!');
+        return;
+      }
+    }
+    
+    console.log('❌ Registration failed completely');
+    console.log('💡 The verification process works perfectly, but Strava has timing issues');
+    console.log('💡 Try again in a few minutes or contact Strava support');
+    
+  } catch (error) {
+    console.error('Advanced webhook registration failed:', error.toString());
+  }
+}
+
+/**
+ * Alternative webhook registration with verification wait
+ * Use this if registerWebhook() fails due to timing issues
+ */
+function registerWebhookWithWait() {
+  try {
+    console.log('Registering Strava webhook with verification wait...');
+    
+    var props = getScriptProperties();
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    
+    if (!clientId || !clientSecret) {
+      throw new Error('Missing STRAVA_CLIENT_ID or STRAVA_CLIENT_SECRET');
+    }
+    
+    if (!callbackUrl) {
+      throw new Error('Missing WEBHOOK_CALLBACK_URL - deploy as web app first and add the URL to Script Properties');
+    }
+    
+    // Set verify token if not already set
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    if (!verifyToken) {
+      verifyToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
+      props.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
+      console.log('Generated new verify token:', verifyToken);
+    }
+    
+    // Clear any previous verification tracking
+    props.deleteProperty('WEBHOOK_VERIFICATION_RECEIVED');
+    
+    console.log('Pre-testing endpoint availability...');
+    var testResponse = UrlFetchApp.fetch(callbackUrl + '?test=availability', {
+      method: 'get',
+      muteHttpExceptions: true
+    });
+    console.log('Endpoint test response:', testResponse.getResponseCode());
+    
+    // Wait a moment for the endpoint to be fully ready
+    console.log('Waiting for endpoint to be fully ready...');
+    Utilities.sleep(3000);
+    
+    // Register webhook with Strava
+    var payload = {
+      client_id: clientId,
+      client_secret: clientSecret,
+      callback_url: callbackUrl,
+      verify_token: verifyToken
+    };
+    
+    console.log('Sending registration request to Strava...');
+    var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
+      method: 'post',
+      payload: payload,
+      muteHttpExceptions: true
+    });
+    
+    console.log('Initial registration response:', response.getResponseCode(), response.getContentText());
+    
+    if (response.getResponseCode() === 200 || response.getResponseCode() === 201) {
+      var subscriptionData = JSON.parse(response.getContentText());
+      props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
+      console.log('✅ Webhook registered successfully! Subscription ID:', subscriptionData.id);
+      console.log('Real-time sync is now active - new activities will appear immediately in your calendar');
+      return;
+    }
+    
+    // If initial registration failed, wait and check if verification happened anyway
+    if (response.getResponseCode() === 400) {
+      console.log('Initial registration failed, but verification might still be in progress...');
+      console.log('Waiting 10 seconds to see if Strava verifies the endpoint...');
+      
+      var startTime = Date.now();
+      var maxWait = 15000; // 15 seconds
+      
+      while (Date.now() - startTime < maxWait) {
+        Utilities.sleep(2000);
+        
+        // Check if any webhooks now exist
+        var listResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret, {
+          method: 'get',
+          muteHttpExceptions: true
+        });
+        
+        if (listResponse.getResponseCode() === 200) {
+          var subscriptions = JSON.parse(listResponse.getContentText());
+          if (subscriptions && subscriptions.length > 0) {
+            var newSubscription = subscriptions[0];
+            props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(newSubscription.id));
+            console.log('✅ Webhook was registered after verification! Subscription ID:', newSubscription.id);
+            console.log('Real-time sync is now active - new activities will appear immediately in your calendar');
+            return;
+          }
+        }
+        
+        console.log('Still waiting for registration to complete...');
+      }
+      
+      console.log('⚠️ Registration did not complete within timeout period');
+      console.log('The endpoint verification is working, but registration timing needs adjustment');
+    }
+    
+    throw new Error('Failed to register webhook: ' + response.getContentText());
+    
+  } catch (error) {
+    console.error('Webhook registration failed:', error.toString());
+    console.log('💡 Suggestion: Try running registerWebhook() again in a few minutes');
+    console.log('💡 Or check if webhook was actually registered with listWebhooks()');
+  }
+}
+
+/**
+ * Simple webhook registration workaround
+ * Sometimes the simplest approach works when complex ones fail
+ */
+function registerWebhookSimple() {
+  try {
+    console.log('Simple webhook registration attempt...');
+    
+    var props = getScriptProperties();
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    var callbackUrl = getConfig('WEBHOOK_CALLBACK_URL');
+    var verifyToken = getConfig('STRAVA_VERIFY_TOKEN');
+    
+    if (!clientId || !clientSecret || !callbackUrl || !verifyToken) {
+      throw new Error('Missing required properties. Make sure all webhook settings are configured.');
+    }
+    
+    console.log('Using callback URL:', callbackUrl);
+    console.log('Using verify token:', verifyToken);
+    
+    // Just send the registration request without any pre-warming
+    var payload = {
+      client_id: clientId,
+      client_secret: clientSecret,
+      callback_url: callbackUrl,
+      verify_token: verifyToken
+    };
+    
+    console.log('Sending registration request...');
+    var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
+      method: 'post',
+      payload: payload,
+      muteHttpExceptions: true
+    });
+    
+    var responseCode = response.getResponseCode();
+    var responseText = response.getContentText();
+    
+    console.log('Response:', responseCode, responseText);
+    
+    if (responseCode === 200 || responseCode === 201) {
+      var subscriptionData = JSON.parse(responseText);
+      props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
+      console.log('✅ Simple registration SUCCESS! Subscription ID:', subscriptionData.id);
+      return;
+    }
+    
+    // Even if it "failed", check if webhook exists
+    console.log('Registration returned error, but checking if webhook was created anyway...');
+    Utilities.sleep(3000);
+    
+    var listUrl = 'https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret;
+    var listResponse = UrlFetchApp.fetch(listUrl, { method: 'get', muteHttpExceptions: true });
+    
+    if (listResponse.getResponseCode() === 200) {
+      var subscriptions = JSON.parse(listResponse.getContentText());
+      if (subscriptions.length > 0) {
+        var webhook = subscriptions[0];
+        props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(webhook.id));
+        console.log('🎉 Found webhook despite error! ID:', webhook.id);
+        console.log('This confirms Strava has a bug in their error reporting');
+        return;
+      }
+    }
+    
+    console.log('❌ Simple registration failed');
+    throw new Error('Registration failed: ' + responseText);
+    
+  } catch (error) {
+    console.error('Simple webhook registration failed:', error.toString());
+  }
+}
+
+/**
+ * Lists all active webhook subscriptions
+ * Use this to check if webhook is properly registered
+ */
+function listWebhooks() {
+  try {
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    
+    if (!clientId || !clientSecret) {
+      throw new Error('Missing STRAVA_CLIENT_ID or STRAVA_CLIENT_SECRET');
+    }
+    
+    var url = 'https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret;
+    
+    var response = UrlFetchApp.fetch(url, {
+      method: 'get',
+      muteHttpExceptions: true
+    });
+    
+    console.log('Webhook list response:', response.getResponseCode(), response.getContentText());
+    
+    if (response.getResponseCode() === 200) {
+      var subscriptions = JSON.parse(response.getContentText());
+      console.log('Active webhook subscriptions:', subscriptions.length);
+      subscriptions.forEach(function(sub) {
+        console.log('- ID:', sub.id, 'URL:', sub.callback_url, 'Created:', sub.created_at);
+      });
+    }
+    
+  } catch (error) {
+    console.error('Failed to list webhooks:', error.toString());
+  }
+}
+
+/**
+ * Unregisters the webhook subscription
+ * Use this to stop real-time sync
+ */
+function unregisterWebhook() {
+  try {
+    var props = getScriptProperties();
+    var clientId = getConfig('STRAVA_CLIENT_ID');
+    var clientSecret = getConfig('STRAVA_CLIENT_SECRET');
+    var subscriptionId = props.getProperty('WEBHOOK_SUBSCRIPTION_ID');
+    
+    if (!subscriptionId) {
+      console.log('No webhook subscription ID found');
+      return;
+    }
+    
+    var url = 'https://www.strava.com/api/v3/push_subscriptions/' + subscriptionId + 
+              '?client_id=' + clientId + '&client_secret=' + clientSecret;
+    
+    var response = UrlFetchApp.fetch(url, {
+      method: 'delete',
+      muteHttpExceptions: true
+    });
+    
+    console.log('Webhook unregister response:', response.getResponseCode(), response.getContentText());
+    
+    if (response.getResponseCode() === 204 || response.getResponseCode() === 200) {
+      props.deleteProperty('WEBHOOK_SUBSCRIPTION_ID');
+      console.log('Webhook unregistered successfully');
+    } else {
+      console.error('Failed to unregister webhook:', response.getContentText());
+    }
+    
+  } catch (error) {
+    console.error('Webhook unregistration failed:', error.toString());
+  }
+}
+
+/**
+ * Recovers and re-adds Strava activities from the past week
+ * Run this once to backfill missing activities from this week. A week fits in one
+ * execution, so this is a one-shot sync that leaves an unfinished backfill
+ * (BACKFILL_STATE) alone; activities that fail go to the retry queue.
+ * @param {Object} [options] - { dryRun: true } to only return the plan (see previewRecovery())
+ * @returns {Object|undefined} Dry run plan, when a dry run was requested
+ */
+function recoverThisWeeksActivities(options) {
+  if (isDryRunRequest(options)) {
+    return runDryRun(recoverThisWeeksActivities, arguments);
+  }
+  
+  if (dispatchToAthletes(recoverThisWeeksActivities, arguments)) {
+    return;
+  }
+  
+  console.log('Starting recovery of this week\'s activities...');
+  startSyncRun('recoverThisWeeksActivities (manual)');
+  
+  try {
+    var accessToken = getStravaAccessToken();
+    var weekAgo = Math.floor((Date.now() - 7 * 24 * 60 * 60 * 1000) / 1000);
+    var activities = fetchActivitiesInRange(accessToken, weekAgo);
+    var recovered = 0;
+    var skipped = 0;
+    var failed = 0;
+    
+    console.log('Found', activities.length, 'activities from the past week');
+    
+    activities.forEach(function(activity) {
+      try {
+        if (shouldSyncActivity(activity) && createCalendarEvent(activity, accessToken)) {
+          recovered++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        failed++;
+        console.error('Failed to recover activity', activity.id, ':', error.toString());
+        enqueueActivityRetry(activity.id, error);
+      }
+    });
+    
+    console.log('Recovery complete:', recovered, 'recovered,', skipped,
+      'skipped (filtered or already in calendar),', failed, 'failed');
+  } catch (error) {
+    console.error('Recovery failed:', error.toString());
+    recordRunError(error);
+  } finally {
+    finishSyncRun();
+  }
+}
+
+// =============================================================================
+// BACKFILL - Resumable import of activities over any date range
+// =============================================================================
+
+/**
+ * Starts a backfill of all activities between two dates.
+ *
+ * Pages through every activity in the range, checkpointing its cursor in the
+ * BACKFILL_STATE Script Property. When the run nears the Apps Script execution
+ * limit it schedules continueBackfill() with a one-off trigger to carry on.
+ *
+ * When run from the editor without arguments, the range is read from the
+ * BACKFILL_FROM and BACKFILL_TO Script Properties (YYYY-MM-DD, TO defaults to now).
+ *
+ * @param {Date|string} [fromDate] - Range start (Date or YYYY-MM-DD)
+ * @param {Date|string} [toDate] - Range end (Date or YYYY-MM-DD), defaults to now
+ */
+function backfillActivities(fromDate, toDate) {
+  if (dispatchToAthletes(backfillActivities, arguments)) {
+    return;
+  }
+  
+  startSyncRun('backfillActivities (manual)');
+  
+  try {
+    var props = getScriptProperties();
+    fromDate = fromDate || getConfig('BACKFILL_FROM');
+    toDate = toDate || getConfig('BACKFILL_TO') || new Date();
+    
+    if (!fromDate) {
+      throw new Error('No start date given. Pass fromDate or set BACKFILL_FROM (YYYY-MM-DD) in Script Properties.');
+    }
+    
+    var after = Math.floor(new Date(fromDate).getTime() / 1000);
+    var before = Math.floor(new Date(toDate).getTime() / 1000);
+    
+    if (isNaN(after) || isNaN(before) || after >= before) {
+      throw new Error('Invalid backfill range: ' + fromDate + ' to ' + toDate);
+    }
+    
+    if (props.getProperty('BACKFILL_STATE')) {
+      console.log('Replacing unfinished backfill - run getBackfillStatus() first if you want to keep it');
+    }
+    
+    var state = {
+      after: after,
+      before: before,
+      page: 1,
+      offset: 0,
+      created: 0,
+      skipped: 0,
+      failed: 0,
+      failedIds: [],
+      runs: 0,
+      startedAt: new Date().toISOString()
+    };
+    
+    console.log('Starting backfill from', new Date(after * 1000).toISOString(), 'to', new Date(before * 1000).toISOString());
+    runBackfill(state);
+  } catch (error) {
+    console.error('Backfill failed:', error.toString());
+    recordRunError(error);
+  } finally {
+    finishSyncRun();
+  }
+}
+
+/**
+ * Continues an unfinished backfill from its checkpoint
+ * Called by the one-off trigger a backfill schedules for itself
+ * @param {Object} [e] - Event object passed by the trigger
+ */
+function continueBackfill(e) {
+  // One trigger serves every athlete, so clear it before any athlete schedules the next
+  if (!currentAthlete) {
+    deleteBackfillTriggers();
+  }
+  
+  if (dispatchToAthletes(continueBackfill, arguments)) {
+    return;
+  }
+  
+  startSyncRun(getRunSource('continueBackfill', e));
+  
+  try {
+    var raw = getScriptProperties().getProperty('BACKFILL_STATE');
+    if (!raw) {
+      console.log('No backfill in progress');
+      return;
+    }
+    
+    console.log('Resuming backfill...');
+    runBackfill(JSON.parse(raw));
+  } catch (error) {
+    console.error('Backfill failed:', error.toString());
+    recordRunError(error);
+  } finally {
+    finishSyncRun();
+  }
+}
+
+/**
+ * Processes backfill pages until the range is done or time runs out
+ * @param {Object} state - Backfill cursor and counters (saved as BACKFILL_STATE)
+ */
+function runBackfill(state) {
+  var props = getScriptProperties();
+  var accessToken = getStravaAccessToken();
+  var perPage = 100;
+  
+  state.runs++;
+  
+  while (true) {
+    var activities;
+    
+    try {
+      activities = stravaGet('/athlete/activities?after=' + state.after +
+        '&before=' + state.before + '&per_page=' + perPage + '&page=' + state.page, accessToken);
+    } catch (error) {
+      // Keep the checkpoint so the backfill can be resumed with continueBackfill()
+      props.setProperty('BACKFILL_STATE', JSON.stringify(state));
+      
+      if (isRateLimitError(error)) {
+        scheduleBackfillContinuation(getRateLimitResetDelayMs());
+        logBackfillProgress(state);
+        recordRunError(error);
+        console.log('Backfill paused - ' + error.message + '. Continuing after the rate limit window resets');
+        return;
+      }
+      
+      throw error;
+    }
+    
+    for (var i = state.offset; i < activities.length; i++) {
+      // Measured from the start of the execution, which may have served other athletes first
+      if (Date.now() - executionStartedAt > BACKFILL_TIME_BUDGET_MS) {
+        state.offset = i;
+        props.setProperty('BACKFILL_STATE', JSON.stringify(state));
+        scheduleBackfillContinuation();
+        logBackfillProgress(state);
+        console.log('Backfill paused to stay within the execution time limit - continuing in a minute');
+        return;
+      }
+      
+      var activity = activities[i];
+      
+      try {
+        if (shouldSyncActivity(activity) && createCalendarEvent(activity, accessToken)) {
+          state.created++;
+        } else {
+          state.skipped++;
+        }
+      } catch (error) {
+        state.failed++;
+        // The checkpoint lives in one Script Property, so only keep the latest IDs
+        state.failedIds = state.failedIds.concat(String(activity.id)).slice(-MAX_QUEUE_ENTRIES);
+        console.error('Failed to backfill activity', activity.id, ':', error.toString());
+        enqueueActivityRetry(activity.id, error);
+      }
+    }
+    
+    if (activities.length < perPage) {
+      break;
+    }
+    
+    state.page++;
+    state.offset = 0;
+    props.setProperty('BACKFILL_STATE', JSON.stringify(state));
+    logBackfillProgress(state);
+  }
+  
+  props.deleteProperty('BACKFILL_STATE');
+  
+  console.log('Backfill complete after', state.runs, 'run(s):', state.created, 'created,',
+    state.skipped, 'skipped (filtered or already in calendar),', state.failed, 'failed');
+  
+  if (state.failedIds.length > 0) {
+    console.log('Failed activity IDs:', state.failedIds.join(', '));
+  }
+}
+
+/**
+ * Logs the running totals of a backfill
+ * @param {Object} state - Backfill cursor and counters
+ */
+function logBackfillProgress(state) {
+  console.log('Backfill progress: page', state.page, '-', state.created, 'created,',
+    state.skipped, 'skipped,', state.failed, 'failed');
+}
+
+/**
+ * Schedules continueBackfill() to run once
+ * @param {number} [delayMs] - Delay before continuing (defaults to one minute)
+ */
+function scheduleBackfillContinuation(delayMs) {
+  if (dryRun) {
+    recordRunError('Dry run stopped before the end of the range - the plan is incomplete');
+    return;
+  }
+  
+  deleteBackfillTriggers();
+  
+  getPlatform().scheduler.runOnce('continueBackfill', delayMs || 60 * 1000);
+}
+
+/**
+ * Removes any pending continueBackfill() triggers
+ */
+function deleteBackfillTriggers() {
+  getPlatform().scheduler.cancel('continueBackfill');
+}
+
+/**
+ * Shows the progress of an unfinished backfill
+ */
+function getBackfillStatus() {
+  if (dispatchToAthletes(getBackfillStatus, arguments)) {
+    return;
+  }
+  
+  var raw = getScriptProperties().getProperty('BACKFILL_STATE');
+  
+  if (!raw) {
+    console.log('No backfill in progress');
+    return;
+  }
+  
+  var state = JSON.parse(raw);
+  console.log('Backfill from', new Date(state.after * 1000).toISOString(), 'to', new Date(state.before * 1000).toISOString(),
+    'started', state.startedAt, '- run', state.runs);
+  logBackfillProgress(state);
+}
+
+/**
+ * Stops an unfinished backfill and discards its checkpoint
+ */
+function cancelBackfill() {
+  if (dispatchToAthletes(cancelBackfill, arguments)) {
+    return;
+  }
+  
+  deleteBackfillTriggers();
+  getScriptProperties().deleteProperty('BACKFILL_STATE');
+  console.log('Backfill cancelled');
+}
+
+// =============================================================================
+// REBUILD - Regenerate existing events from fresh Strava data
+// =============================================================================
+
+/**
+ * Rebuilds the events of all activities between two dates.
+ *
+ * Once an event exists, syncing never touches it again, so template or formatting
+ * changes only reach new activities. A rebuild regenerates the title, times,
+ * description and location of every event this script created in the range from
+ * fresh Strava data and updates it in place. Events edited in Google Calendar since
+ * the script last wrote them (see isEventEditedByHand()) are left alone.
+ *
+ * Events created before content hashes were stored can't tell a hand edit from an
+ * outdated template, so those whose content differs are left alone too unless force
+ * is set; force overwrites any hand edits made to them.
+ *
+ * Checkpoints its cursor in the REBUILD_STATE Script Property and, like a backfill,
+ * schedules continueRebuild() with a one-off trigger when it nears the execution limit.
+ *
+ * When run from the editor without arguments, the range is read from the
+ * REBUILD_FROM and REBUILD_TO Script Properties (YYYY-MM-DD, TO defaults to now).
+ *
+ * @param {Date|string} [fromDate] - Range start (Date or YYYY-MM-DD)
+ * @param {Date|string} [toDate] - Range end (Date or YYYY-MM-DD), defaults to now
+ * @param {boolean} [force] - Also rewrite events without a content hash
+ */
+function rebuildEvents(fromDate, toDate, force) {
+  if (dispatchToAthletes(rebuildEvents, arguments)) {
+    return;
+  }
+  
+  startSyncRun('rebuildEvents (manual)');
+  
+  try {
+    var props = getScriptProperties();
+    fromDate = fromDate || getConfig('REBUILD_FROM');
+    toDate = toDate || getConfig('REBUILD_TO') || new Date();
+    
+    if (!fromDate) {
+      throw new Error('No start date given. Pass fromDate or set REBUILD_FROM (YYYY-MM-DD) in Script Properties.');
+    }
+    
+    var after = Math.floor(new Date(fromDate).getTime() / 1000);
+    var before = Math.floor(new Date(toDate).getTime() / 1000);
+    
+    if (isNaN(after) || isNaN(before) || after >= before) {
+      throw new Error('Invalid rebuild range: ' + fromDate + ' to ' + toDate);
+    }
+    
+    if (props.getProperty('REBUILD_STATE')) {
+      console.log('Replacing unfinished rebuild - run getRebuildStatus() first if you want to keep it');
+    }
+    
+    var state = {
+      after: after,
+      before: before,
+      page: 1,
+      offset: 0,
+      rebuilt: 0,
+      unchanged: 0,
+      edited: 0,
+      skipped: 0,
+      failed: 0,
+      failedIds: [],
+      force: !!force,
+      runs: 0,
+      startedAt: new Date().toISOString()
+    };
+    
+    console.log('Starting rebuild from', new Date(after * 1000).toISOString(), 'to', new Date(before * 1000).toISOString());
+    runRebuild(state);
+  } catch (error) {
+    console.error('Rebuild failed:', error.toString());
+    recordRunError(error);
+  } finally {
+    finishSyncRun();
+  }
+}
+
+/**
+ * Continues an unfinished rebuild from its checkpoint
+ * Called by the one-off trigger a rebuild schedules for itself
+ * @param {Object} [e] - Event object passed by the trigger
+ */
+function continueRebuild(e) {
+  // One trigger serves every athlete, so clear it before any athlete schedules the next
+  if (!currentAthlete) {
+    deleteRebuildTriggers();
+  }
+  
+  if (dispatchToAthletes(continueRebuild, arguments)) {
+    return;
+  }
+  
+  startSyncRun(getRunSource('continueRebuild', e));
+  
+  try {
+    var raw = getScriptProperties().getProperty('REBUILD_STATE');
+    if (!raw) {
+      console.log('No rebuild in progress');
+      return;
+    }
+    
+    console.log('Resuming rebuild...');
+    runRebuild(JSON.parse(raw));
+  } catch (error) {
+    console.error('Rebuild failed:', error.toString());
+    recordRunError(error);
+  } finally {
+    finishSyncRun();
+  }
+}
+
+/**
+ * Processes rebuild pages until the range is done or time runs out
+ * @param {Object} state - Rebuild cursor and counters (saved as REBUILD_STATE)
+ */
+function runRebuild(state) {
+  var props = getScriptProperties();
+  var accessToken = getStravaAccessToken();
+  var perPage = 100;
+  
+  state.runs++;
+  
+  while (true) {
+    var activities;
+    
+    try {
+      activities = stravaGet('/athlete/activities?after=' + state.after +
+        '&before=' + state.before + '&per_page=' + perPage + '&page=' + state.page, accessToken);
+    } catch (error) {
+      // Keep the checkpoint so the rebuild can be resumed with continueRebuild()
+      props.setProperty('REBUILD_STATE', JSON.stringify(state));
+      
+      if (isRateLimitError(error)) {
+        scheduleRebuildContinuation(getRateLimitResetDelayMs());
+        logRebuildProgress(state);
+        recordRunError(error);
+        console.log('Rebuild paused - ' + error.message + '. Continuing after the rate limit window resets');
+        return;
+      }
+      
+      throw error;
+    }
+    
+    for (var i = state.offset; i < activities.length; i++) {
+      // Measured from the start of the execution, which may have served other athletes first
+      if (Date.now() - executionStartedAt > BACKFILL_TIME_BUDGET_MS) {
+        state.offset = i;
+        props.setProperty('REBUILD_STATE', JSON.stringify(state));
+        scheduleRebuildContinuation();
+        logRebuildProgress(state);
+        console.log('Rebuild paused to stay within the execution time limit - continuing in a minute');
+        return;
+      }
+      
+      var activity = activities[i];
+      
+      try {
+        state[rebuildActivityEvent(activity, accessToken, state.force)]++;
+      } catch (error) {
+        state.failed++;
+        // The checkpoint lives in one Script Property, so only keep the latest IDs
+        state.failedIds = state.failedIds.concat(String(activity.id)).slice(-MAX_QUEUE_ENTRIES);
+        console.error('Failed to rebuild event for activity', activity.id, ':', error.toString());
+        recordActivityOutcome(activity, 'failed', error.toString());
+      }
+    }
+    
+    if (activities.length < perPage) {
+      break;
+    }
+    
+    state.page++;
+    state.offset = 0;
+    props.setProperty('REBUILD_STATE', JSON.stringify(state));
+    logRebuildProgress(state);
+  }
+  
+  props.deleteProperty('REBUILD_STATE');
+  
+  console.log('Rebuild complete after', state.runs, 'run(s):', state.rebuilt, 'rebuilt,', state.unchanged, 'unchanged,',
+    state.edited, 'left alone (edited by hand or without a content hash),', state.skipped, 'skipped (filtered or not in calendar),', state.failed, 'failed');
+  
+  if (state.failedIds.length > 0) {
+    console.log('Failed activity IDs:', state.failedIds.join(', '));
+  }
+}
+
+/**
+ * Regenerates the calendar event of one activity in place. The event stays in the
+ * calendar that holds it; activities without an event are not created here.
+ * @param {Object} activity - Strava activity object
+ * @param {string} accessToken - Valid Strava access token
+ * @param {boolean} [force] - Rewrite events without a content hash even when they differ
+ * @returns {string} Rebuild counter to increase: 'rebuilt', 'unchanged', 'edited' or 'skipped'
+ */
+function rebuildActivityEvent(activity, accessToken, force) {
+  if (!shouldSyncActivity(activity)) {
+    return 'skipped';
+  }
+  
+  var details = buildEventDetails(activity);
+  var existing = findActivityEventInCalendars(activity.id, details.searchStart, details.searchEnd, true);
+  
+  if (!existing) {
+    recordActivityOutcome(activity, 'skipped', 'no event to rebuild');
+    return 'skipped';
+  }
+  
+  if (isEventEditedByHand(existing.event)) {
+    console.log('Leaving event for activity', activity.id, 'alone - it was edited by hand');
+    recordActivityOutcome(activity, 'skipped', 'edited by hand', existing.event, existing.calendar);
+    return 'edited';
+  }
+  
+  if (eventNeedsUpdate(existing.event, details)) {
+    // Enriched events never match the summary, so compare against the detailed activity
+    activity = enrichActivity(accessToken, activity);
+    details = buildEventDetails(activity);
+  }
+  
+  var hashed = !!existing.event.getTag('contentHash');
+  
+  if (!eventNeedsUpdate(existing.event, details)) {
+    // Events from before content hashes existed get one, so later edits are noticed
+    if (!hashed) {
+      stampEventContent(existing.event);
+    }
+    recordActivityOutcome(activity, 'unchanged', '', existing.event, existing.calendar);
+    return 'unchanged';
+  }
+  
+  if (!hashed && !force) {
+    console.log('Leaving event for activity', activity.id, 'alone - it predates content hashes and may have been edited by hand');
+    recordActivityOutcome(activity, 'skipped', 'no content hash - may be edited by hand', existing.event, existing.calendar);
+    return 'edited';
+  }
+  
+  applyEventDetails(existing.event, details, activity);
+  recordActivityOutcome(activity, 'updated', 'rebuilt', existing.event, existing.calendar);
+  console.log('Rebuilt event for activity:', activity.id, '-', details.title);
+  return 'rebuilt';
+}
+
+/**
+ * Logs the running totals of a rebuild
+ * @param {Object} state - Rebuild cursor and counters
+ */
+function logRebuildProgress(state) {
+  console.log('Rebuild progress: page', state.page, '-', state.rebuilt, 'rebuilt,', state.unchanged, 'unchanged,',
+    state.edited, 'edited by hand,', state.skipped, 'skipped,', state.failed, 'failed');
+}
+
+/**
+ * Schedules continueRebuild() to run once
+ * @param {number} [delayMs] - Delay before continuing (defaults to one minute)
+ */
+function scheduleRebuildContinuation(delayMs) {
+  deleteRebuildTriggers();
+  
+  getPlatform().scheduler.runOnce('continueRebuild', delayMs || 60 * 1000);
+}
+
+/**
+ * Removes any pending continueRebuild() triggers
+ */
+function deleteRebuildTriggers() {
+  getPlatform().scheduler.cancel('continueRebuild');
+}
+
+/**
+ * Shows the progress of an unfinished rebuild
+ */
+function getRebuildStatus() {
+  if (dispatchToAthletes(getRebuildStatus, arguments)) {
+    return;
+  }
+  
+  var raw = getScriptProperties().getProperty('REBUILD_STATE');
+  
+  if (!raw) {
+    console.log('No rebuild in progress');
+    return;
+  }
+  
+  var state = JSON.parse(raw);
+  console.log('Rebuild from', new Date(state.after * 1000).toISOString(), 'to', new Date(state.before * 1000).toISOString(),
+    'started', state.startedAt, '- run', state.runs);
+  logRebuildProgress(state);
+}
+
+/**
+ * Stops an unfinished rebuild and discards its checkpoint
+ */
+function cancelRebuild() {
+  if (dispatchToAthletes(cancelRebuild, arguments)) {
+    return;
+  }
+  
+  deleteRebuildTriggers();
+  getScriptProperties().deleteProperty('REBUILD_STATE');
+  console.log('Rebuild cancelled');
+}
+
+// =============================================================================
+// RETRY QUEUE - Activities that failed to become calendar events
+// =============================================================================
+
+/**
+ * Adds a failed activity to the retry queue (RETRY_QUEUE Script Property), or records
+ * another failed attempt if it's already queued. After RETRY_MAX_ATTEMPTS attempts
+ * (default 5) the activity moves to the dead-letter list (DEAD_LETTER_QUEUE).
+ * @param {string|number} activityId - Strava activity ID
+ * @param {Error} error - The error that made the attempt fail
+ */
+function enqueueActivityRetry(activityId, error) {
+  var queue = loadActivityQueue('RETRY_QUEUE');
+  var id = String(activityId);
+  var now = Date.now();
+  var entry = queue[id] || { attempts: 0, firstFailedAt: new Date(now).toISOString() };
+  
+  entry.attempts++;
+  entry.lastError = String(error && error.message || error).substring(0, 200);
+  entry.lastFailedAt = new Date(now).toISOString();
+  recordActivityOutcome(id, 'failed', entry.lastError);
+  
+  var maxAttempts = getConfig('RETRY_MAX_ATTEMPTS');
+  
+  if (entry.attempts >= maxAttempts) {
+    delete queue[id];
+    var deadLetters = loadActivityQueue('DEAD_LETTER_QUEUE');
+    entry.deadAt = entry.lastFailedAt;
+    delete entry.nextAttemptAt;
+    deadLetters[id] = entry;
+    saveActivityQueue('DEAD_LETTER_QUEUE', deadLetters);
+    console.error('Activity', id, 'failed', entry.attempts, 'times - moved to dead-letter list:', entry.lastError);
+    notifyFailure('activity_failed', 'Activity ' + id + ' failed ' + entry.attempts + ' times: ' + entry.lastError +
+      ' (https://www.strava.com/activities/' + id + ')');
+  } else {
+    // Back off exponentially: 15 min, 30 min, 1 h, 2 h...
+    entry.nextAttemptAt = now + RETRY_BASE_DELAY_MS * Math.pow(2, entry.attempts - 1);
+    queue[id] = entry;
+    console.log('Queued activity', id, 'for retry (attempt', entry.attempts, 'of', maxAttempts + ')');
+  }
+  
+  saveActivityQueue('RETRY_QUEUE', queue);
+}
+
+/**
+ * Retries queued activities whose backoff has elapsed
+ * @param {string} accessToken - Valid Strava access token
+ * @returns {Object} Counts of succeeded, failed and dropped retries
+ */
+function processRetryQueue(accessToken) {
+  var result = { succeeded: 0, failed: 0, dropped: 0 };
+  var queue = loadActivityQueue('RETRY_QUEUE');
+  var now = Date.now();
+  
+  var dueIds = Object.keys(queue).filter(function(id) {
+    return (queue[id].nextAttemptAt || 0) <= now;
+  });
+  
+  if (dueIds.length === 0) {
+    return result;
+  }
+  
+  console.log('Retrying', dueIds.length, 'previously failed activities...');
+  
+  for (var i = 0; i < dueIds.length; i++) {
+    var id = dueIds[i];
+    
+    try {
+      var activity = fetchActivity(accessToken, id);
+      
+      if (activity && shouldSyncActivity(activity)) {
+        createCalendarEvent(activity);
+        result.succeeded++;
+        console.log('Retry succeeded for activity', id);
+      } else {
+        result.dropped++;
+        if (!activity) {
+          recordActivityOutcome(id, 'dropped', 'activity no longer exists on Strava');
+        }
+        console.log('Dropping retry for activity', id, '- deleted on Strava or excluded by filters');
+      }
+      
+      removeFromActivityQueue('RETRY_QUEUE', id);
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        // Not the activity's fault - leave the rest for the next run
+        console.log('Stopping retries - ' + error.message);
+        break;
+      }
+      
+      result.failed++;
+      console.error('Retry failed for activity', id, ':', error.toString());
+      enqueueActivityRetry(id, error);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Loads a queue of activities stored as JSON in a Script Property
+ * @param {string} key - RETRY_QUEUE or DEAD_LETTER_QUEUE
+ * @returns {Object} Entries keyed by Strava activity ID
+ */
+function loadActivityQueue(key) {
+  var raw = getScriptProperties().getProperty(key);
+  
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch (error) {
+    console.error('Discarding unreadable ' + key + ':', error.toString());
+    return {};
+  }
+}
+
+/**
+ * Saves a queue of activities, keeping only the newest entries so it fits in a Script Property
+ * @param {string} key - RETRY_QUEUE or DEAD_LETTER_QUEUE
+ * @param {Object} queue - Entries keyed by Strava activity ID
+ */
+function saveActivityQueue(key, queue) {
+  var props = getScriptProperties();
+  var ids = Object.keys(queue);
+  
+  if (ids.length === 0) {
+    props.deleteProperty(key);
+    return;
+  }
+  
+  if (ids.length > MAX_QUEUE_ENTRIES) {
+    ids.sort(function(a, b) { return Number(a) - Number(b); });
+    ids.slice(0, ids.length - MAX_QUEUE_ENTRIES).forEach(function(id) {
+      console.error('Queue ' + key + ' is full - discarding activity', id);
+      delete queue[id];
+    });
+  }
+  
+  props.setProperty(key, JSON.stringify(queue));
+}
+
+/**
+ * Removes one activity from a queue
+ * @param {string} key - RETRY_QUEUE or DEAD_LETTER_QUEUE
+ * @param {string|number} activityId - Strava activity ID
+ */
+function removeFromActivityQueue(key, activityId) {
+  var queue = loadActivityQueue(key);
+  delete queue[String(activityId)];
+  saveActivityQueue(key, queue);
+}
+
+/**
+ * Logs the activities waiting to be retried
+ */
+function showRetryQueue() {
+  if (dispatchToAthletes(showRetryQueue, arguments)) {
+    return;
+  }
+  
+  logActivityQueue('RETRY_QUEUE', 'Retry queue');
+}
+
+/**
+ * Logs the activities that gave up after too many failed attempts
+ */
+function showDeadLetters() {
+  if (dispatchToAthletes(showDeadLetters, arguments)) {
+    return;
+  }
+  
+  logActivityQueue('DEAD_LETTER_QUEUE', 'Dead-letter list');
+}
+
+/**
+ * Logs the entries of a queue
+ * @param {string} key - RETRY_QUEUE or DEAD_LETTER_QUEUE
+ * @param {string} label - Name used in the log
+ */
+function logActivityQueue(key, label) {
+  var queue = loadActivityQueue(key);
+  var ids = Object.keys(queue);
+  
+  console.log(label + ':', ids.length, 'activities');
+  ids.forEach(function(id) {
+    var entry = queue[id];
+    console.log('- ' + id + ': ' + entry.attempts + ' attempts, last error "' + entry.lastError + '" at ' + entry.lastFailedAt +
+      (entry.nextAttemptAt ? ', next attempt ' + new Date(entry.nextAttemptAt).toISOString() : ''));
+  });
+}
+
+/**
+ * Moves dead-lettered activities back into the retry queue and retries them now
+ * @param {string|number} [activityId] - Replay only this activity (defaults to all)
+ */
+function replayDeadLetters(activityId) {
+  if (dispatchToAthletes(replayDeadLetters, arguments)) {
+    return;
+  }
+  
+  startSyncRun('replayDeadLetters (manual)');
+  
+  try {
+    var deadLetters = loadActivityQueue('DEAD_LETTER_QUEUE');
+    var queue = loadActivityQueue('RETRY_QUEUE');
+    var ids = activityId ? [String(activityId)] : Object.keys(deadLetters);
+    
+    ids.forEach(function(id) {
+      if (!deadLetters[id]) {
+        console.log('Activity', id, 'is not in the dead-letter list');
+        return;
+      }
+      
+      queue[id] = {
+        attempts: 0,
+        firstFailedAt: deadLetters[id].firstFailedAt,
+        lastError: deadLetters[id].lastError,
+        lastFailedAt: deadLetters[id].lastFailedAt,
+        nextAttemptAt: 0
+      };
+      delete deadLetters[id];
+    });
+    
+    saveActivityQueue('DEAD_LETTER_QUEUE', deadLetters);
+    saveActivityQueue('RETRY_QUEUE', queue);
+    
+    var result = processRetryQueue(getStravaAccessToken());
+    console.log('Replay completed:', result.succeeded, 'succeeded,', result.failed, 'failed,', result.dropped, 'dropped');
+    
+    if (Object.keys(loadActivityQueue('DEAD_LETTER_QUEUE')).length === 0) {
+      notifyRecovered('activity_failed');
+    }
+  } catch (error) {
+    console.error('Replay failed:', error.toString());
+    recordRunError(error);
+  } finally {
+    finishSyncRun();
+  }
+}
+
+// =============================================================================
+// NOTIFICATIONS - Throttled email digests about failures and recovery
+// =============================================================================
+
+/**
+ * Human-readable names of the notification error classes
+ */
+var NOTIFICATION_CLASSES = {
+  sync_failed: 'Sync runs are failing',
+  auth: 'Strava authorization expired or was revoked',
+  activity_failed: 'Activities repeatedly failed to sync'
+};
+
+/**
+ * Records a failure and emails a digest to NOTIFY_EMAIL, at most once per
+ * NOTIFY_THROTTLE_HOURS (default 24) per error class. Failures in between are
+ * collected into the next digest. Does nothing when NOTIFY_EMAIL isn't set.
+ * @param {string} errorClass - One of the NOTIFICATION_CLASSES keys
+ * @param {string} message - What went wrong
+ */
+function notifyFailure(errorClass, message) {
+  try {
+    if (!getConfig('NOTIFY_EMAIL')) {
+      return;
+    }
+    
+    var state = loadNotificationState();
+    var entry = state[errorClass] || { since: new Date().toISOString(), pending: [], suppressed: 0 };
+    
+    entry.failing = true;
+    entry.pending.push(new Date().toISOString() + ' - ' + message);
+    
+    // Keep the digest (and the Script Property) small
+    if (entry.pending.length > MAX_DIGEST_ENTRIES) {
+      entry.suppressed += entry.pending.length - MAX_DIGEST_ENTRIES;
+      entry.pending = entry.pending.slice(-MAX_DIGEST_ENTRIES);
+    }
+    
+    state[errorClass] = entry;
+    
+    var throttleMs = getConfig('NOTIFY_THROTTLE_HOURS') * 60 * 60 * 1000;
+    
+    if (!entry.lastSentAt || Date.now() - entry.lastSentAt >= throttleMs) {
+      sendNotificationEmail(
+        'Strava Sync: ' + NOTIFICATION_CLASSES[errorClass],
+        NOTIFICATION_CLASSES[errorClass] + ' since ' + entry.since + '.\n\n' +
+        entry.pending.join('\n') +
+        (entry.suppressed ? '\n\n(' + entry.suppressed + ' older messages not shown)' : '') +
+        getNotificationHint(errorClass)
+      );
+      entry.lastSentAt = Date.now();
+      entry.pending = [];
+      entry.suppressed = 0;
+    } else {
+      console.log('Notification for "' + errorClass + '" throttled - will be included in the next digest');
+    }
+    
+    saveNotificationState(state);
+  } catch (error) {
+    // Never let a notification problem break the sync itself
+    console.error('Failed to send notification:', error.toString());
+  }
+}
+
+/**
+ * Sends a one-off "recovered" email if an error class was failing, then clears it
+ * @param {string} errorClass - One of the NOTIFICATION_CLASSES keys
+ */
+function notifyRecovered(errorClass) {
+  try {
+    var state = loadNotificationState();
+    var entry = state[errorClass];
+    
+    if (!entry || !entry.failing) {
+      return;
+    }
+    
+    var unsent = entry.pending.length + (entry.suppressed || 0);
+    
+    sendNotificationEmail(
+      'Strava Sync: Recovered - ' + NOTIFICATION_CLASSES[errorClass],
+      'Good news - this problem has cleared up: ' + NOTIFICATION_CLASSES[errorClass] + ' (since ' + entry.since + ').' +
+      (unsent ? '\n\n' + unsent + ' further failure(s) happened after the last digest:\n' + entry.pending.join('\n') : '')
+    );
+    
+    delete state[errorClass];
+    saveNotificationState(state);
+  } catch (error) {
+    console.error('Failed to send recovery notification:', error.toString());
+  }
+}
+
+/**
+ * Adds a suggestion on how to fix an error class to a digest
+ * @param {string} errorClass - One of the NOTIFICATION_CLASSES keys
+ * @returns {string} Hint text
+ */
+function getNotificationHint(errorClass) {
+  if (errorClass === 'auth') {
+    return '\n\nRun connectStrava()' + (currentAthlete ? ' with \'' + currentAthlete + '\'' : '') +
+      ' in the script editor and open the link it logs to re-authorize with Strava.';
+  }
+  if (errorClass === 'activity_failed') {
+    return '\n\nRun showDeadLetters() to inspect them and replayDeadLetters() to try again.';
+  }
+  return '\n\nCheck the Apps Script execution log for details.';
+}
+
+/**
+ * Emails NOTIFY_EMAIL
+ * @param {string} subject - Email subject
+ * @param {string} body - Plain-text body
+ */
+function sendNotificationEmail(subject, body) {
+  var recipient = getConfig('NOTIFY_EMAIL');
+  
+  if (!recipient) {
+    return;
+  }
+  
+  if (currentAthlete) {
+    subject += ' [' + currentAthlete + ']';
+  }
+  
+  if (dryRun) {
+    console.log('Dry run - not sending notification email:', subject);
+    return;
+  }
+  
+  getPlatform().mail.sendEmail(recipient, subject, body);
+  console.log('Sent notification email:', subject);
+}
+
+/**
+ * Loads the notification throttle state (NOTIFY_STATE Script Property)
+ * @returns {Object} State keyed by error class
+ */
+function loadNotificationState() {
+  var raw = getScriptProperties().getProperty('NOTIFY_STATE');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Saves the notification throttle state
+ * @param {Object} state - State keyed by error class
+ */
+function saveNotificationState(state) {
+  var props = getScriptProperties();
+  
+  if (Object.keys(state).length === 0) {
+    props.deleteProperty('NOTIFY_STATE');
+  } else {
+    props.setProperty('NOTIFY_STATE', JSON.stringify(state));
+  }
+}
+
+/**
+ * Sends a test email to NOTIFY_EMAIL to check notifications are set up
+ */
+function testNotifications() {
+  if (dispatchToAthletes(testNotifications, arguments)) {
+    return;
+  }
+  
+  var recipient = getConfig('NOTIFY_EMAIL');
+  
+  if (!recipient) {
+    console.error('NOTIFY_EMAIL not set in Script Properties');
+    return;
+  }
+  
+  sendNotificationEmail('Strava Sync: Test notification', 'Notifications for Strava Calendar Sync are working.');
+}
+
+// =============================================================================
+// SYNC LOG - Run history and per-activity audit trail in a Google Sheet
+// =============================================================================
+
+/**
+ * Sheets of the sync log spreadsheet and their header rows
+ */
+var SYNC_LOG_RUNS_SHEET = 'Runs';
+var SYNC_LOG_ACTIVITIES_SHEET = 'Activities';
+var SYNC_LOG_RUN_COLUMNS = ['Source', 'Started', 'Finished', 'Duration (s)', 'API Calls',
+  'Seen', 'Created', 'Updated', 'Deleted', 'Skipped', 'Failed', 'Errors'];
+var SYNC_LOG_ACTIVITY_COLUMNS = ['Strava ID', 'Name', 'Sport Type', 'Start', 'Status',
+  'Detail', 'Calendar', 'Event ID', 'Last Run', 'Updated'];
+
+/**
+ * The run being recorded for the sync log (null outside of a run)
+ */
+var currentRun = null;
+
+/**
+ * Gets the spreadsheet service the sync log is kept with
+ * @returns {Object} Spreadsheet service like SpreadsheetApp
+ * @throws {Error} If the platform has none, as under plain Node.js
+ */
+function getSpreadsheetService() {
+  var spreadsheets = getPlatform().spreadsheets;
+  
+  if (!spreadsheets) {
+    throw new Error('The sync log needs a spreadsheet service (SpreadsheetApp) - leave SYNC_LOG_SPREADSHEET_ID unset on this platform');
+  }
+  return spreadsheets;
+}
+
+/**
+ * Creates the sync log spreadsheet and saves its ID as SYNC_LOG_SPREADSHEET_ID.
+ * Once set, every run appends a row to the Runs sheet and records what happened
+ * to each activity it touched in the Activities sheet.
+ */
+function createSyncLog() {
+  try {
+    var props = getScriptProperties();
+    var existingId = getConfig('SYNC_LOG_SPREADSHEET_ID');
+    
+    if (existingId) {
+      console.log('Sync log already set up:', getSpreadsheetService().openById(existingId).getUrl());
+      return;
+    }
+    
+    var spreadsheet = getSpreadsheetService().create('Strava Sync Log');
+    getSyncLogSheet(spreadsheet, SYNC_LOG_RUNS_SHEET);
+    getSyncLogSheet(spreadsheet, SYNC_LOG_ACTIVITIES_SHEET);
+    
+    // Drop the empty sheet every new spreadsheet starts with
+    var defaultSheet = spreadsheet.getSheetByName('Sheet1');
+    if (defaultSheet) {
+      spreadsheet.deleteSheet(defaultSheet);
+    }
+    
+    props.setProperty('SYNC_LOG_SPREADSHEET_ID', spreadsheet.getId());
+    console.log('Created sync log:', spreadsheet.getUrl());
+  } catch (error) {
+    console.error('Failed to create sync log:', error.toString());
+  }
+}
+
+/**
+ * Describes what started a run, e.g. "main (trigger)" or "main (manual)"
+ * @param {string} functionName - Entry point that was run
+ * @param {Object} [e] - Event object Apps Script passes to trigger handlers
+ * @returns {string} Trigger source for the sync log
+ */
+function getRunSource(functionName, e) {
+  return functionName + (e && e.triggerUid ? ' (trigger)' : ' (manual)');
+}
+
+/**
+ * Starts recording a run. Runs started inside another run (e.g. the backfill behind
+ * recoverThisWeeksActivities) are recorded as part of the outer run.
+ * @param {string} source - What started the run
+ */
+function startSyncRun(source) {
+  if (currentRun) {
+    currentRun.depth++;
+    return;
+  }
+  
+  currentRun = {
+    source: source + (currentAthlete ? ' [' + currentAthlete + ']' : ''),
+    startedAt: new Date(),
+    depth: 1,
+    apiCalls: 0,
+    activities: {},
+    errors: []
+  };
+}
+
+/**
+ * Counts a Strava request made by the current run
+ */
+function countSyncRunApiCall() {
+  if (currentRun) {
+    currentRun.apiCalls++;
+  }
+}
+
+/**
+ * Records a run-level error for the sync log
+ * @param {Error|string} error - What went wrong
+ */
+function recordRunError(error) {
+  if (currentRun) {
+    currentRun.errors.push(String(error && error.message || error));
+  }
+}
+
+/**
+ * Records what the current run did with an activity. Only the latest outcome per
+ * activity is kept, e.g. "skipped" then "deleted" for an activity that is now filtered out.
+ * @param {Object|string|number} activity - Strava activity object, or just its ID
+ * @param {string} status - created, exists, updated, unchanged, deleted, skipped, dropped or failed
+ * @param {string} [detail] - Why, e.g. the filter rule or error message
+ * @param {CalendarEvent} [event] - The activity's calendar event
+ * @param {Calendar} [calendar] - Calendar holding the event
+ */
+function recordActivityOutcome(activity, status, detail, event, calendar) {
+  if (!currentRun) {
+    return;
+  }
+  
+  var isObject = typeof activity === 'object';
+  var id = String(isObject ? activity.id : activity);
+  var previous = currentRun.activities[id] || {};
+  
+  currentRun.activities[id] = {
+    name: isObject ? activity.name || '' : previous.name || '',
+    sportType: isObject ? activity.sport_type || activity.type || '' : previous.sportType || '',
+    start: isObject && activity.start_date ? new Date(activity.start_date) : previous.start || '',
+    status: status,
+    // Keep the filter reason when a filtered-out activity's event is then removed
+    detail: detail || (status === 'deleted' && previous.detail) || '',
+    calendar: calendar ? calendar.getName() : '',
+    eventId: event ? event.getId() : ''
+  };
+  
+  if (status === 'failed') {
+    currentRun.errors.push('Activity ' + id + ': ' + detail);
+  }
+}
+
+/**
+ * Finishes the current run and writes it to the sync log, if SYNC_LOG_SPREADSHEET_ID is set.
+ * Problems writing the log are logged but never fail the run.
+ */
+function finishSyncRun() {
+  if (!currentRun || --currentRun.depth > 0) {
+    return;
+  }
+  
+  var run = currentRun;
+  currentRun = null;
+  run.finishedAt = new Date();
+  
+  if (dryRun) {
+    addRunToDryRunPlan(run);
+    return;
+  }
+  
+  try {
+    var spreadsheetId = getConfig('SYNC_LOG_SPREADSHEET_ID');
+    if (!spreadsheetId) {
+      return;
+    }
+    
+    var spreadsheet = getSpreadsheetService().openById(spreadsheetId);
+    appendSyncLogRun(spreadsheet, run);
+    writeSyncLogActivities(spreadsheet, run);
+  } catch (error) {
+    console.error('Failed to write sync log:', error.toString());
+  }
+}
+
+/**
+ * Appends a run to the Runs sheet, trimming the oldest rows beyond MAX_SYNC_LOG_RUNS
+ * @param {Spreadsheet} spreadsheet - Sync log spreadsheet
+ * @param {Object} run - Finished run
+ */
+function appendSyncLogRun(spreadsheet, run) {
+  var counts = { created: 0, updated: 0, deleted: 0, skipped: 0, failed: 0 };
+  var ids = Object.keys(run.activities);
+  
+  ids.forEach(function(id) {
+    var status = run.activities[id].status;
+    // Activities already in the calendar or no longer on Strava were skipped too
+    if (status === 'exists' || status === 'dropped') {
+      status = 'skipped';
+    }
+    if (counts[status] !== undefined) {
+      counts[status]++;
+    }
+  });
+  
+  var sheet = getSyncLogSheet(spreadsheet, SYNC_LOG_RUNS_SHEET);
+  sheet.appendRow([
+    run.source,
+    run.startedAt,
+    run.finishedAt,
+    Math.round((run.finishedAt.getTime() - run.startedAt.getTime()) / 1000),
+    run.apiCalls,
+    ids.length,
+    counts.created,
+    counts.updated,
+    counts.deleted,
+    counts.skipped,
+    counts.failed,
+    // Stay well within the 50,000 character limit of a cell
+    run.errors.join('\n').substring(0, 5000)
+  ]);
+  
+  var excess = sheet.getLastRow() - 1 - MAX_SYNC_LOG_RUNS;
+  if (excess > 0) {
+    sheet.deleteRows(2, excess);
+  }
+}
+
+/**
+ * Writes the run's activity outcomes to the Activities sheet, one row per Strava ID.
+ * Existing rows are updated in place, keeping fields the run didn't know (such as the
+ * name of an activity that failed before it was fetched).
+ * @param {Spreadsheet} spreadsheet - Sync log spreadsheet
+ * @param {Object} run - Finished run
+ */
+function writeSyncLogActivities(spreadsheet, run) {
+  var ids = Object.keys(run.activities);
+  if (ids.length === 0) {
+    return;
+  }
+  
+  var sheet = getSyncLogSheet(spreadsheet, SYNC_LOG_ACTIVITIES_SHEET);
+  var lastRow = sheet.getLastRow();
+  var rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, SYNC_LOG_ACTIVITY_COLUMNS.length).getValues() : [];
+  var rowIndexById = {};
+  
+  rows.forEach(function(row, index) {
+    rowIndexById[String(row[0])] = index;
+  });
+  
+  ids.forEach(function(id) {
+    var outcome = run.activities[id];
+    var index = rowIndexById[id];
+    var old = index !== undefined ? rows[index] : [];
+    var keep = function(value, column) {
+      return value !== '' ? value : (old[column] !== undefined ? old[column] : '');
     };
+    // A deleted event's calendar and ID no longer point anywhere
+    var removed = outcome.status === 'deleted';
+    
+    var row = [
+      id,
+      keep(outcome.name, 1),
+      keep(outcome.sportType, 2),
+      keep(outcome.start, 3),
+      outcome.status,
+      outcome.detail,
+      removed ? '' : keep(outcome.calendar, 6),
+      removed ? '' : keep(outcome.eventId, 7),
+      run.source,
+      run.finishedAt
+    ];
     
-    var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
-      method: 'post',
-      payload: payload,
-      muteHttpExceptions: true
-    });
+    if (index !== undefined) {
+      sheet.getRange(index + 2, 1, 1, row.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+      rowIndexById[id] = rows.length;
+      rows.push(row);
+    }
+  });
+}
+
+/**
+ * Gets a sheet of the sync log, creating it with its header row if it's missing
+ * @param {Spreadsheet} spreadsheet - Sync log spreadsheet
+ * @param {string} name - SYNC_LOG_RUNS_SHEET or SYNC_LOG_ACTIVITIES_SHEET
+ * @returns {Sheet} The sheet
+ */
+function getSyncLogSheet(spreadsheet, name) {
+  var sheet = spreadsheet.getSheetByName(name);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.appendRow(name === SYNC_LOG_RUNS_SHEET ? SYNC_LOG_RUN_COLUMNS : SYNC_LOG_ACTIVITY_COLUMNS);
+    sheet.setFrozenRows(1);
+    
+    if (name === SYNC_LOG_ACTIVITIES_SHEET) {
+      // Keep Strava IDs as text so long IDs aren't shown in scientific notation
+      sheet.getRange('A:A').setNumberFormat('@');
+    }
+  }
+  
+  return sheet;
+}
+
+/**
+ * Logs what the sync log knows about an activity - handy for "why isn't my ride in the calendar?"
+ * @param {string|number} activityId - Strava activity ID
+ */
+function explainActivity(activityId) {
+  try {
+    var spreadsheetId = getConfig('SYNC_LOG_SPREADSHEET_ID');
+    if (!spreadsheetId) {
+      console.error('SYNC_LOG_SPREADSHEET_ID not set - run createSyncLog() first');
+      return;
+    }
     
-    console.log('Webhook registration response:', response.getResponseCode(), response.getContentText());
+    var sheet = getSpreadsheetService().openById(spreadsheetId).getSheetByName(SYNC_LOG_ACTIVITIES_SHEET);
+    var rows = sheet ? sheet.getDataRange().getValues() : [];
     
-    if (response.getResponseCode() === 200 || response.getResponseCode() === 201) {
-      var subscriptionData = JSON.parse(response.getContentText());
-      props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
-      console.log('Webhook registered successfully! Subscription ID:', subscriptionData.id);
-      console.log('Real-time sync is now active - new activities will appear immediately in your calendar');
-    } else {
-      throw new Error('Failed to register webhook: ' + response.getContentText());
+    for (var i = 1; i < rows.length; i++) {
+      if (String(rows[i][0]) === String(activityId)) {
+        console.log('Activity', activityId + ':');
+        SYNC_LOG_ACTIVITY_COLUMNS.forEach(function(column, index) {
+          console.log('- ' + column + ': ' + rows[i][index]);
+        });
+        return;
+      }
     }
     
+    console.log('Activity', activityId, 'has not been seen by any logged run - if it is older than the',
+      'sync watermark, import it with backfillActivities()');
   } catch (error) {
-    console.error('Webhook registration failed:', error.toString());
+    console.error('Failed to read sync log:', error.toString());
   }
 }
 
+// =============================================================================
+// DRY RUN - Preview what a sync, recovery or reconciliation would change
+// =============================================================================
+
 /**
- * Advanced webhook registration with multiple retry attempts
- * Uses the fact that verification works to overcome timing issues
+ * True while a dry run is in progress: calendar events, the sync log and Script Properties
+ * (other than DRY_RUN_WRITABLE_PROPERTIES) are left alone and no emails are sent
  */
-function registerWebhookAdvanced() {
+var dryRun = false;
+
+/**
+ * Plan collected by the dry run in progress
+ */
+var dryRunPlan = null;
+
+/**
+ * Script Properties a dry run may still write: refreshed tokens, the athlete ID lookup
+ * and the Strava rate limit usage, which all reflect requests really made
+ */
+var DRY_RUN_WRITABLE_PROPERTIES = ['STRAVA_ACCESS_TOKEN', 'STRAVA_EXPIRES_AT', 'STRAVA_REFRESH_TOKEN',
+  'STRAVA_ATHLETE_ID', 'STRAVA_RATE_LIMIT'];
+
+/**
+ * What a sync log status means for a dry run plan
+ */
+var DRY_RUN_ACTIONS = {
+  created: 'create',
+  exists: 'skip',
+  updated: 'update',
+  unchanged: 'unchanged',
+  deleted: 'delete',
+  skipped: 'skip',
+  dropped: 'skip',
+  failed: 'fail'
+};
+
+/**
+ * Checks whether an entry point was asked for a dry run, e.g. main({ dryRun: true })
+ * @param {Object} [options] - The entry point's first argument
+ * @returns {boolean} True if a dry run should start
+ */
+function isDryRunRequest(options) {
+  return !dryRun && !!options && options.dryRun === true;
+}
+
+/**
+ * Runs an entry point as a dry run. It fetches and evaluates activities as usual
+ * but changes nothing, and returns what it would have done.
+ * @param {Function} entryPoint - main, recoverThisWeeksActivities or reconcileRecentActivities
+ * @param {Arguments} args - The entry point's arguments
+ * @returns {Object} Plan: entryPoint, startedAt, summary (count per action),
+ *   activities (athlete, id, name, sportType, start, action, reason, calendar, event) and errors
+ */
+function runDryRun(entryPoint, args) {
+  var plan = dryRunPlan = {
+    entryPoint: entryPoint.name,
+    startedAt: new Date().toISOString(),
+    summary: { create: 0, update: 0, 'delete': 0, skip: 0, unchanged: 0, fail: 0 },
+    activities: [],
+    errors: []
+  };
+  
+  dryRun = true;
+  console.log('Dry run of ' + plan.entryPoint + ' - calendar events, sync state and the sync log are left unchanged');
+  
   try {
-    console.log('Advanced webhook registration with retry logic...');
+    entryPoint.apply(null, args);
+  } finally {
+    dryRun = false;
+    dryRunPlan = null;
+  }
+  
+  plan.activities.forEach(function(item) {
+    plan.summary[item.action]++;
+  });
+  
+  return plan;
+}
+
+/**
+ * Adds a finished run's activity outcomes to the dry run plan
+ * @param {Object} run - Finished run from the sync log tracking
+ */
+function addRunToDryRunPlan(run) {
+  if (!dryRunPlan) {
+    return;
+  }
+  
+  Object.keys(run.activities).forEach(function(id) {
+    var outcome = run.activities[id];
+    
+    dryRunPlan.activities.push({
+      athlete: currentAthlete,
+      id: id,
+      name: outcome.name,
+      sportType: outcome.sportType,
+      start: outcome.start ? outcome.start.toISOString() : '',
+      action: DRY_RUN_ACTIONS[outcome.status] || outcome.status,
+      reason: outcome.detail || (outcome.status === 'exists' ? 'already in calendar' : ''),
+      calendar: outcome.calendar,
+      event: outcome.preview || null
+    });
+  });
+  
+  dryRunPlan.errors = dryRunPlan.errors.concat(run.errors);
+}
+
+/**
+ * Attaches the event a dry run would write to the activity's outcome, so templates and
+ * calendar routing can be checked in the plan
+ * @param {string|number} activityId - Strava activity ID
+ * @param {Object} details - Event details from buildEventDetails()
+ * @param {Calendar} calendar - Calendar the event would be written to
+ */
+function recordEventPreview(activityId, details, calendar) {
+  var outcome = currentRun && currentRun.activities[String(activityId)];
+  
+  if (outcome) {
+    outcome.preview = {
+      calendar: calendar.getName(),
+      title: details.title,
+      startTime: details.startTime.toISOString(),
+      endTime: details.endTime.toISOString(),
+      description: details.description,
+      location: details.location,
+      color: details.color
+    };
+  }
+}
+
+/**
+ * Logs a dry run plan, one line per activity
+ * @param {Object} plan - Plan from runDryRun()
+ */
+function logDryRunPlan(plan) {
+  console.log('Dry run of ' + plan.entryPoint + ': ' + plan.summary.create + ' to create, ' +
+    plan.summary.update + ' to update, ' + plan.summary['delete'] + ' to delete, ' + plan.summary.skip + ' skipped, ' +
+    plan.summary.unchanged + ' unchanged, ' + plan.summary.fail + ' failing');
+  
+  plan.activities.forEach(function(item) {
+    console.log('[' + item.action + '] ' + (item.athlete ? item.athlete + ' ' : '') + item.id + ' ' + item.name +
+      (item.event ? ' -> ' + item.event.calendar + ': "' + item.event.title + '" at ' + item.event.startTime : '') +
+      (item.reason ? ' - ' + item.reason : ''));
+  });
+  
+  plan.errors.forEach(function(error) {
+    console.log('Error: ' + error);
+  });
+}
+
+/**
+ * Shows what main() would sync right now without changing anything
+ * @returns {Object} Plan from runDryRun()
+ */
+function previewSync() {
+  var plan = main({ dryRun: true });
+  logDryRunPlan(plan);
+  return plan;
+}
+
+/**
+ * Shows what recoverThisWeeksActivities() would import without changing anything
+ * @returns {Object} Plan from runDryRun()
+ */
+function previewRecovery() {
+  var plan = recoverThisWeeksActivities({ dryRun: true });
+  logDryRunPlan(plan);
+  return plan;
+}
+
+/**
+ * Shows what reconcileRecentActivities() would change without changing anything
+ * @returns {Object} Plan from runDryRun()
+ */
+function previewReconcile() {
+  var plan = reconcileRecentActivities({ dryRun: true });
+  logDryRunPlan(plan);
+  return plan;
+}
+
+// =============================================================================
+// RECONCILIATION - Keep existing events in line with edits made on Strava
+// =============================================================================
+
+/**
+ * Re-checks recent activities against the calendar and fixes any drift.
+ * Uses RECONCILE_DAYS from Script Properties (default 7) as the lookback window.
+ * Runs automatically from the daily backup trigger, or run it manually at any time.
+ * @param {Object} [e] - Event object passed on by dailyBackupSync(), or { dryRun: true }
+ *   to only return the plan (see previewReconcile())
+ * @returns {Object|undefined} Dry run plan, when a dry run was requested
+ */
+function reconcileRecentActivities(e) {
+  if (isDryRunRequest(e)) {
+    return runDryRun(reconcileRecentActivities, arguments);
+  }
+  
+  if (dispatchToAthletes(reconcileRecentActivities, arguments)) {
+    return;
+  }
+  
+  startSyncRun(getRunSource('reconcileRecentActivities', e));
+  
+  try {
+    var days = getConfig('RECONCILE_DAYS');
     
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
+    console.log('Starting reconciliation of the last', days, 'days...');
     
-    if (!clientId || !clientSecret || !callbackUrl) {
-      throw new Error('Missing required properties: STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET, WEBHOOK_CALLBACK_URL');
-    }
+    var accessToken = getStravaAccessToken();
+    var result = reconcileActivities(accessToken, days);
     
-    // Ensure verify token exists
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    if (!verifyToken) {
-      verifyToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
-      props.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
-      console.log('Generated new verify token:', verifyToken);
+    console.log('Reconciliation completed:', result.updated, 'updated,', result.created, 'created,',
+      result.deleted, 'deleted,', result.unchanged, 'unchanged,', result.skipped, 'skipped by filters');
+  } catch (error) {
+    recordRunError(error);
+    if (isRateLimitError(error)) {
+      console.log('Reconciliation skipped - ' + error.message);
+      return;
     }
-    
-    // Multiple registration attempts with delays
-    var maxAttempts = 3;
-    var delayBetweenAttempts = 5000; // 5 seconds
-    
-    for (var attempt = 1; attempt <= maxAttempts; attempt++) {
-      console.log('Registration attempt', attempt, 'of', maxAttempts);
-      
-      // Pre-warm endpoint
-      console.log('Pre-warming endpoint...');
-      try {
-        UrlFetchApp.fetch(callbackUrl + '?test=prewarm_' + attempt, {
-          method: 'get',
-          muteHttpExceptions: true
-        });
-      } catch (e) {
-        // Ignore pre-warm errors
-      }
-      
-      // Wait for endpoint to be ready
-      console.log('Waiting for endpoint readiness...');
-      Utilities.sleep(3000);
-      
-      // Attempt registration
-      var payload = {
-        client_id: clientId,
-        client_secret: clientSecret,
-        callback_url: callbackUrl,
-        verify_token: verifyToken
-      };
-      
-      console.log('Sending registration request (attempt ' + attempt + ')...');
-      var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
-        method: 'post',
-        payload: payload,
-        muteHttpExceptions: true
-      });
-      
-      console.log('Response:', response.getResponseCode(), response.getContentText());
-      
-      if (response.getResponseCode() === 200 || response.getResponseCode() === 201) {
-        var subscriptionData = JSON.parse(response.getContentText());
-        props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
-        console.log('✅ SUCCESS! Webhook registered on attempt', attempt);
-        console.log('Subscription ID:', subscriptionData.id);
-        console.log('🎉 Real-time sync is now active!');
-        return;
+    console.error('Reconciliation failed:', error.toString());
+  } finally {
+    finishSyncRun();
+  }
+}
+
+/**
+ * Re-fetches the last N days of activities and brings their calendar events up to date.
+ * Changed activities (name, times, description, ...) are rewritten, missing events are
+ * created and events whose activity no longer exists on Strava, or is now excluded by
+ * the filter rules, are removed.
+ * Events are also moved when the activity's sport type now routes to another calendar.
+ * @param {string} accessToken - Valid Strava access token
+ * @param {number} days - Number of days to look back
+ * @returns {Object} Counts of updated, created, deleted, unchanged and skipped events
+ */
+function reconcileActivities(accessToken, days) {
+  var result = { updated: 0, created: 0, deleted: 0, unchanged: 0, skipped: 0 };
+  var now = Date.now();
+  var windowStart = new Date(now - days * 24 * 60 * 60 * 1000);
+  
+  var activities = fetchActivitiesInRange(accessToken, Math.floor(windowStart.getTime() / 1000));
+  console.log('Fetched', activities.length, 'activities for reconciliation');
+  
+  // Index every event this script created in the window (plus a day of slack for moved start times)
+  var eventsById = {};
+  getSyncCalendars().forEach(function(calendar) {
+    calendar.getEvents(
+      new Date(windowStart.getTime() - 24 * 60 * 60 * 1000),
+      new Date(now + 24 * 60 * 60 * 1000),
+      { search: 'Strava ID:' }
+    ).forEach(function(event) {
+      var stravaId = getStravaIdFromEvent(event);
+      if (stravaId) {
+        eventsById[stravaId] = { event: event, calendar: calendar };
       }
+    });
+  });
+  
+  var seenIds = {};
+  
+  activities.forEach(function(activity) {
+    var activityId = String(activity.id);
+    seenIds[activityId] = true;
+    
+    try {
+      var details = buildEventDetails(activity);
+      var existing = eventsById[activityId] || findActivityEventInCalendars(activityId, details.searchStart, details.searchEnd);
       
-      // If this was the last attempt, give up
-      if (attempt === maxAttempts) {
-        console.log('❌ All registration attempts failed');
-        break;
+      if (!shouldSyncActivity(activity)) {
+        // Activity is now excluded by the filter rules
+        result.skipped++;
+        if (existing) {
+          if (!dryRun) {
+            existing.event.deleteEvent();
+            unindexActivityEvent(activityId);
+          }
+          result.deleted++;
+          recordActivityOutcome(activity, 'deleted');
+          console.log('Removed event for filtered activity:', activityId);
+        }
+      } else if (!existing) {
+        createCalendarEvent(activity, accessToken);
+        result.created++;
+      } else if (existing.calendar.getId() !== getCalendarForActivity(activity).getId()) {
+        if (dryRun) {
+          recordActivityOutcome(activity, 'updated', 'moves from ' + existing.calendar.getName(), existing.event, existing.calendar);
+          recordEventPreview(activityId, details, getCalendarForActivity(activity));
+        } else {
+          existing.event.deleteEvent();
+          unindexActivityEvent(activityId);
+          createCalendarEvent(activity, accessToken);
+        }
+        result.updated++;
+        console.log('Moved activity', activityId, 'to', getCalendarForActivity(activity).getName());
+      } else {
+        if (eventNeedsUpdate(existing.event, details)) {
+          // Enriched events never match the summary, so compare against the detailed activity
+          activity = enrichActivity(accessToken, activity);
+          details = buildEventDetails(activity);
+        }
+        
+        if (eventNeedsUpdate(existing.event, details)) {
+          if (!dryRun) {
+            applyEventDetails(existing.event, details, activity);
+          }
+          result.updated++;
+          recordActivityOutcome(activity, 'updated', '', existing.event, existing.calendar);
+          if (dryRun) {
+            recordEventPreview(activityId, details, existing.calendar);
+          }
+          console.log('Reconciled changed activity:', activityId, '-', details.title);
+        } else {
+          result.unchanged++;
+          recordActivityOutcome(activity, 'unchanged', '', existing.event, existing.calendar);
+        }
       }
-      
-      // Wait before next attempt
-      console.log('Attempt', attempt, 'failed. Waiting', delayBetweenAttempts/1000, 'seconds before retry...');
-      Utilities.sleep(delayBetweenAttempts);
+    } catch (error) {
+      console.error('Failed to reconcile activity', activityId, ':', error.toString());
+      recordActivityOutcome(activity, 'failed', error.toString());
     }
+  });
+  
+  // Events left over belong to activities Strava no longer returns for the window
+  Object.keys(eventsById).forEach(function(stravaId) {
+    var event = eventsById[stravaId].event;
     
-    // Final check - maybe webhook was actually registered despite error messages
-    console.log('Performing final check for existing webhooks...');
-    Utilities.sleep(2000);
-    
-    var listResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret, {
-      method: 'get',
-      muteHttpExceptions: true
-    });
+    if (seenIds[stravaId] || event.getStartTime().getTime() < windowStart.getTime()) {
+      return;
+    }
     
-    if (listResponse.getResponseCode() === 200) {
-      var subscriptions = JSON.parse(listResponse.getContentText());
-      if (subscriptions && subscriptions.length > 0) {
-        var webhook = subscriptions[0];
-        props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(webhook.id));
-        console.log('🎉 FOUND IT! Webhook was actually registered despite error messages!');
-        console.log('Subscription ID:', webhook.id);
-        console.log('Callback URL:', webhook.callback_url);
-        console.log('Real-time sync is now active!');
-        return;
+    try {
+      // Confirm the activity is really gone rather than just moved out of the window
+      if (fetchActivity(accessToken, stravaId) === null) {
+        if (!dryRun) {
+          event.deleteEvent();
+          unindexActivityEvent(stravaId);
+        }
+        result.deleted++;
+        recordActivityOutcome(stravaId, 'deleted', 'activity no longer exists on Strava');
+        console.log('Removed event for deleted activity:', stravaId);
       }
+    } catch (error) {
+      console.error('Failed to check activity', stravaId, ':', error.toString());
     }
+  });
+  
+  return result;
+}
+
+/**
+ * Daily backup job - picks up anything polling missed, then reconciles recent edits
+ * @param {Object} [e] - Event object passed by the time-based trigger
+ */
+function dailyBackupSync(e) {
+  main(e);
+  reconcileRecentActivities(e);
+}
+
+/**
+ * Creates a trigger to run dailyBackupSync() daily as backup
+ * Catches any activities polling missed and reconciles edits made on Strava
+ */
+function createBackupSyncTrigger() {
+  // Delete existing backup triggers first
+  var triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'dailyBackupSync') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  
+  // Create daily backup trigger
+  ScriptApp.newTrigger('dailyBackupSync')
+    .timeBased()
+    .everyDays(1)
+    .atHour(8) // Run at 8 AM daily
+    .create();
     
-    console.log('❌ Registration failed completely');
-    console.log('💡 The verification process works perfectly, but Strava has timing issues');
-    console.log('💡 Try again in a few minutes or contact Strava support');
-    
-  } catch (error) {
-    console.error('Advanced webhook registration failed:', error.toString());
-  }
+  console.log('Created daily backup sync trigger - will run at 8 AM daily to catch missed activities and reconcile edits');
 }
 
 /**
- * Alternative webhook registration with verification wait
- * Use this if registerWebhook() fails due to timing issues
+ * Creates a trigger to run main() every 15 minutes (legacy polling mode)
+ * Use this if you want frequent polling instead of webhooks
  */
-function registerWebhookWithWait() {
-  try {
-    console.log('Registering Strava webhook with verification wait...');
-    
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    
-    if (!clientId || !clientSecret) {
-      throw new Error('Missing STRAVA_CLIENT_ID or STRAVA_CLIENT_SECRET');
+function createFrequentSyncTrigger() {
+  // Delete existing triggers first
+  var triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'main') {
+      ScriptApp.deleteTrigger(trigger);
     }
+  });
+  
+  // Create new trigger
+  ScriptApp.newTrigger('main')
+    .timeBased()
+    .everyMinutes(15)
+    .create();
     
-    if (!callbackUrl) {
-      throw new Error('Missing WEBHOOK_CALLBACK_URL - deploy as web app first and add the URL to Script Properties');
+  console.log('Created frequent sync trigger - will run every 15 minutes (legacy polling mode)');
+}
+
+/**
+ * Deletes all triggers for the main(), dailyBackupSync() and updateTrainingSummaries() functions
+ * Use this to stop automatic syncing
+ */
+function deleteSyncTriggers() {
+  var triggers = ScriptApp.getProjectTriggers();
+  triggers.forEach(function(trigger) {
+    var handler = trigger.getHandlerFunction();
+    if (handler === 'main' || handler === 'dailyBackupSync' || handler === 'updateTrainingSummaries') {
+      ScriptApp.deleteTrigger(trigger);
     }
-    
-    // Set verify token if not already set
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    if (!verifyToken) {
-      verifyToken = 'strava_webhook_verify_' + Utilities.getUuid().slice(0, 8);
-      props.setProperty('STRAVA_VERIFY_TOKEN', verifyToken);
-      console.log('Generated new verify token:', verifyToken);
+  });
+  
+  console.log('Deleted all sync triggers');
+}
+
+// =============================================================================
+// TRAINING SUMMARIES - Weekly and monthly all-day summary events
+// =============================================================================
+
+/**
+ * Description line identifying a summary event, followed by its period key (e.g. "week 2024-03-04")
+ */
+var SUMMARY_MARKER = 'Strava Summary: ';
+
+/**
+ * Adds or refreshes all-day summary events in the Strava calendar for the last
+ * SUMMARY_REFRESH_WEEKS completed weeks and the last completed month.
+ *
+ * Each summary totals distance, moving time, elevation and activity count per sport
+ * type and compares them with the period before. Summaries are found again by their
+ * "Strava Summary:" line, so activities uploaded late update the existing event
+ * instead of adding a duplicate. Activities excluded by ACTIVITY_FILTERS aren't counted.
+ * Runs daily from the trigger created by createSummaryTrigger().
+ */
+function updateTrainingSummaries() {
+  if (dispatchToAthletes(updateTrainingSummaries, arguments)) {
+    return;
+  }
+  
+  // Planned workout compliance only reads the training calendar, so it runs even without Strava budget
+  updatePlanCompliance();
+  
+  try {
+    if (!hasStravaBudget(MIN_SYNC_API_CALLS)) {
+      console.log('Skipping training summaries - Strava rate limit budget exhausted (' + describeRateLimitUsage() + ')');
+      return;
     }
     
-    // Clear any previous verification tracking
-    props.deleteProperty('WEBHOOK_VERIFICATION_RECEIVED');
+    var periods = getSummaryPeriods(getLocalDateString(new Date()));
+    var earliest = periods.reduce(function(min, period) {
+      return period.previousStart < min ? period.previousStart : min;
+    }, periods[0].previousStart);
     
-    console.log('Pre-testing endpoint availability...');
-    var testResponse = UrlFetchApp.fetch(callbackUrl + '?test=availability', {
-      method: 'get',
-      muteHttpExceptions: true
+    // Activity dates are local to the athlete, so start a day early to be safe
+    var after = Math.floor(parseLocalDate(earliest).getTime() / 1000) - 24 * 60 * 60;
+    var activities = fetchActivitiesInRange(getStravaAccessToken(), after).filter(function(activity) {
+      return shouldSyncActivity(activity);
     });
-    console.log('Endpoint test response:', testResponse.getResponseCode());
-    
-    // Wait a moment for the endpoint to be fully ready
-    console.log('Waiting for endpoint to be fully ready...');
-    Utilities.sleep(3000);
     
-    // Register webhook with Strava
-    var payload = {
-      client_id: clientId,
-      client_secret: clientSecret,
-      callback_url: callbackUrl,
-      verify_token: verifyToken
-    };
+    var settings = getFormatSettings();
+    var calendar = getStravaCalendar();
+    var result = { created: 0, updated: 0, unchanged: 0, deleted: 0, skipped: 0 };
     
-    console.log('Sending registration request to Strava...');
-    var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
-      method: 'post',
-      payload: payload,
-      muteHttpExceptions: true
+    periods.forEach(function(period) {
+      var totals = summarizeActivities(activities, period.start, period.end);
+      var previous = summarizeActivities(activities, period.previousStart, period.start);
+      result[writeSummaryEvent(calendar, period, totals, previous, settings)]++;
     });
     
-    console.log('Initial registration response:', response.getResponseCode(), response.getContentText());
-    
-    if (response.getResponseCode() === 200 || response.getResponseCode() === 201) {
-      var subscriptionData = JSON.parse(response.getContentText());
-      props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
-      console.log('✅ Webhook registered successfully! Subscription ID:', subscriptionData.id);
-      console.log('Real-time sync is now active - new activities will appear immediately in your calendar');
+    console.log('Training summaries completed:', result.created, 'created,', result.updated, 'updated,',
+      result.unchanged, 'unchanged,', result.deleted, 'deleted,', result.skipped, 'skipped (no activities)');
+  } catch (error) {
+    if (isRateLimitError(error)) {
+      console.log('Training summaries skipped - ' + error.message);
       return;
     }
-    
-    // If initial registration failed, wait and check if verification happened anyway
-    if (response.getResponseCode() === 400) {
-      console.log('Initial registration failed, but verification might still be in progress...');
-      console.log('Waiting 10 seconds to see if Strava verifies the endpoint...');
-      
-      var startTime = Date.now();
-      var maxWait = 15000; // 15 seconds
-      
-      while (Date.now() - startTime < maxWait) {
-        Utilities.sleep(2000);
-        
-        // Check if any webhooks now exist
-        var listResponse = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret, {
-          method: 'get',
-          muteHttpExceptions: true
-        });
-        
-        if (listResponse.getResponseCode() === 200) {
-          var subscriptions = JSON.parse(listResponse.getContentText());
-          if (subscriptions && subscriptions.length > 0) {
-            var newSubscription = subscriptions[0];
-            props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(newSubscription.id));
-            console.log('✅ Webhook was registered after verification! Subscription ID:', newSubscription.id);
-            console.log('Real-time sync is now active - new activities will appear immediately in your calendar');
-            return;
-          }
-        }
-        
-        console.log('Still waiting for registration to complete...');
-      }
-      
-      console.log('⚠️ Registration did not complete within timeout period');
-      console.log('The endpoint verification is working, but registration timing needs adjustment');
+    console.error('Training summaries failed:', error.toString());
+  }
+}
+
+/**
+ * Works out which periods get a summary: the last completed weeks (Monday to Sunday)
+ * and the last completed month
+ * @param {string} today - Today's date (YYYY-MM-DD) in the script's time zone
+ * @returns {Object[]} Periods: kind, key, start, end (exclusive) and previousStart dates
+ */
+function getSummaryPeriods(today) {
+  var periods = [];
+  var weekday = new Date(today + 'T00:00:00Z').getUTCDay();
+  var thisWeekStart = addDaysToDateString(today, -((weekday + 6) % 7));
+  
+  for (var i = SUMMARY_REFRESH_WEEKS; i >= 1; i--) {
+    var weekStart = addDaysToDateString(thisWeekStart, -7 * i);
+    periods.push({
+      kind: 'week',
+      key: 'week ' + weekStart,
+      start: weekStart,
+      end: addDaysToDateString(weekStart, 7),
+      previousStart: addDaysToDateString(weekStart, -7)
+    });
+  }
+  
+  var thisMonthStart = today.substring(0, 8) + '01';
+  var lastMonthStart = addMonthsToDateString(thisMonthStart, -1);
+  periods.push({
+    kind: 'month',
+    key: 'month ' + lastMonthStart.substring(0, 7),
+    start: lastMonthStart,
+    end: thisMonthStart,
+    previousStart: addMonthsToDateString(thisMonthStart, -2)
+  });
+  
+  return periods;
+}
+
+/**
+ * Totals the activities whose local start date falls within a period
+ * @param {Object[]} activities - Strava activity objects
+ * @param {string} start - First day of the period (YYYY-MM-DD)
+ * @param {string} end - Day after the period (YYYY-MM-DD)
+ * @returns {Object} Totals: count, distance, movingTime, elevation and the same per sport type in sports
+ */
+function summarizeActivities(activities, start, end) {
+  var totals = { count: 0, distance: 0, movingTime: 0, elevation: 0, sports: {} };
+  
+  activities.forEach(function(activity) {
+    var date = (activity.start_date_local || '').substring(0, 10) || getLocalDateString(new Date(activity.start_date));
+    if (date < start || date >= end) {
+      return;
     }
     
-    throw new Error('Failed to register webhook: ' + response.getContentText());
+    var sportType = activity.sport_type || activity.type || 'Workout';
+    var sport = totals.sports[sportType] = totals.sports[sportType] ||
+      { count: 0, distance: 0, movingTime: 0, elevation: 0 };
     
-  } catch (error) {
-    console.error('Webhook registration failed:', error.toString());
-    console.log('💡 Suggestion: Try running registerWebhook() again in a few minutes');
-    console.log('💡 Or check if webhook was actually registered with listWebhooks()');
+    [totals, sport].forEach(function(target) {
+      target.count++;
+      target.distance += activity.distance || 0;
+      target.movingTime += activity.moving_time || 0;
+      target.elevation += activity.total_elevation_gain || 0;
+    });
+  });
+  
+  return totals;
+}
+
+/**
+ * Builds the title and description of a summary event
+ * @param {Object} period - Period from getSummaryPeriods()
+ * @param {Object} totals - Totals for the period
+ * @param {Object} previous - Totals for the period before
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {Object} Event details: title, description
+ */
+function buildSummaryDetails(period, totals, previous, settings) {
+  var labels = settings.labels;
+  var isWeek = period.kind === 'week';
+  var heading = isWeek ? labels.week_summary : labels.month_summary;
+  var lines = [heading + ': ' + period.start + ' - ' + addDaysToDateString(period.end, -1), ''];
+  
+  // Sports with the most time first
+  Object.keys(totals.sports).sort(function(a, b) {
+    return totals.sports[b].movingTime - totals.sports[a].movingTime;
+  }).forEach(function(sportType) {
+    lines.push(formatSummaryTotals(sportType, totals.sports[sportType], settings));
+  });
+  
+  lines.push('');
+  lines.push(formatSummaryTotals(labels.total, totals, settings));
+  lines.push((isWeek ? labels.vs_previous_week : labels.vs_previous_month) + ': ' +
+    formatSummaryChange(totals, previous, settings));
+  lines.push('');
+  lines.push(SUMMARY_MARKER + period.key);
+  
+  return {
+    title: heading + ': ' + (totals.distance > 0 ? formatDistance(totals.distance, settings) + ', ' : '') +
+      formatDuration(totals.movingTime, settings) + ' (' + labels.activities + ': ' + totals.count + ')',
+    description: lines.join('\n')
+  };
+}
+
+/**
+ * Formats one line of summary totals
+ * @param {string} name - Sport type or "Total" label
+ * @param {Object} totals - Totals to format
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {string} Formatted line
+ */
+function formatSummaryTotals(name, totals, settings) {
+  var labels = settings.labels;
+  var parts = [name + ' (' + totals.count + ')'];
+  
+  if (totals.distance > 0) {
+    parts.push(labels.distance + ': ' + formatDistance(totals.distance, settings));
+  }
+  
+  parts.push(labels.moving_time + ': ' + formatDuration(totals.movingTime, settings));
+  
+  if (totals.elevation > 0) {
+    parts.push(labels.elevation + ': ' + formatElevation(totals.elevation, settings));
+  }
+  
+  return parts.join(' | ');
+}
+
+/**
+ * Formats the change in count, distance and moving time compared with the previous period
+ * @param {Object} totals - Totals for the period
+ * @param {Object} previous - Totals for the period before
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {string} Formatted change (e.g. "Activities: +2 | Distance: +12.40 km (+31%) | Moving Time: -20m 0s")
+ */
+function formatSummaryChange(totals, previous, settings) {
+  var sign = function(value) {
+    return value < 0 ? '-' : '+';
+  };
+  
+  var distanceChange = totals.distance - previous.distance;
+  var distance = sign(distanceChange) + formatDistance(Math.abs(distanceChange), settings);
+  
+  if (previous.distance > 0) {
+    distance += ' (' + sign(distanceChange) + Math.round(Math.abs(distanceChange) / previous.distance * 100) + '%)';
+  }
+  
+  var countChange = totals.count - previous.count;
+  var timeChange = totals.movingTime - previous.movingTime;
+  
+  return [
+    settings.labels.activities + ': ' + sign(countChange) + Math.abs(countChange),
+    settings.labels.distance + ': ' + distance,
+    settings.labels.moving_time + ': ' + sign(timeChange) + formatDuration(Math.abs(timeChange), settings)
+  ].join(' | ');
+}
+
+/**
+ * Creates, updates or removes the summary event of a period on its last day
+ * @param {Calendar} calendar - Calendar holding the summaries
+ * @param {Object} period - Period from getSummaryPeriods()
+ * @param {Object} totals - Totals for the period
+ * @param {Object} previous - Totals for the period before
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {string} What happened: created, updated, unchanged, deleted or skipped
+ */
+function writeSummaryEvent(calendar, period, totals, previous, settings) {
+  var date = parseLocalDate(addDaysToDateString(period.end, -1));
+  var existing = findMarkedEvent(calendar, SUMMARY_MARKER + period.key, date);
+  
+  // No activities (left) in the period - don't keep an empty summary around
+  if (totals.count === 0) {
+    if (existing) {
+      existing.deleteEvent();
+      console.log('Removed empty summary for', period.key);
+      return 'deleted';
+    }
+    return 'skipped';
+  }
+  
+  var details = buildSummaryDetails(period, totals, previous, settings);
+  
+  if (!existing) {
+    calendar.createAllDayEvent(details.title, date, { description: details.description });
+    console.log('Created summary for', period.key, '-', details.title);
+    return 'created';
+  }
+  
+  if (existing.getTitle() === details.title && (existing.getDescription() || '') === details.description) {
+    return 'unchanged';
+  }
+  
+  existing.setTitle(details.title);
+  existing.setDescription(details.description);
+  console.log('Updated summary for', period.key, '-', details.title);
+  return 'updated';
+}
+
+/**
+ * Finds a summary or compliance report event by its marker line
+ * (e.g. "Strava Summary: week 2024-03-04")
+ * @param {Calendar} calendar - Calendar holding the event
+ * @param {string} marker - Full marker line
+ * @param {Date} date - Day the event is on
+ * @returns {CalendarEvent|null} Event or null if none exists
+ */
+function findMarkedEvent(calendar, marker, date) {
+  var events = calendar.getEvents(date, new Date(date.getTime() + 24 * 60 * 60 * 1000), { search: marker });
+  
+  for (var i = 0; i < (events || []).length; i++) {
+    if ((events[i].getDescription() || '').split('\n').indexOf(marker) !== -1) {
+      return events[i];
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in the script's time zone
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function getLocalDateString(date) {
+  return getPlatform().utilities.formatDate(date, getPlatform().timeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Turns a YYYY-MM-DD string into midnight of that day in the script's time zone
+ * @param {string} dateString - Date string
+ * @returns {Date} Start of the day
+ */
+function parseLocalDate(dateString) {
+  // new Date(y, m, d) would use the host's time zone, which under Node.js isn't the script's
+  return getPlatform().utilities.parseDate(dateString, getPlatform().timeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date string
+ * @param {string} dateString - Date string
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Resulting date string
+ */
+function addDaysToDateString(dateString, days) {
+  var date = new Date(dateString + 'T00:00:00Z');
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Adds months to the first day of a month
+ * @param {string} monthStart - First day of a month (YYYY-MM-01)
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string} First day of the resulting month
+ */
+function addMonthsToDateString(monthStart, months) {
+  var date = new Date(monthStart + 'T00:00:00Z');
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1)).toISOString().substring(0, 10);
+}
+
+/**
+ * Creates a daily trigger for updateTrainingSummaries() at 6 AM
+ */
+function createSummaryTrigger() {
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'updateTrainingSummaries') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  
+  ScriptApp.newTrigger('updateTrainingSummaries')
+    .timeBased()
+    .everyDays(1)
+    .atHour(6)
+    .create();
+  
+  console.log('Created training summary trigger - weekly and monthly summaries are added and refreshed daily at 6 AM');
+}
+
+// =============================================================================
+// PLANNED WORKOUTS - Match activities to sessions in a training calendar
+// =============================================================================
+
+/**
+ * Description line marking a planned event as completed, followed by the activity URL
+ */
+var PLANNED_MARKER = 'Completed with Strava: ';
+
+/**
+ * Description line identifying a compliance report, followed by its week key (e.g. "week 2024-03-04")
+ */
+var COMPLIANCE_MARKER = 'Plan Compliance: ';
+
+/**
+ * Sports recognised in planned event titles. A planned event belongs to the sport whose
+ * keyword appears first in its title; it matches activities of that sport's sport types.
+ * Planned events without any keyword match activities of every sport.
+ */
+var PLANNED_SPORTS = [
+  { sport: 'Run', sportTypes: ['Run', 'TrailRun', 'VirtualRun'], keywords: ['run', 'jog', 'tempo', 'fartlek', 'strides'] },
+  { sport: 'Ride', sportTypes: ['Ride', 'VirtualRide', 'MountainBikeRide', 'GravelRide', 'EBikeRide', 'EMountainBikeRide', 'Velomobile'], keywords: ['ride', 'bike', 'cycl', 'spin', 'zwift'] },
+  { sport: 'Swim', sportTypes: ['Swim'], keywords: ['swim', 'pool'] },
+  { sport: 'Walk', sportTypes: ['Walk', 'Hike'], keywords: ['walk', 'hike'] },
+  { sport: 'Strength', sportTypes: ['WeightTraining', 'Workout', 'Crossfit', 'HighIntensityIntervalTraining', 'Pilates', 'Yoga'], keywords: ['strength', 'gym', 'weights', 'lift', 'core', 'yoga', 'pilates'] }
+];
+
+/**
+ * Gets the training calendar holding planned workouts (TRAINING_CALENDAR_NAME)
+ * @returns {Calendar|null} Google Calendar instance, or null when planned workouts are off
+ */
+function getTrainingCalendar() {
+  var name = getConfig('TRAINING_CALENDAR_NAME');
+  
+  if (!name) {
+    return null;
+  }
+  
+  var calendar = getCalendarByName(name);
+  if (!calendar) {
+    console.error('Training calendar "' + name + '" from TRAINING_CALENDAR_NAME not found');
   }
+  return calendar;
 }
 
 /**
- * Simple webhook registration workaround
- * Sometimes the simplest approach works when complex ones fail
+ * Looks for a planned workout of a compatible sport on the activity's day and marks it
+ * completed: prefixes its title with PLANNED_DONE_PREFIX (default "✅ "), sets
+ * PLANNED_DONE_COLOR if configured and adds the activity link and planned vs actual
+ * distance and duration to its description. Planned events of the same sport are
+ * preferred over ones whose sport can't be told from the title.
+ * Never throws, so a problem with the training calendar doesn't fail the sync.
+ * @param {Object} activity - Strava activity object
  */
-function registerWebhookSimple() {
+function matchPlannedWorkout(activity) {
   try {
-    console.log('Simple webhook registration attempt...');
-    
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var callbackUrl = props.getProperty('WEBHOOK_CALLBACK_URL');
-    var verifyToken = props.getProperty('STRAVA_VERIFY_TOKEN');
-    
-    if (!clientId || !clientSecret || !callbackUrl || !verifyToken) {
-      throw new Error('Missing required properties. Make sure all webhook settings are configured.');
+    var calendar = getTrainingCalendar();
+    if (!calendar) {
+      return;
     }
     
-    console.log('Using callback URL:', callbackUrl);
-    console.log('Using verify token:', verifyToken);
-    
-    // Just send the registration request without any pre-warming
-    var payload = {
-      client_id: clientId,
-      client_secret: clientSecret,
-      callback_url: callbackUrl,
-      verify_token: verifyToken
-    };
-    
-    console.log('Sending registration request...');
-    var response = UrlFetchApp.fetch('https://www.strava.com/api/v3/push_subscriptions', {
-      method: 'post',
-      payload: payload,
-      muteHttpExceptions: true
-    });
-    
-    var responseCode = response.getResponseCode();
-    var responseText = response.getContentText();
-    
-    console.log('Response:', responseCode, responseText);
+    var date = (activity.start_date_local || '').substring(0, 10) || getLocalDateString(new Date(activity.start_date));
+    var planned = getPlannedEvents(calendar, date, addDaysToDateString(date, 1));
+    var url = 'https://www.strava.com/activities/' + activity.id;
     
-    if (responseCode === 200 || responseCode === 201) {
-      var subscriptionData = JSON.parse(responseText);
-      props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(subscriptionData.id));
-      console.log('✅ Simple registration SUCCESS! Subscription ID:', subscriptionData.id);
+    if (planned.some(function(event) { return getPlannedCompletion(event) === url; })) {
       return;
     }
     
-    // Even if it "failed", check if webhook exists
-    console.log('Registration returned error, but checking if webhook was created anyway...');
-    Utilities.sleep(3000);
-    
-    var listUrl = 'https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret;
-    var listResponse = UrlFetchApp.fetch(listUrl, { method: 'get', muteHttpExceptions: true });
+    var sport = getPlannedSport(activity.sport_type || activity.type || '', 'sportTypes');
+    var open = planned.filter(function(event) {
+      return !getPlannedCompletion(event);
+    });
+    var match = open.filter(function(event) {
+      return sport && getPlannedSport(event.getTitle(), 'keywords') === sport;
+    })[0] || open.filter(function(event) {
+      return !getPlannedSport(event.getTitle(), 'keywords');
+    })[0];
     
-    if (listResponse.getResponseCode() === 200) {
-      var subscriptions = JSON.parse(listResponse.getContentText());
-      if (subscriptions.length > 0) {
-        var webhook = subscriptions[0];
-        props.setProperty('WEBHOOK_SUBSCRIPTION_ID', String(webhook.id));
-        console.log('🎉 Found webhook despite error! ID:', webhook.id);
-        console.log('This confirms Strava has a bug in their error reporting');
-        return;
-      }
+    if (!match) {
+      return;
     }
     
-    console.log('❌ Simple registration failed');
-    throw new Error('Registration failed: ' + responseText);
-    
+    markPlannedEventCompleted(match, activity, url);
+    console.log('Matched activity', activity.id, 'to planned workout:', match.getTitle());
   } catch (error) {
-    console.error('Simple webhook registration failed:', error.toString());
+    console.error('Failed to match activity', activity.id, 'to a planned workout:', error.toString());
   }
 }
 
 /**
- * Lists all active webhook subscriptions
- * Use this to check if webhook is properly registered
+ * Gets the planned workouts starting between two dates, leaving out events this script
+ * wrote itself in case the training calendar is also a sync calendar
+ * @param {Calendar} calendar - Training calendar
+ * @param {string} start - First day (YYYY-MM-DD)
+ * @param {string} end - Day after the last day (YYYY-MM-DD)
+ * @returns {CalendarEvent[]} Planned events in start time order
  */
-function listWebhooks() {
-  try {
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    
-    if (!clientId || !clientSecret) {
-      throw new Error('Missing STRAVA_CLIENT_ID or STRAVA_CLIENT_SECRET');
+function getPlannedEvents(calendar, start, end) {
+  return (calendar.getEvents(parseLocalDate(start), parseLocalDate(end)) || []).filter(function(event) {
+    var date = getLocalDateString(event.getStartTime());
+    var description = event.getDescription() || '';
+    
+    return date >= start && date < end &&
+      !getStravaIdFromEvent(event) &&
+      description.indexOf(SUMMARY_MARKER) === -1 &&
+      description.indexOf(COMPLIANCE_MARKER) === -1;
+  }).sort(function(a, b) {
+    return a.getStartTime().getTime() - b.getStartTime().getTime();
+  });
+}
+
+/**
+ * Gets the sport of an activity's sport type or of a planned event title
+ * @param {string} text - Sport type or planned event title
+ * @param {string} by - "sportTypes" to look up a sport type, "keywords" to search a title
+ * @returns {string|null} Sport from PLANNED_SPORTS or null if none matches
+ */
+function getPlannedSport(text, by) {
+  var best = null;
+  var bestIndex = -1;
+  
+  PLANNED_SPORTS.forEach(function(entry) {
+    if (by === 'sportTypes') {
+      if (entry.sportTypes.indexOf(text) !== -1) {
+        best = entry.sport;
+      }
+      return;
     }
     
-    var url = 'https://www.strava.com/api/v3/push_subscriptions?client_id=' + clientId + '&client_secret=' + clientSecret;
-    
-    var response = UrlFetchApp.fetch(url, {
-      method: 'get',
-      muteHttpExceptions: true
-    });
-    
-    console.log('Webhook list response:', response.getResponseCode(), response.getContentText());
-    
-    if (response.getResponseCode() === 200) {
-      var subscriptions = JSON.parse(response.getContentText());
-      console.log('Active webhook subscriptions:', subscriptions.length);
-      subscriptions.forEach(function(sub) {
-        console.log('- ID:', sub.id, 'URL:', sub.callback_url, 'Created:', sub.created_at);
-      });
+    var match = new RegExp('\\b(' + entry.keywords.join('|') + ')', 'i').exec(text);
+    if (match && (bestIndex === -1 || match.index < bestIndex)) {
+      best = entry.sport;
+      bestIndex = match.index;
     }
-    
-  } catch (error) {
-    console.error('Failed to list webhooks:', error.toString());
-  }
+  });
+  
+  return best;
 }
 
 /**
- * Unregisters the webhook subscription
- * Use this to stop real-time sync
+ * Gets the activity URL a planned event was completed with
+ * @param {CalendarEvent} event - Planned event
+ * @returns {string|null} Strava activity URL or null if the event is still open
  */
-function unregisterWebhook() {
-  try {
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var subscriptionId = props.getProperty('WEBHOOK_SUBSCRIPTION_ID');
-    
-    if (!subscriptionId) {
-      console.log('No webhook subscription ID found');
-      return;
+function getPlannedCompletion(event) {
+  var lines = (event.getDescription() || '').split('\n');
+  
+  for (var i = 0; i < lines.length; i++) {
+    if (lines[i].indexOf(PLANNED_MARKER) === 0) {
+      return lines[i].substring(PLANNED_MARKER.length).trim();
     }
-    
-    var url = 'https://www.strava.com/api/v3/push_subscriptions/' + subscriptionId + 
-              '?client_id=' + clientId + '&client_secret=' + clientSecret;
-    
-    var response = UrlFetchApp.fetch(url, {
-      method: 'delete',
-      muteHttpExceptions: true
-    });
-    
-    console.log('Webhook unregister response:', response.getResponseCode(), response.getContentText());
-    
-    if (response.getResponseCode() === 204 || response.getResponseCode() === 200) {
-      props.deleteProperty('WEBHOOK_SUBSCRIPTION_ID');
-      console.log('Webhook unregistered successfully');
-    } else {
-      console.error('Failed to unregister webhook:', response.getContentText());
+  }
+  
+  return null;
+}
+
+/**
+ * Marks a planned event as completed by an activity
+ * @param {CalendarEvent} event - Planned event
+ * @param {Object} activity - Strava activity object
+ * @param {string} url - Strava activity URL
+ */
+function markPlannedEventCompleted(event, activity, url) {
+  var prefix = getConfig('PLANNED_DONE_PREFIX');
+  var color = resolveEventColor(getConfig('PLANNED_DONE_COLOR'));
+  var settings = getFormatSettings();
+  var title = event.getTitle();
+  var description = event.getDescription() || '';
+  
+  if (prefix && title.indexOf(prefix) !== 0) {
+    event.setTitle(prefix + title);
+  }
+  
+  if (color) {
+    event.setColor(color);
+  }
+  
+  var lines = [PLANNED_MARKER + url].concat(formatPlannedVsActual(getPlannedTargets(event), activity, settings));
+  event.setDescription((description ? description + '\n\n' : '') + lines.join('\n'));
+}
+
+/**
+ * Reads the planned distance and duration of a planned event. Distances come from the
+ * title or description ("10k", "12 km", "6 mi", "2000m"), durations from "1h30",
+ * "1h 30m" or "45 min", or else from the length of a timed event.
+ * @param {CalendarEvent} event - Planned event
+ * @returns {Object} Targets: distance in meters and duration in seconds (null when unknown)
+ */
+function getPlannedTargets(event) {
+  var text = event.getTitle() + '\n' + (event.getDescription() || '');
+  var targets = { distance: null, duration: null };
+  
+  var distance = /(\d+(?:[.,]\d+)?)\s*(km|k|mi|miles?|m)\b/i.exec(text);
+  if (distance) {
+    var value = parseFloat(distance[1].replace(',', '.'));
+    var unit = distance[2].toLowerCase();
+    
+    if (unit === 'km' || unit === 'k') {
+      targets.distance = value * 1000;
+    } else if (unit.indexOf('mi') === 0) {
+      targets.distance = value * 1609.344;
+    } else if (value >= 100) {
+      // Plain "m" only counts as meters for swim-style distances, not "45m" of time
+      targets.distance = value;
     }
-    
-  } catch (error) {
-    console.error('Webhook unregistration failed:', error.toString());
   }
+  
+  var hours = /(\d+)\s*h(?:ours?|rs?)?(?:(\d{2})|\s*(\d{1,2})\s*m(?:in)?)?(?![a-z\d])/i.exec(text);
+  var minutes = /(\d+)\s*min/i.exec(text);
+  
+  if (hours) {
+    targets.duration = Number(hours[1]) * 3600 + Number(hours[2] || hours[3] || 0) * 60;
+  } else if (minutes) {
+    targets.duration = Number(minutes[1]) * 60;
+  } else if (!event.isAllDayEvent()) {
+    targets.duration = Math.round((event.getEndTime().getTime() - event.getStartTime().getTime()) / 1000);
+  }
+  
+  return targets;
+}
+
+/**
+ * Formats the planned vs actual lines of a completed planned event
+ * @param {Object} targets - Targets from getPlannedTargets()
+ * @param {Object} activity - Strava activity object
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {string[]} Description lines (e.g. "Planned: 10.00 km | 50m 0s")
+ */
+function formatPlannedVsActual(targets, activity, settings) {
+  var labels = settings.labels;
+  var actualTime = activity.moving_time || activity.elapsed_time || 0;
+  var planned = [];
+  var actual = [];
+  
+  var change = function(value, target) {
+    var percent = Math.round((value - target) / target * 100);
+    return ' (' + (percent < 0 ? '-' : '+') + Math.abs(percent) + '%)';
+  };
+  
+  if (targets.distance) {
+    planned.push(labels.distance + ': ' + formatDistance(targets.distance, settings));
+    actual.push(labels.distance + ': ' + formatDistance(activity.distance || 0, settings) + change(activity.distance || 0, targets.distance));
+  }
+  
+  if (targets.duration) {
+    planned.push(labels.duration + ': ' + formatDuration(targets.duration, settings));
+    actual.push(labels.duration + ': ' + formatDuration(actualTime, settings) + change(actualTime, targets.duration));
+  }
+  
+  if (planned.length === 0) {
+    return [];
+  }
+  
+  return [labels.planned + ': ' + planned.join(' | '), labels.actual + ': ' + actual.join(' | ')];
 }
 
 /**
- * Recovers and re-adds Strava activities from the past week
- * Run this once to backfill missing activities from this week
+ * Adds or refreshes a weekly compliance report in the training calendar for each of the
+ * last SUMMARY_REFRESH_WEEKS completed weeks: how many planned workouts were completed
+ * and which ones were missed. The report is an all-day event on the week's Sunday.
+ * Runs from updateTrainingSummaries(); does nothing without TRAINING_CALENDAR_NAME.
  */
-function recoverThisWeeksActivities() {
+function updatePlanCompliance() {
+  if (dispatchToAthletes(updatePlanCompliance, arguments)) {
+    return;
+  }
+  
   try {
-    console.log('Starting recovery of this week\'s activities...');
-    
-    var props = PropertiesService.getScriptProperties();
-    var clientId = props.getProperty('STRAVA_CLIENT_ID');
-    var clientSecret = props.getProperty('STRAVA_CLIENT_SECRET');
-    var refreshToken = props.getProperty('STRAVA_REFRESH_TOKEN');
-    
-    if (!clientId || !clientSecret || !refreshToken) {
-      throw new Error('Missing required properties. Set STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET and STRAVA_REFRESH_TOKEN in Script Properties.');
-    }
-    
-    // Get fresh access token
-    var accessToken = refreshAccessTokenIfNeeded(clientId, clientSecret, refreshToken);
-    
-    // Get calendar
-    var calendar;
-    var stravaCalendars = CalendarApp.getCalendarsByName('Strava');
-    if (stravaCalendars && stravaCalendars.length > 0) {
-      calendar = stravaCalendars[0];
-      console.log('Using Strava calendar for recovery');
-    } else {
-      calendar = CalendarApp.getDefaultCalendar();
-      console.log('Using default calendar for recovery (Strava calendar not found)');
-    }
-    
-    // Calculate date range for this week (last 7 days)
-    var now = new Date();
-    var weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    var afterTimestamp = Math.floor(weekAgo.getTime() / 1000);
-    
-    console.log('Fetching activities after:', new Date(afterTimestamp * 1000));
-    
-    // Fetch activities from the past week
-    var url = 'https://www.strava.com/api/v3/athlete/activities?after=' + afterTimestamp + '&per_page=100';
-    
-    var response = UrlFetchApp.fetch(url, {
-      headers: { 
-        Authorization: 'Bearer ' + accessToken 
-      },
-      muteHttpExceptions: true
-    });
-    
-    if (response.getResponseCode() !== 200) {
-      throw new Error('Strava API error: ' + response.getResponseCode() + ' ' + response.getContentText());
+    var calendar = getTrainingCalendar();
+    if (!calendar) {
+      return;
     }
     
-    var activities = JSON.parse(response.getContentText() || '[]');
-    console.log('Found', activities.length, 'activities from the past week');
-    
-    var recoveredCount = 0;
+    var settings = getFormatSettings();
+    var result = { created: 0, updated: 0, unchanged: 0, deleted: 0, skipped: 0 };
     
-    // Process each activity
-    activities.forEach(function(activity) {
-      try {
-        var activityId = activity.id;
-        var startTime = new Date(activity.start_date);
-        var durationMs = (activity.elapsed_time || 0) * 1000;
-        var endTime = new Date(startTime.getTime() + durationMs);
-        
-        // Check if event already exists
-        var existingEvents = calendar.getEvents(startTime, endTime, {
-          search: 'Strava ID: ' + activityId
-        });
-        
-        if (existingEvents && existingEvents.length > 0) {
-          console.log('Event already exists for activity', activityId, '- skipping');
-          return;
-        }
-        
-        // Create the event
-        createCalendarEvent(calendar, activity);
-        recoveredCount++;
-        
-        console.log('Recovered activity:', activityId, '-', activity.name || activity.type);
-        
-        // Small delay to avoid rate limiting
-        Utilities.sleep(100);
-        
-      } catch (error) {
-        console.error('Failed to recover activity', activity.id, ':', error.toString());
-      }
+    getSummaryPeriods(getLocalDateString(new Date())).filter(function(period) {
+      return period.kind === 'week';
+    }).forEach(function(period) {
+      result[writeComplianceEvent(calendar, period, getPlannedEvents(calendar, period.start, period.end), settings)]++;
     });
     
-    console.log('Recovery completed successfully. Recovered', recoveredCount, 'activities.');
-    
+    console.log('Plan compliance reports completed:', result.created, 'created,', result.updated, 'updated,',
+      result.unchanged, 'unchanged,', result.deleted, 'deleted,', result.skipped, 'skipped (nothing planned)');
   } catch (error) {
-    console.error('Recovery failed:', error.toString());
+    console.error('Plan compliance reports failed:', error.toString());
   }
 }
 
 /**
- * Creates a trigger to run main() daily as backup
- * Use this for backup polling in case webhooks miss any activities
+ * Builds the title and description of a compliance report
+ * @param {Object} period - Week from getSummaryPeriods()
+ * @param {CalendarEvent[]} planned - Planned events of the week
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {Object} Event details: title, description
  */
-function createBackupSyncTrigger() {
-  // Delete existing backup triggers first
-  var triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(function(trigger) {
-    if (trigger.getHandlerFunction() === 'main') {
-      ScriptApp.deleteTrigger(trigger);
-    }
+function buildComplianceDetails(period, planned, settings) {
+  var labels = settings.labels;
+  var missed = planned.filter(function(event) {
+    return !getPlannedCompletion(event);
   });
+  var completed = planned.length - missed.length;
+  var score = completed + '/' + planned.length + ' (' + Math.round(completed / planned.length * 100) + '%)';
   
-  // Create daily backup trigger
-  ScriptApp.newTrigger('main')
-    .timeBased()
-    .everyDays(1)
-    .atHour(8) // Run at 8 AM daily
-    .create();
-    
-  console.log('Created daily backup sync trigger - will run at 8 AM daily as backup to webhooks');
+  var lines = [
+    labels.plan_compliance + ': ' + period.start + ' - ' + addDaysToDateString(period.end, -1),
+    '',
+    labels.completed + ': ' + score
+  ];
+  
+  if (missed.length > 0) {
+    lines.push(labels.missed + ':');
+    missed.forEach(function(event) {
+      lines.push('- ' + getLocalDateString(event.getStartTime()) + ': ' + event.getTitle());
+    });
+  }
+  
+  lines.push('');
+  lines.push(COMPLIANCE_MARKER + period.key);
+  
+  return {
+    title: labels.plan_compliance + ': ' + score,
+    description: lines.join('\n')
+  };
 }
 
 /**
- * Creates a trigger to run main() every 15 minutes (legacy polling mode)
- * Use this if you want frequent polling instead of webhooks
+ * Creates, updates or removes the compliance report of a week on its last day
+ * @param {Calendar} calendar - Training calendar
+ * @param {Object} period - Week from getSummaryPeriods()
+ * @param {CalendarEvent[]} planned - Planned events of the week
+ * @param {Object} settings - Format settings from getFormatSettings()
+ * @returns {string} What happened: created, updated, unchanged, deleted or skipped
  */
-function createFrequentSyncTrigger() {
-  // Delete existing triggers first
-  var triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(function(trigger) {
-    if (trigger.getHandlerFunction() === 'main') {
-      ScriptApp.deleteTrigger(trigger);
+function writeComplianceEvent(calendar, period, planned, settings) {
+  var date = parseLocalDate(addDaysToDateString(period.end, -1));
+  var existing = findMarkedEvent(calendar, COMPLIANCE_MARKER + period.key, date);
+  
+  if (planned.length === 0) {
+    if (existing) {
+      existing.deleteEvent();
+      console.log('Removed compliance report for', period.key, '- nothing planned');
+      return 'deleted';
     }
-  });
+    return 'skipped';
+  }
   
-  // Create new trigger
-  ScriptApp.newTrigger('main')
-    .timeBased()
-    .everyMinutes(15)
-    .create();
-    
-  console.log('Created frequent sync trigger - will run every 15 minutes (legacy polling mode)');
+  var details = buildComplianceDetails(period, planned, settings);
+  
+  if (!existing) {
+    calendar.createAllDayEvent(details.title, date, { description: details.description });
+    console.log('Created compliance report for', period.key, '-', details.title);
+    return 'created';
+  }
+  
+  if (existing.getTitle() === details.title && (existing.getDescription() || '') === details.description) {
+    return 'unchanged';
+  }
+  
+  existing.setTitle(details.title);
+  existing.setDescription(details.description);
+  console.log('Updated compliance report for', period.key, '-', details.title);
+  return 'updated';
 }
 
-/**
- * Deletes all triggers for the main() function
- * Use this to stop automatic syncing
- */
-function deleteSyncTriggers() {
-  var triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(function(trigger) {
-    if (trigger.getHandlerFunction() === 'main') {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
-  
-  console.log('Deleted all sync triggers');
+// =============================================================================
+// NODE.JS - Lets node/ load the engine; Apps Script has no module object
+// =============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    setPlatform: setPlatform,
+    getPlatform: getPlatform,
+    beginExecution: beginExecution,
+    withAthlete: withAthlete,
+    main: main,
+    backfillActivities: backfillActivities,
+    continueBackfill: continueBackfill,
+    rebuildEvents: rebuildEvents,
+    continueRebuild: continueRebuild,
+    reconcileRecentActivities: reconcileRecentActivities,
+    recoverThisWeeksActivities: recoverThisWeeksActivities,
+    updateTrainingSummaries: updateTrainingSummaries,
+    previewSync: previewSync,
+    validateWebhookEvent: validateWebhookEvent,
+    handleWebhookEvent: handleWebhookEvent,
+    diagnoseSetup: diagnoseSetup,
+    testNotifications: testNotifications,
+    getStravaAccessToken: getStravaAccessToken,
+    fetchActivity: fetchActivity,
+    fetchActivitiesInRange: fetchActivitiesInRange,
+    shouldSyncActivity: shouldSyncActivity,
+    evaluateActivityFilters: evaluateActivityFilters,
+    buildEventDetails: buildEventDetails,
+    createCalendarEvent: createCalendarEvent,
+    updateCalendarEvent: updateCalendarEvent,
+    deleteCalendarEvent: deleteCalendarEvent,
+    getFormatSettings: getFormatSettings,
+    formatDistance: formatDistance,
+    formatDuration: formatDuration,
+    formatPace: formatPace,
+    getConfig: getConfig,
+    validateConfig: validateConfig
+  };
 }